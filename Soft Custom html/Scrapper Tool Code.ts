@@ -16,11 +16,20 @@
               return;
           }
   
-          // 2. Ask User for URL
+          // 2. Admin key (secret, bb_sk_...) - asked for once and remembered in this browser
+          let adminKey = localStorage.getItem('bb_admin_key');
+          if (!adminKey) {
+              adminKey = prompt("🔑 Paste your Admin API key (starts with bb_sk_):");
+              if (!adminKey) return;
+              adminKey = adminKey.trim();
+              localStorage.setItem('bb_admin_key', adminKey);
+          }
+
+          // 3. Ask User for URL
           const apiKey = window.logged_in_user['api_key'];
           const userUrl = prompt("👇 Paste the exact link (URL) of the page you want to scan:", "https://");
   
-          // 3. Send to Server
+          // 4. Send to Server
           if (userUrl && userUrl.length > 8) {
               // Update button text to show it's working
               const originalText = btn.innerHTML;
@@ -30,13 +39,16 @@
   
               fetch('https://blind-bot-server.onrender.com/scrape-products', {
                   method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
+                  headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${adminKey}` },
                   body: JSON.stringify({ 
                       clientApiKey: apiKey,
                       websiteUrl: userUrl 
                   })
               })
-              .then(response => response.json())
+              .then(response => {
+                  if (response.status === 401 || response.status === 403) localStorage.removeItem('bb_admin_key');
+                  return response.json();
+              })
               .then(data => {
                   if (data.success) {
                       alert(`✅ Success! We found ${data.count} new products.\n\nThe AI is writing descriptions for them now. Refresh your page in a minute to see them.`);
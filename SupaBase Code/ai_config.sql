@@ -0,0 +1,9 @@
+-- ai_config.sql
+-- Per-client model choice and prompt templates (client_ai_config.js).
+-- Run once in the Supabase SQL editor.
+
+alter table clients add column if not exists ai_models jsonb;         -- { chat, extraction, render } model ids; missing = default
+alter table clients add column if not exists prompt_templates jsonb;  -- { sales_rules, render_prompt }; missing = default
+
+-- Let premium plans pick the premium models, e.g.:
+-- update plan_catalog set features = features || '{"premium_models": true}' where id = 'pro';
@@ -0,0 +1,16 @@
+-- allowed_domains.sql
+-- Websites each client's widget may run on + a log of blocked attempts (domain_guard.js).
+-- Run once in the Supabase SQL editor.
+
+alter table clients add column if not exists allowed_domains text[] not null default '{}';
+
+create table if not exists domain_violations (
+    id         bigint generated always as identity primary key,
+    client_id  bigint not null references clients(id),
+    host       text,              -- null when the request carried no Origin/Referer
+    route      text not null,
+    hits       integer not null default 1, -- repeats within a minute are folded into one row
+    created_at timestamptz not null default now()
+);
+
+create index if not exists domain_violations_client_idx on domain_violations (client_id, created_at desc);
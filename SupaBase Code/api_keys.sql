@@ -0,0 +1,21 @@
+-- api_keys.sql
+-- Secret admin keys for the dashboard / integrations (api_key_manager.js).
+-- Only SHA-256 hashes are stored. clients.api_key stays the public widget key.
+-- Run once in the Supabase SQL editor.
+
+create table if not exists client_api_keys (
+    id           uuid primary key default gen_random_uuid(),
+    client_id    bigint not null references clients(id),
+    name         text not null,
+    key_prefix   text not null,              -- e.g. 'bb_sk_Ab12Cd', shown in the dashboard
+    key_hash     text not null unique,       -- sha256 hex of the full key
+    created_at   timestamptz not null default now(),
+    last_used_at timestamptz,
+    expires_at   timestamptz,                -- set when the key is rotated (grace period)
+    revoked_at   timestamptz
+);
+
+create index if not exists client_api_keys_client_idx on client_api_keys (client_id);
+
+-- Keys are only ever read with the service key
+alter table client_api_keys enable row level security;
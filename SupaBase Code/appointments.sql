@@ -0,0 +1,84 @@
+-- appointments.sql
+-- Booking settings and booked in-home consultations (appointment_scheduler.js).
+-- Run once in the Supabase SQL editor.
+
+alter table clients add column if not exists booking_settings jsonb;       -- null = booking off (see DEFAULT_BOOKING_SETTINGS)
+
+-- Needed for "client_id with =" in the exclusion constraint below
+create extension if not exists btree_gist;
+
+create table if not exists appointments (
+    id               uuid primary key default gen_random_uuid(),
+    client_id        bigint not null references clients(id),
+    lead_id          bigint references leads(id) on delete set null,
+    conversation_id  uuid,
+    starts_at        timestamptz not null,
+    ends_at          timestamptz not null,
+    status           text not null default 'booked' check (status in ('booked', 'cancelled')),
+    customer_name    text,
+    customer_email   text,
+    customer_phone   text,
+    customer_address text,
+    created_at       timestamptz not null default now(),
+    cancelled_at     timestamptz,
+    check (ends_at > starts_at),
+    -- No two booked appointments of a client overlap (two visitors booking the same slot at once: 23P01)
+    constraint appointments_no_overlap exclude using gist (
+        client_id with =,
+        tstzrange(starts_at, ends_at) with &&
+    ) where (status = 'booked')
+);
+
+create index if not exists appointments_client_starts_idx on appointments (client_id, starts_at);
+create index if not exists appointments_lead_idx on appointments (lead_id);
+
+-- Book a slot for a lead (bookAppointment in appointment_scheduler.js). A lead or conversation
+-- holds at most one upcoming booking: the lead row and the conversation are locked while
+-- checking, so two chat turns at once can't both book.
+-- Returns { outcome: 'booked' | 'already_booked' | 'unavailable', appointment }
+-- (already_booked: the upcoming appointment; unavailable: the slot overlaps another booking).
+create or replace function book_appointment(
+    p_client_id       bigint,
+    p_lead_id         bigint,
+    p_conversation_id uuid,
+    p_starts_at       timestamptz,
+    p_ends_at         timestamptz,
+    p_customer        jsonb        -- { name, email, phone, address }
+) returns jsonb
+language plpgsql as $$
+declare
+    existing appointments;
+    booked   appointments;
+begin
+    perform 1 from leads where id = p_lead_id and client_id = p_client_id for update;
+    if p_conversation_id is not null then
+        perform pg_advisory_xact_lock(hashtext('appointments:' || p_conversation_id::text));
+    end if;
+
+    select * into existing
+      from appointments
+     where client_id = p_client_id
+       and status = 'booked'
+       and ends_at >= now()
+       and (lead_id = p_lead_id or conversation_id = p_conversation_id)
+     order by starts_at
+     limit 1;
+
+    if found then
+        return jsonb_build_object('outcome', 'already_booked', 'appointment', to_jsonb(existing));
+    end if;
+
+    begin
+        insert into appointments (client_id, lead_id, conversation_id, starts_at, ends_at, status,
+                                  customer_name, customer_email, customer_phone, customer_address)
+        values (p_client_id, p_lead_id, p_conversation_id, p_starts_at, p_ends_at, 'booked',
+                p_customer->>'name', nullif(p_customer->>'email', ''), nullif(p_customer->>'phone', ''),
+                nullif(p_customer->>'address', ''))
+        returning * into booked;
+    exception when exclusion_violation then
+        -- appointments_no_overlap: someone else took the slot a moment ago
+        return jsonb_build_object('outcome', 'unavailable');
+    end;
+
+    return jsonb_build_object('outcome', 'booked', 'appointment', to_jsonb(booked));
+end $$;
@@ -0,0 +1,25 @@
+-- auto_refill.sql
+-- Auto-refill state per client + a record of every refill charge (auto_refill_manager.js).
+-- Run once in the Supabase SQL editor.
+
+alter table clients add column if not exists auto_refill_status text not null default 'idle'
+    check (auto_refill_status in ('idle', 'pending', 'failed'));
+alter table clients add column if not exists auto_refill_status_at timestamptz;
+alter table clients add column if not exists auto_refill_monthly_cap integer;          -- cents, null = no cap
+alter table clients add column if not exists auto_refill_last_charged_at timestamptz;
+alter table clients add column if not exists last_payment_failed_at timestamptz;
+alter table clients add column if not exists last_failed_invoice_id text;
+
+create table if not exists auto_refills (
+    id                uuid primary key,
+    client_id         bigint not null references clients(id),
+    stripe_invoice_id text,
+    amount            integer not null,   -- cents
+    currency          text,
+    status            text not null check (status in ('pending', 'paid', 'failed')),
+    error             text,
+    created_at        timestamptz not null default now(),
+    finished_at       timestamptz
+);
+
+create index if not exists auto_refills_client_month_idx on auto_refills (client_id, created_at);
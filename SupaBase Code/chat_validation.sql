@@ -0,0 +1,13 @@
+-- chat_validation.sql
+-- Chat model answers that needed coercion, a repair retry or a fallback (chat_response_schema.js).
+-- Run once in the Supabase SQL editor.
+
+create table if not exists chat_validation_events (
+    id         uuid primary key default gen_random_uuid(),
+    client_id  bigint not null references clients(id),
+    outcome    text not null check (outcome in ('coerced', 'repaired', 'fallback')),
+    issues     text[] not null default '{}',
+    created_at timestamptz not null default now()
+);
+
+create index if not exists chat_validation_events_client_idx on chat_validation_events (client_id, created_at desc);
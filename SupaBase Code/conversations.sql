@@ -0,0 +1,22 @@
+-- conversations.sql
+-- Server-side chat sessions and their transcripts (conversation_manager.js).
+-- Run once in the Supabase SQL editor.
+
+create table if not exists conversations (
+    id             uuid primary key,                    -- generated by the server, sent to the widget as session_id
+    client_id      bigint not null references clients(id),
+    created_at     timestamptz not null default now(),
+    last_active_at timestamptz not null default now()
+);
+
+create index if not exists conversations_client_active_idx on conversations (client_id, last_active_at desc);
+
+create table if not exists messages (
+    id              bigint generated always as identity primary key,   -- transcript order
+    conversation_id uuid not null references conversations(id) on delete cascade,
+    role            text not null check (role in ('user', 'model')),
+    content         text not null,
+    created_at      timestamptz not null default now()
+);
+
+create index if not exists messages_conversation_idx on messages (conversation_id, id);
@@ -0,0 +1,72 @@
+-- credit_ledger.sql
+-- Append-only credit ledger + atomic balance update used by credit_ledger.js.
+-- Run once in the Supabase SQL editor. (client_id type must match clients.id)
+
+create table if not exists credit_transactions (
+    id             bigint generated always as identity primary key,
+    client_id      bigint not null references clients(id),
+    delta          integer not null,
+    balance_after  integer not null,
+    reason         text not null check (reason in (
+                       'render_debit', 'refund', 'subscription_grant', 'refill_purchase', 'manual_adjustment', 'clawback'
+                   )),
+    reference_type text,          -- 'render_job', 'stripe_invoice', 'stripe_checkout_session', ...
+    reference_id   text,
+    note           text,
+    created_at     timestamptz not null default now()
+);
+
+create index if not exists credit_transactions_client_idx on credit_transactions (client_id, id desc);
+create index if not exists credit_transactions_reference_idx on credit_transactions (reference_type, reference_id);
+
+-- Upgrade path for ledgers created before 'clawback' (Stripe refunds) existed
+alter table credit_transactions drop constraint if exists credit_transactions_reason_check;
+alter table credit_transactions add constraint credit_transactions_reason_check check (reason in (
+    'render_debit', 'refund', 'subscription_grant', 'refill_purchase', 'manual_adjustment', 'clawback'
+));
+
+-- The ledger is append-only: corrections are new rows, never edits
+create or replace function credit_transactions_block_changes() returns trigger
+language plpgsql as $$
+begin
+    raise exception 'credit_transactions is append-only';
+end $$;
+
+drop trigger if exists credit_transactions_append_only on credit_transactions;
+create trigger credit_transactions_append_only
+    before update or delete on credit_transactions
+    for each row execute function credit_transactions_block_changes();
+
+-- Change the balance and write the ledger row in one transaction.
+-- A debit that would take the balance below zero is rejected (applied = false),
+-- unless p_allow_negative is set (clawing back credits that were already spent).
+drop function if exists apply_credit_transaction(bigint, integer, text, text, text, text);
+create or replace function apply_credit_transaction(
+    p_client_id      bigint,
+    p_delta          integer,
+    p_reason         text,
+    p_reference_type text default null,
+    p_reference_id   text default null,
+    p_note           text default null,
+    p_allow_negative boolean default false
+) returns table (applied boolean, balance integer)
+language plpgsql as $$
+declare
+    new_balance integer;
+begin
+    update clients
+       set image_credits = coalesce(image_credits, 0) + p_delta
+     where id = p_client_id
+       and (p_allow_negative or coalesce(image_credits, 0) + p_delta >= 0)
+    returning image_credits into new_balance;
+
+    if not found then
+        return query select false, (select coalesce(c.image_credits, 0) from clients c where c.id = p_client_id);
+        return;
+    end if;
+
+    insert into credit_transactions (client_id, delta, balance_after, reason, reference_type, reference_id, note)
+    values (p_client_id, p_delta, new_balance, p_reason, p_reference_type, p_reference_id, p_note);
+
+    return query select true, new_balance;
+end $$;
@@ -0,0 +1,96 @@
+-- lead_dedup.sql
+-- Normalized lookup keys for lead matching and the 'merge' history event (lead_dedup.js, leads_manager.js).
+-- Run once in the Supabase SQL editor, after lead_pipeline.sql.
+
+alter table leads add column if not exists email_normalized text;   -- trimmed, lowercased
+alter table leads add column if not exists phone_e164 text;         -- +15551234567
+
+create index if not exists leads_client_email_idx on leads (client_id, email_normalized);
+create index if not exists leads_client_phone_idx on leads (client_id, phone_e164);
+create index if not exists leads_client_conversation_idx on leads (client_id, conversation_id);
+
+-- Backfill existing rows (phones: North American numbers only - others are set on the next save)
+update leads
+   set email_normalized = lower(trim(customer_email))
+ where email_normalized is null
+   and customer_email like '%@%.%';
+
+update leads
+   set phone_e164 = case
+           when length(regexp_replace(customer_phone, '\D', '', 'g')) = 10
+               then '+1' || regexp_replace(customer_phone, '\D', '', 'g')
+           when length(regexp_replace(customer_phone, '\D', '', 'g')) = 11
+                and regexp_replace(customer_phone, '\D', '', 'g') like '1%'
+               then '+' || regexp_replace(customer_phone, '\D', '', 'g')
+       end
+ where phone_e164 is null
+   and customer_phone is not null
+   and customer_phone not like '+%';
+
+alter table lead_events drop constraint if exists lead_events_kind_check;
+alter table lead_events add constraint lead_events_kind_check check (kind in ('stage', 'owner', 'note', 'merge'));
+
+-- Manual merge in one transaction (mergeLeads in leads_manager.js): the surviving lead gets
+-- the merged fields, notes/history and appointments move over, the merge is recorded and the
+-- duplicate deleted.
+-- p_merged: columns from buildMergedLead(). Returns the merged lead, or no row if either
+-- lead isn't this client's.
+create or replace function merge_leads(
+    p_client_id bigint,
+    p_keep_id   bigint,
+    p_drop_id   bigint,
+    p_merged    jsonb,
+    p_note      text
+) returns setof leads
+language plpgsql as $$
+declare
+    merged leads;
+    found_count integer;
+begin
+    -- Lock both rows so a concurrent merge or save waits for this one
+    select count(*) into found_count
+      from (select id from leads
+             where client_id = p_client_id and id in (p_keep_id, p_drop_id)
+             for update) locked;
+
+    if p_keep_id = p_drop_id or found_count <> 2 then
+        return;
+    end if;
+
+    merged := jsonb_populate_record(null::leads, p_merged);
+
+    update leads
+       set customer_name       = merged.customer_name,
+           customer_phone      = merged.customer_phone,
+           customer_email      = merged.customer_email,
+           customer_address    = merged.customer_address,
+           email_normalized    = merged.email_normalized,
+           phone_e164          = merged.phone_e164,
+           project_summary     = merged.project_summary,
+           appointment_request = merged.appointment_request,
+           preferred_method    = merged.preferred_method,
+           quality_score       = merged.quality_score,
+           ai_summary          = merged.ai_summary,
+           full_transcript     = merged.full_transcript,
+           customer_images     = merged.customer_images,
+           ai_rendering_url    = merged.ai_rendering_url,
+           conversation_id     = merged.conversation_id,
+           stage               = merged.stage,
+           owner               = merged.owner,
+           last_updated        = merged.last_updated
+     where id = p_keep_id;
+
+    update lead_events set lead_id = p_keep_id where lead_id = p_drop_id;
+
+    -- Booked visits stay with the customer (appointments.sql may not be installed yet)
+    if to_regclass('appointments') is not null then
+        execute 'update appointments set lead_id = $1 where lead_id = $2' using p_keep_id, p_drop_id;
+    end if;
+
+    insert into lead_events (lead_id, client_id, kind, from_value, to_value, note, created_at)
+    values (p_keep_id, p_client_id, 'merge', p_drop_id::text, p_keep_id::text, p_note, coalesce(merged.last_updated, now()));
+
+    delete from leads where id = p_drop_id and client_id = p_client_id;
+
+    return query select * from leads where id = p_keep_id;
+end $$;
@@ -0,0 +1,25 @@
+-- lead_pipeline.sql
+-- Pipeline stages, owner and activity log for leads (lead_pipeline.js).
+-- Run once in the Supabase SQL editor. (lead_id type must match leads.id)
+
+alter table leads add column if not exists stage text not null default 'new'
+    check (stage in ('new', 'contacted', 'quoted', 'booked', 'won', 'lost'));
+alter table leads add column if not exists owner text;
+alter table leads add column if not exists stage_changed_at timestamptz;
+
+create index if not exists leads_client_stage_idx on leads (client_id, stage, last_updated desc);
+
+create table if not exists lead_events (
+    id         uuid primary key default gen_random_uuid(),
+    lead_id    bigint not null references leads(id) on delete cascade,
+    client_id  bigint not null references clients(id),
+    kind       text not null check (kind in ('stage', 'owner', 'note')),
+    from_value text,
+    to_value   text,
+    note       text,
+    author     text,                -- name/email sent with the change
+    api_key_id uuid,                -- admin key that made it
+    created_at timestamptz not null default now()
+);
+
+create index if not exists lead_events_lead_idx on lead_events (lead_id, created_at);
@@ -0,0 +1,9 @@
+-- lead_scoring.sql
+-- Reproducible lead score and its breakdown (lead_scoring.js).
+-- Run once in the Supabase SQL editor, then POST /leads/rescore to score existing leads.
+
+alter table leads add column if not exists lead_score integer check (lead_score between 0 and 100);
+alter table leads add column if not exists score_breakdown jsonb;   -- { version, signals: [{ signal, points, max, detail }] }
+alter table leads add column if not exists scored_at timestamptz;
+
+create index if not exists leads_client_score_idx on leads (client_id, lead_score desc nulls last);
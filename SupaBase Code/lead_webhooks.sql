@@ -0,0 +1,27 @@
+-- lead_webhooks.sql
+-- Per-client CRM webhook settings and the delivery log / retry queue (lead_webhooks.js).
+-- Run once in the Supabase SQL editor.
+
+alter table clients add column if not exists lead_webhook_url text;
+alter table clients add column if not exists lead_webhook_secret text;     -- whsec_... (HMAC key, shown to the client)
+alter table clients add column if not exists lead_webhook_enabled boolean not null default true;
+
+create table if not exists lead_webhook_deliveries (
+    id              uuid primary key,                   -- also sent as X-BB-Delivery and payload.id
+    client_id       bigint not null references clients(id),
+    lead_id         bigint references leads(id) on delete set null,
+    event           text not null check (event in ('lead.created', 'lead.updated', 'ping')),
+    payload         jsonb not null,
+    url             text,                               -- where the last attempt went
+    status          text not null default 'pending' check (status in ('pending', 'sending', 'delivered', 'failed')),
+    attempts        integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    last_status     integer,                            -- HTTP status of the last attempt
+    last_error      text,
+    created_at      timestamptz not null default now(),
+    sending_at      timestamptz,
+    delivered_at    timestamptz
+);
+
+create index if not exists lead_webhook_deliveries_queue_idx on lead_webhook_deliveries (status, next_attempt_at);
+create index if not exists lead_webhook_deliveries_client_idx on lead_webhook_deliveries (client_id, created_at desc);
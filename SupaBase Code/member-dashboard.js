@@ -23,10 +23,26 @@ serve(async (req) => {
     )
 
     // -----------------------------------------------------------
-    // 1. CONFIGURATION (REPLACE THESE WITH YOUR REAL IDS!)
+    // 1. CONFIGURATION (Prices come from the plan_catalog table)
     // -----------------------------------------------------------
-    const CREDITS_PRICE_ID = 'price_1ScdSFGwRTh0iDhh6GMbxxgp' // e.g. price_123... (For 100 Credits)
-    const SUBS_PRICE_ID = 'price_1ScdJ7GwRTh0iDhhIPUEh16m'    // e.g. price_456... (For Monthly Sub)
+    // Same catalog the Node server uses, so both sides always sell the same products.
+    const loadPrice = async (kind: string, planId?: string) => {
+      let query = supabaseClient
+        .from('plan_catalog')
+        .select('id, stripe_price_id, is_default')
+        .eq('kind', kind)
+        .eq('active', true)
+        .not('stripe_price_id', 'is', null)
+
+      if (planId) query = query.eq('id', planId)
+
+      const { data: plans, error } = await query
+      if (error) throw error
+
+      const plan = plans?.find((p: any) => p.is_default) ?? plans?.[0]
+      if (!plan) throw new Error(`No ${kind} price configured in plan_catalog`)
+      return plan.stripe_price_id
+    }
 
     // -----------------------------------------------------------
     // 2. GET REQUEST (Load Dashboard Stats)
@@ -79,7 +95,7 @@ serve(async (req) => {
     // =========================================================
     if (action === 'buy_credits') {
         sessionConfig.mode = 'payment' // One-time
-        sessionConfig.line_items = [{ price: CREDITS_PRICE_ID, quantity: 1 }]
+        sessionConfig.line_items = [{ price: await loadPrice('credit_pack', payload?.packId), quantity: 1 }]
         
         const session = await stripe.checkout.sessions.create(sessionConfig)
         return new Response(JSON.stringify({ url: session.url }), { headers: { ...corsHeaders, 'Content-Type': 'application/json' } })
@@ -90,7 +106,7 @@ serve(async (req) => {
     // =========================================================
     if (action === 'buy_subscription') {
         sessionConfig.mode = 'subscription' // Recurring
-        sessionConfig.line_items = [{ price: SUBS_PRICE_ID, quantity: 1 }]
+        sessionConfig.line_items = [{ price: await loadPrice('subscription', payload?.planId), quantity: 1 }]
 
         const session = await stripe.checkout.sessions.create(sessionConfig)
         return new Response(JSON.stringify({ url: session.url }), { headers: { ...corsHeaders, 'Content-Type': 'application/json' } })
@@ -165,7 +181,7 @@ serve(async (req) => {
         // 3. SCENARIO B: INACTIVE USER (Send to Checkout)
         // (No changes needed here - Checkout handles the initial setup)
         sessionConfig.mode = 'subscription'
-        sessionConfig.line_items = [{ price: SUBS_PRICE_ID, quantity: 1 }]
+        sessionConfig.line_items = [{ price: await loadPrice('subscription', payload?.planId), quantity: 1 }]
         sessionConfig.discounts = [{ coupon: couponCode }]
         sessionConfig.metadata = { redeemed_coupon: couponCode }
 
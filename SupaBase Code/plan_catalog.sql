@@ -0,0 +1,36 @@
+-- plan_catalog.sql
+-- Plans and credit packs used by plan_catalog.js and the member-dashboard function.
+-- Run once in the Supabase SQL editor, then manage plans by editing rows.
+
+create table if not exists plan_catalog (
+    id                text primary key,              -- 'starter', 'pro', 'credits_300', ...
+    kind              text not null check (kind in ('subscription', 'credit_pack')),
+    tier              text,                          -- subscriptions only
+    name              text not null,
+    stripe_product_id text not null unique,
+    stripe_price_id   text,                          -- price used for checkout / auto-refill
+    credits_per_unit  integer not null default 0,    -- credit packs: credits per quantity bought
+    monthly_allowance integer not null default 0,    -- subscriptions: credits granted per paid invoice
+    features          jsonb not null default '{}',   -- { "max_products": 50, "max_training_pdfs": 5 } (missing = unlimited)
+    is_default        boolean not null default false, -- default signup plan / auto-refill pack
+    active            boolean not null default true,
+    created_at        timestamptz not null default now()
+);
+
+alter table clients add column if not exists plan_id text references plan_catalog(id);
+
+-- The dashboard (anon key + user JWT) needs to read prices for checkout
+alter table plan_catalog enable row level security;
+drop policy if exists plan_catalog_read on plan_catalog;
+create policy plan_catalog_read on plan_catalog for select using (active);
+
+-- Current plans (previously hard-coded in stripe_handler.js)
+insert into plan_catalog (id, kind, tier, name, stripe_product_id, stripe_price_id, credits_per_unit, monthly_allowance, features, is_default)
+values
+    ('starter',     'subscription', 'starter', 'Starter',     'prod_Tn4FHxNAnhesep', 'price_1ScdJ7GwRTh0iDhhIPUEh16m', 0,   100, '{"max_training_pdfs": 5}', true),
+    ('credits_300', 'credit_pack',  null,      '300 Credits', 'prod_Tn3n7Rv1dsonQn', 'price_1SpTgAQh2fQ2r8jEPRLQtZ4T', 300, 0,   '{}',                        true)
+on conflict (id) do nothing;
+
+-- Databases seeded before the subscription price was filled in (checkout needs it)
+update plan_catalog set stripe_price_id = 'price_1ScdJ7GwRTh0iDhhIPUEh16m'
+ where id = 'starter' and stripe_price_id is null;
@@ -0,0 +1,24 @@
+-- render_cache.sql
+-- Reuse renders for the same photo + product + color + options (render_cache.js).
+-- Run once in the Supabase SQL editor.
+
+create table if not exists render_cache (
+    cache_key    text primary key,             -- sha256 of client, photo bytes, product, color, prompt, options
+    client_id    bigint not null references clients(id),
+    product_name text,
+    color        text,
+    render       jsonb not null,               -- { label, color, url, comparison_url }
+    before_url   text,
+    bytes        integer not null default 0,   -- render + comparison size, counted against the budget
+    hits         integer not null default 0,
+    created_at   timestamptz not null default now(),
+    last_used_at timestamptz not null default now(),
+    expires_at   timestamptz not null
+);
+
+create index if not exists render_cache_client_idx on render_cache (client_id, last_used_at desc);
+
+alter table render_jobs add column if not exists cache_hit boolean not null default false;
+
+alter table clients add column if not exists render_cache_budget_mb integer
+    check (render_cache_budget_mb between 0 and 10000);  -- null = default (250)
@@ -0,0 +1,27 @@
+-- render_jobs.sql
+-- Durable render jobs, run by the render worker (render_worker.js).
+-- Run once in the Supabase SQL editor, before the other render_*.sql files.
+
+create table if not exists render_jobs (
+    id               uuid primary key default gen_random_uuid(),
+    client_id        bigint not null references clients(id),
+    conversation_id  uuid,                               -- chat the render goes back to (transcript + lead gallery)
+    status           text not null default 'queued' check (status in ('queued', 'running', 'done', 'failed')),
+    source_image_url text,
+    prompt           text,
+    product_name     text,
+    color_info       jsonb,                              -- colours offered under the finished render
+    result_url       text,
+    error            text,
+    credit_refunded  boolean not null default false,     -- jobs paid up front (before charge-on-accept): set once, so never refunded twice
+    created_at       timestamptz not null default now(),
+    started_at       timestamptz,
+    heartbeat_at     timestamptz,                        -- refreshed while running; a stale heartbeat = dead worker
+    finished_at      timestamptz
+);
+
+-- Databases that already had render_jobs before the heartbeat
+alter table render_jobs add column if not exists heartbeat_at timestamptz;
+
+create index if not exists render_jobs_queue_idx on render_jobs (status, created_at);
+create index if not exists render_jobs_conversation_idx on render_jobs (conversation_id);
@@ -0,0 +1,12 @@
+-- render_variants.sql
+-- Multiple renders per job + before/after comparison images (render_worker.js).
+-- Run once in the Supabase SQL editor.
+
+alter table render_jobs add column if not exists variants jsonb;          -- [{label, color, prompt}] -> [{label, color, url, comparison_url}]
+alter table render_jobs add column if not exists credits_charged integer not null default 1;
+alter table render_jobs add column if not exists before_url text;         -- original resized to the render (slider)
+alter table render_jobs add column if not exists comparison_url text;     -- side-by-side image of the first variant
+
+alter table clients add column if not exists render_variants integer not null default 1
+    check (render_variants between 1 and 4);
+alter table clients add column if not exists render_comparison boolean not null default true;
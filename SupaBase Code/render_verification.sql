@@ -0,0 +1,8 @@
+-- render_verification.sql
+-- Post-render verification verdicts (render_verifier.js). The verdicts themselves live in
+-- render_jobs.variants[].verification; this counter makes rejected renders easy to find.
+-- Run once in the Supabase SQL editor.
+
+alter table render_jobs add column if not exists rejected_count integer not null default 0;
+
+create index if not exists render_jobs_rejected_idx on render_jobs (created_at desc) where rejected_count > 0;
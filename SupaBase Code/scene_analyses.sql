@@ -0,0 +1,9 @@
+-- scene_analyses.sql
+-- Cached room analysis per uploaded photo (scene_analyzer.js).
+-- Run once in the Supabase SQL editor.
+
+create table if not exists scene_analyses (
+    image_url  text primary key,
+    analysis   jsonb not null,   -- { window_count, window_types, room_type, lighting, existing_treatments, has_fireplace, notes }
+    created_at timestamptz not null default now()
+);
@@ -0,0 +1,18 @@
+-- stripe_events.sql
+-- Stripe webhook event log (stripe_handler.js): every delivery is claimed here before it is
+-- processed, so retries and duplicate deliveries never apply an event twice.
+-- Run once in the Supabase SQL editor - the webhook returns 500 until this table exists.
+
+create table if not exists stripe_events (
+    id           text primary key,                   -- Stripe event id (evt_...)
+    type         text not null,
+    payload      jsonb not null,                     -- full event, for /admin/stripe-events/:id/replay
+    status       text not null default 'processing' check (status in ('processing', 'processed', 'failed')),
+    error        text,
+    attempts     integer not null default 1,
+    received_at  timestamptz not null default now(), -- last claim; a stale 'processing' row is retried
+    processed_at timestamptz
+);
+
+create index if not exists stripe_events_received_idx on stripe_events (received_at desc);
+create index if not exists stripe_events_status_idx on stripe_events (status, received_at desc);
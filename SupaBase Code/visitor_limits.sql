@@ -0,0 +1,7 @@
+-- visitor_limits.sql
+-- Per-client cap on renders per visitor per day (visitor_limiter.js).
+-- Run once in the Supabase SQL editor.
+
+-- null = built-in default (10); 0 turns visitor previews off
+alter table clients add column if not exists visitor_render_limit integer
+    check (visitor_render_limit is null or visitor_render_limit between 0 and 1000);
@@ -0,0 +1,6 @@
+-- window_regions.sql
+-- Per-window renders: the visitor marks one window on their photo (render_pipeline.js).
+-- Run once in the Supabase SQL editor.
+
+-- {x, y, w, h} as fractions (0-1) of the photo; null = treat the whole room
+alter table render_jobs add column if not exists region jsonb;
@@ -0,0 +1,19 @@
+// admin_auth.js
+import { timingSafeEqual } from 'crypto';
+
+// Guard for operator-only routes (event replay, etc.)
+// Callers send the ADMIN_SECRET env value in the x-admin-secret header.
+export function requireAdminSecret(req, res, next) {
+    const expected = process.env.ADMIN_SECRET;
+    if (!expected) {
+        return res.status(503).json({ error: "Admin API disabled (ADMIN_SECRET not set)" });
+    }
+
+    const provided = Buffer.from(req.get('x-admin-secret') || '');
+    const secret = Buffer.from(expected);
+
+    if (provided.length !== secret.length || !timingSafeEqual(provided, secret)) {
+        return res.status(401).json({ error: "Unauthorized" });
+    }
+    next();
+}
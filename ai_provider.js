@@ -0,0 +1,131 @@
+// ai_provider.js
+import dotenv from 'dotenv';
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { wrapGeminiCall } from './rate_limiter.js';
+import { createStubProvider } from './ai_stub_provider.js';
+
+dotenv.config();
+
+// One place that talks to AI vendors. Modules ask for a capability and name their
+// task; the provider picks the model. Inputs use Gemini-style parts (strings,
+// { text } and { inlineData: { data, mimeType } }) - what image_utils.js already produces.
+//
+// A provider implements:
+//   generateText({ task, model, system, parts, priority })   -> Promise<string>
+//   extractJson({ task, model, system, parts, priority })    -> Promise<Object>   (documents/text -> JSON)
+//   analyzeImages({ task, model, system, parts, priority })  -> Promise<Object>   (vision classification -> JSON)
+//   editImage({ task, model, prompt, image, priority })      -> Promise<Buffer>   (image-to-image)
+//   streamChat({ task, model, system, history, parts, json, priority })
+//       -> Promise<{ stream: AsyncIterable<string>, text: Promise<string> }>
+// `priority: true` is for requests a visitor is waiting on (rate_limiter.js queue).
+// `model` overrides the task's default (per-client choice, see client_ai_config.js).
+//
+// AI_PROVIDER=stub runs everything offline with canned answers (ai_stub_provider.js).
+
+// Model per task (Gemini)
+export const GEMINI_MODELS = {
+    chat: "gemini-3-flash-preview",
+    scene_analysis: "gemini-3-flash-preview",
+    render_verification: "gemini-3-flash-preview",
+    product_specs: "gemini-3-flash-preview",
+    persona: "gemini-3-flash-preview",
+    product_match: "gemini-2.0-flash",       // Fast visual check while scraping
+    render: "gemini-3-pro-image-preview"    // Nano Banana Pro
+};
+
+// ==================================================================
+// 1. GEMINI
+// ==================================================================
+export function createGeminiProvider({ apiKey = process.env.GEMINI_API_KEY, models = GEMINI_MODELS } = {}) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    const getModel = (task, { model: chosen, system, json } = {}) => {
+        const model = chosen || models[task];
+        if (!model) throw new Error(`No Gemini model configured for task "${task}"`);
+
+        return genAI.getGenerativeModel({
+            model,
+            ...(system ? { systemInstruction: system } : {}),
+            ...(json ? { generationConfig: { responseMimeType: "application/json" } } : {})
+        });
+    };
+
+    const generate = async ({ task, model: chosen, system, parts, priority = false }, json) => {
+        const model = getModel(task, { model: chosen, system, json });
+        const result = await wrapGeminiCall(() => model.generateContent(parts), priority);
+        return result.response.text();
+    };
+
+    return {
+        name: 'gemini',
+
+        generateText: (request) => generate(request, false),
+
+        extractJson: async (request) => JSON.parse(await generate(request, true)),
+
+        analyzeImages: async (request) => JSON.parse(await generate(request, true)),
+
+        async editImage({ task = 'render', model: chosen, prompt, image, priority = false }) {
+            const model = getModel(task, { model: chosen });
+            const result = await wrapGeminiCall(() => model.generateContent([prompt, image]), priority);
+            const response = result.response;
+
+            if (!response.candidates || !response.candidates[0].content.parts) {
+                throw new Error("No image generated.");
+            }
+            const generatedPart = response.candidates[0].content.parts.find(p => p.inlineData);
+            if (!generatedPart) throw new Error("API returned text but no image.");
+
+            return Buffer.from(generatedPart.inlineData.data, 'base64');
+        },
+
+        async streamChat({ task = 'chat', model: chosen, system, history = [], parts, json = false, priority = false }) {
+            const model = getModel(task, { model: chosen, system, json });
+            const result = await wrapGeminiCall(
+                () => model.startChat({ history }).sendMessageStream(parts),
+                priority
+            );
+
+            const text = result.response.then(response => response.text());
+            text.catch(() => {}); // The caller sees the error from the stream; don't crash on the unawaited copy
+
+            return {
+                stream: (async function* () {
+                    for await (const chunk of result.stream) yield chunk.text();
+                })(),
+                text
+            };
+        }
+    };
+}
+
+// ==================================================================
+// 2. REGISTRY
+// ==================================================================
+const factories = {
+    gemini: createGeminiProvider,
+    stub: createStubProvider
+};
+const instances = new Map();
+
+/**
+ * Add another vendor (name -> factory returning the interface above)
+ */
+export function registerAIProvider(name, factory) {
+    factories[name] = factory;
+    instances.delete(name);
+}
+
+/**
+ * The provider to use (AI_PROVIDER env, default Gemini)
+ * @param {string} [name] - Ask for a specific provider
+ */
+export function getAIProvider(name = process.env.AI_PROVIDER || 'gemini') {
+    if (!instances.has(name)) {
+        const factory = factories[name];
+        if (!factory) throw new Error(`Unknown AI provider "${name}"`);
+        instances.set(name, factory());
+        console.log(`🤖 AI provider: ${name}`);
+    }
+    return instances.get(name);
+}
@@ -0,0 +1,111 @@
+// ai_stub_provider.js
+import sharp from 'sharp';
+
+// Offline AI provider (AI_PROVIDER=stub). Same interface as the Gemini provider in
+// ai_provider.js, but nothing leaves the machine: JSON tasks get canned answers,
+// text tasks get fixed text, and renders are a tinted copy of the input photo.
+// Same input -> same output, so flows can be run and checked without a network.
+
+const STUB_TINT = { r: 150, g: 185, b: 230 }; // Cool blue, obviously not a real render
+
+// Canned JSON per task (shape matches what each caller normalizes)
+const CANNED_JSON = {
+    scene_analysis: {
+        window_count: 1,
+        window_types: ['standard'],
+        room_type: 'living_room',
+        lighting: 'bright',
+        existing_treatments: [],
+        has_fireplace: false,
+        notes: 'Offline stub analysis.'
+    },
+    render_verification: {
+        treatment_visible: true,
+        layout_preserved: true,
+        same_framing: true,
+        reason: 'Offline stub: not checked.'
+    },
+    product_specs: {
+        var_transparency: 'Light filtering',
+        var_control: 'Cordless',
+        var_structure: 'Standard',
+        var_hardware: 'Standard valance',
+        var_extras: 'None',
+        var_colors: 'White, Grey, Beige',
+        var_restrictions: 'Standard installation',
+        ai_description: 'Offline stub description.'
+    }
+};
+
+const CANNED_TEXT = {
+    persona: 'You are the sales assistant for this company. Be friendly, answer questions about window treatments, and offer a free in-home consultation.',
+    product_match: 'NEW'
+};
+
+// Text the visitor typed in this turn
+function lastUserText(parts) {
+    return (parts || [])
+        .map(p => typeof p === 'string' ? p : p.text || '')
+        .join(' ')
+        .trim();
+}
+
+// Chat answer in the /chat JSON shape; "options"/"styles" opens the product menu
+function cannedChatReply(parts) {
+    const text = lastUserText(parts);
+    const wantsMenu = /\b(options?|styles?|products?|blinds|shades|show me)\b/i.test(text);
+
+    return {
+        reply: wantsMenu
+            ? "Here are our options (offline demo). Pick one to preview it on your window."
+            : `Thanks for your message (offline demo). You said: "${text.substring(0, 200)}"`,
+        product_suggestions: wantsMenu ? [{ name: 'trigger' }] : [],
+        visualize: false,
+        selected_product_name: null,
+        lead_data: {
+            name: null,
+            phone: null,
+            email: null,
+            address: null,
+            project_summary: null,
+            appointment_request: null,
+            preferred_method: null,
+            quality_score: 1,
+            ai_summary: 'Offline demo conversation.'
+        },
+        window_specs: { width_in: null, height_in: null, mount_depth_in: null, room_type: null }
+    };
+}
+
+export function createStubProvider() {
+    const json = async ({ task, parts }) => structuredClone(task === 'chat' ? cannedChatReply(parts) : CANNED_JSON[task] || {});
+
+    return {
+        name: 'stub',
+
+        generateText: async ({ task }) => CANNED_TEXT[task] || '',
+
+        extractJson: json,
+
+        analyzeImages: json,
+
+        async editImage({ image }) {
+            return sharp(Buffer.from(image.inlineData.data, 'base64'))
+                .tint(STUB_TINT)
+                .png()
+                .toBuffer();
+        },
+
+        async streamChat({ parts }) {
+            const text = JSON.stringify(cannedChatReply(parts));
+
+            return {
+                // A few chunks, so streaming code paths run as they do live
+                stream: (async function* () {
+                    for (let i = 0; i < text.length; i += 40) yield text.slice(i, i + 40);
+                })(),
+                text: Promise.resolve(text)
+            };
+        }
+    };
+}
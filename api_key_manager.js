@@ -0,0 +1,307 @@
+// api_key_manager.js
+import { randomBytes, createHash } from 'crypto';
+import { requireAdminSecret } from './admin_auth.js';
+
+// Two kinds of keys:
+//   - Public widget key (clients.api_key): embedded in the widget.js script tag.
+//     Only good for visitor-facing routes (chat, uploads, widget config).
+//   - Secret admin keys (client_api_keys): for the dashboard / integrations.
+//     Sent as "Authorization: Bearer bb_sk_..." (or x-api-key). Only a SHA-256
+//     hash is stored, the plaintext is shown once when the key is created.
+//
+// Supabase table client_api_keys:
+//   id (uuid), client_id, name, key_prefix, key_hash, created_at, last_used_at,
+//   expires_at (set on rotation), revoked_at
+
+const SECRET_KEY_PREFIX = 'bb_sk_';
+const PUBLIC_KEY_PREFIX = 'bb_pk_';
+const DEFAULT_ROTATION_GRACE_HOURS = 24;   // Old key keeps working this long after a rotation
+const MAX_ROTATION_GRACE_HOURS = 168;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ==================================================================
+// 1. KEY MATERIAL
+// ==================================================================
+export function hashApiKey(key) {
+    return createHash('sha256').update(String(key)).digest('hex');
+}
+
+function generateSecretKey() {
+    return SECRET_KEY_PREFIX + randomBytes(24).toString('base64url');
+}
+
+// Public shape of a key record (never includes the hash)
+function formatKey(record) {
+    return {
+        id: record.id,
+        name: record.name,
+        prefix: record.key_prefix,
+        createdAt: record.created_at,
+        lastUsedAt: record.last_used_at,
+        expiresAt: record.expires_at,
+        revokedAt: record.revoked_at
+    };
+}
+
+// ==================================================================
+// 2. KEY MANAGEMENT
+// ==================================================================
+
+/**
+ * Create a secret admin key for a client
+ * @returns {Promise<{key: Object, secret: string}>} - secret is the only copy of the plaintext
+ */
+export async function createAdminKey(supabase, clientId, name = 'Admin key') {
+    const secret = generateSecretKey();
+
+    const { data, error } = await supabase
+        .from('client_api_keys')
+        .insert({
+            client_id: clientId,
+            name: String(name).substring(0, 60),
+            key_prefix: secret.substring(0, SECRET_KEY_PREFIX.length + 6),
+            key_hash: hashApiKey(secret),
+            created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    console.log(`🔑 Admin key ${data.key_prefix}… created for client ${clientId}`);
+    return { key: formatKey(data), secret };
+}
+
+export async function listAdminKeys(supabase, clientId) {
+    const { data, error } = await supabase
+        .from('client_api_keys')
+        .select('*')
+        .eq('client_id', clientId)
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return (data || []).map(formatKey);
+}
+
+async function getActiveKey(supabase, clientId, keyId) {
+    if (!UUID_REGEX.test(keyId || '')) return null;
+
+    const { data, error } = await supabase
+        .from('client_api_keys')
+        .select('*')
+        .eq('id', keyId)
+        .eq('client_id', clientId)
+        .is('revoked_at', null)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+export async function revokeAdminKey(supabase, clientId, keyId) {
+    if (!UUID_REGEX.test(keyId || '')) return null;
+
+    const { data, error } = await supabase
+        .from('client_api_keys')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', keyId)
+        .eq('client_id', clientId)
+        .is('revoked_at', null)
+        .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    console.log(`🔒 Admin key ${data[0].key_prefix}… revoked for client ${clientId}`);
+    return formatKey(data[0]);
+}
+
+/**
+ * Replace a key: issue a new one and let the old one expire after a grace period
+ * so deployed integrations can be switched over without downtime.
+ * @returns {Promise<{key: Object, secret: string, previous: Object}|null>} - null if the key doesn't exist
+ */
+export async function rotateAdminKey(supabase, clientId, keyId, graceHours = DEFAULT_ROTATION_GRACE_HOURS) {
+    const existing = await getActiveKey(supabase, clientId, keyId);
+    if (!existing) return null;
+
+    const grace = Math.min(Math.max(Number(graceHours) || 0, 0), MAX_ROTATION_GRACE_HOURS);
+    const created = await createAdminKey(supabase, clientId, existing.name);
+
+    const expiresAt = new Date(Date.now() + grace * 60 * 60 * 1000).toISOString();
+    const { data: previous, error } = await supabase
+        .from('client_api_keys')
+        .update(grace > 0 ? { expires_at: expiresAt } : { revoked_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+    return { ...created, previous: formatKey(previous) };
+}
+
+// Issue a new public widget key. Every embed must be updated with the new key.
+export async function rotatePublicKey(supabase, clientId) {
+    const apiKey = PUBLIC_KEY_PREFIX + randomBytes(16).toString('hex');
+
+    const { error } = await supabase
+        .from('clients')
+        .update({ api_key: apiKey })
+        .eq('id', clientId);
+
+    if (error) throw error;
+
+    console.log(`🔑 Public widget key rotated for client ${clientId}`);
+    return apiKey;
+}
+
+// ==================================================================
+// 3. AUTHENTICATION
+// ==================================================================
+function readSecretFromRequest(req) {
+    const auth = req.get('authorization') || '';
+    if (auth.toLowerCase().startsWith('bearer ')) return auth.substring(7).trim();
+    return (req.get('x-api-key') || '').trim();
+}
+
+/**
+ * Resolve the client behind the request's admin key
+ * @returns {Promise<{client: Object, keyId: string}|null>} - null if missing, unknown, revoked or expired
+ */
+export async function authenticateAdminKey(supabase, req) {
+    const secret = readSecretFromRequest(req);
+    if (!secret.startsWith(SECRET_KEY_PREFIX)) return null;
+
+    const { data: record, error } = await supabase
+        .from('client_api_keys')
+        .select('id, client_id, expires_at, revoked_at')
+        .eq('key_hash', hashApiKey(secret))
+        .maybeSingle();
+
+    if (error || !record || record.revoked_at) return null;
+    if (record.expires_at && new Date(record.expires_at).getTime() <= Date.now()) return null;
+
+    const { data: client } = await supabase
+        .from('clients')
+        .select('id, api_key, company_name, email')
+        .eq('id', record.client_id)
+        .single();
+
+    if (!client) return null;
+
+    // Best effort - a failed timestamp write shouldn't block the request
+    supabase.from('client_api_keys')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('id', record.id)
+        .then(() => {}, () => {});
+
+    return { client, keyId: record.id };
+}
+
+/**
+ * Express middleware for privileged routes. Sets req.client.
+ * Routes that still take the public key (URL or body) must name the same client,
+ * so a dashboard can't be pointed at someone else's account.
+ */
+export function requireAdminKey(supabase) {
+    return async (req, res, next) => {
+        try {
+            const auth = await authenticateAdminKey(supabase, req);
+            if (!auth) {
+                return res.status(401).json({ error: "A valid admin API key is required (Authorization: Bearer bb_sk_...)" });
+            }
+
+            const publicKey = req.params.apiKey || req.body?.clientApiKey || req.body?.apiKey;
+            if (publicKey && publicKey !== auth.client.api_key) {
+                return res.status(403).json({ error: "API key does not belong to this account" });
+            }
+
+            req.client = auth.client;
+            req.apiKeyId = auth.keyId;
+            next();
+
+        } catch (err) {
+            console.error("Admin Key Auth Error:", err.message);
+            res.status(500).json({ error: "Authentication failed" });
+        }
+    };
+}
+
+// ==================================================================
+// 4. ROUTES
+// ==================================================================
+export function setupApiKeyRoutes(app, supabase) {
+    const adminKey = requireAdminKey(supabase);
+
+    app.get('/api-keys', adminKey, async (req, res) => {
+        try {
+            const keys = await listAdminKeys(supabase, req.client.id);
+            res.json({ publicKey: req.client.api_key, keys });
+        } catch (err) {
+            console.error("List Keys Error:", err.message);
+            res.status(500).json({ error: "Failed to list keys" });
+        }
+    });
+
+    app.post('/api-keys', adminKey, async (req, res) => {
+        try {
+            const { key, secret } = await createAdminKey(supabase, req.client.id, req.body?.name || 'Admin key');
+            res.status(201).json({ key, secret });
+        } catch (err) {
+            console.error("Create Key Error:", err.message);
+            res.status(500).json({ error: "Failed to create key" });
+        }
+    });
+
+    // Registered before /api-keys/:id/rotate so 'public' isn't taken as a key id
+    app.post('/api-keys/public/rotate', adminKey, async (req, res) => {
+        try {
+            const publicKey = await rotatePublicKey(supabase, req.client.id);
+            res.json({ publicKey });
+        } catch (err) {
+            console.error("Rotate Public Key Error:", err.message);
+            res.status(500).json({ error: "Failed to rotate public key" });
+        }
+    });
+
+    app.post('/api-keys/:id/rotate', adminKey, async (req, res) => {
+        try {
+            const result = await rotateAdminKey(supabase, req.client.id, req.params.id, req.body?.graceHours ?? DEFAULT_ROTATION_GRACE_HOURS);
+            if (!result) return res.status(404).json({ error: "Key not found" });
+            res.json(result);
+        } catch (err) {
+            console.error("Rotate Key Error:", err.message);
+            res.status(500).json({ error: "Failed to rotate key" });
+        }
+    });
+
+    app.delete('/api-keys/:id', adminKey, async (req, res) => {
+        try {
+            const key = await revokeAdminKey(supabase, req.client.id, req.params.id);
+            if (!key) return res.status(404).json({ error: "Key not found" });
+            res.json({ success: true, key });
+        } catch (err) {
+            console.error("Revoke Key Error:", err.message);
+            res.status(500).json({ error: "Failed to revoke key" });
+        }
+    });
+
+    // Operator bootstrap: issue a client's first admin key (e.g. during onboarding)
+    app.post('/admin/clients/:clientId/api-keys', requireAdminSecret, async (req, res) => {
+        try {
+            const { data: client } = await supabase
+                .from('clients')
+                .select('id')
+                .eq('id', req.params.clientId)
+                .maybeSingle();
+
+            if (!client) return res.status(404).json({ error: "Client not found" });
+
+            const { key, secret } = await createAdminKey(supabase, client.id, req.body?.name || 'Dashboard');
+            res.status(201).json({ key, secret });
+        } catch (err) {
+            console.error("Bootstrap Key Error:", err.message);
+            res.status(500).json({ error: "Failed to create key" });
+        }
+    });
+}
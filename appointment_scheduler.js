@@ -0,0 +1,644 @@
+// appointment_scheduler.js
+import { requireAdminKey } from './api_key_manager.js';
+import { sendLeadNotification, sendBookingConfirmation } from './email_handler.js';
+import { refreshLeadScore } from './lead_scoring.js';
+import { queueLeadEvent } from './lead_webhooks.js';
+import { allowBookingConfirmation } from './visitor_limiter.js';
+
+// In-home consultation booking. Clients set weekly hours, blackout dates and the
+// appointment length; the chat offers open slots (buttons, or the model picks one of
+// the offered times) and books them against the visitor's lead.
+//
+// Double-booking is prevented twice: a slot must still be open when booked, and the
+// appointments table has an exclusion constraint on overlapping booked times
+// (SupaBase Code/appointments.sql), which catches two visitors booking at once.
+//
+// A lead or conversation holds at most one upcoming booking: asking again gets the
+// existing time back (the client moves it by phone), so one chat can't fill the calendar.
+// Both rules are checked inside the book_appointment database function, under a lock.
+//
+// Every booking moves the lead to the 'booked' stage and emails an .ics invite to the
+// client (lead notification) and to the customer (confirmation), if they gave an email.
+// Customer confirmations are rate limited per conversation and per address.
+//
+// Supabase: clients.booking_settings (json, see DEFAULT_BOOKING_SETTINGS - null = booking off)
+// Supabase table appointments:
+//   id (uuid), client_id, lead_id, conversation_id, starts_at, ends_at, status ('booked'|'cancelled'),
+//   customer_name, customer_email, customer_phone, customer_address, created_at, cancelled_at
+
+export const DEFAULT_BOOKING_SETTINGS = {
+    enabled: false,
+    timezone: 'America/New_York',
+    slot_minutes: 60,
+    buffer_minutes: 30,        // Travel time kept free around each visit
+    min_notice_hours: 24,      // Earliest bookable slot from now
+    days_ahead: 14,
+    weekly: {
+        mon: [['09:00', '17:00']],
+        tue: [['09:00', '17:00']],
+        wed: [['09:00', '17:00']],
+        thu: [['09:00', '17:00']],
+        fri: [['09:00', '17:00']],
+        sat: [['10:00', '14:00']],
+        sun: []
+    },
+    blackout_dates: []         // ['2026-12-25', ...] in the client's timezone
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const LIMITS = {
+    slot_minutes: [15, 480],
+    buffer_minutes: [0, 240],
+    min_notice_hours: [0, 336],
+    days_ahead: [1, 90]
+};
+const MAX_WINDOWS_PER_DAY = 4;
+const MAX_BLACKOUT_DATES = 366;
+const SLOTS_OFFERED_IN_CHAT = 6;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ==================================================================
+// 1. SETTINGS
+// ==================================================================
+export function getBookingSettings(client) {
+    const custom = client?.booking_settings;
+    if (!custom || typeof custom !== 'object') return { ...DEFAULT_BOOKING_SETTINGS };
+    return { ...DEFAULT_BOOKING_SETTINGS, ...custom, weekly: { ...DEFAULT_BOOKING_SETTINGS.weekly, ...(custom.weekly || {}) } };
+}
+
+const toMinutes = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+};
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Check a settings update
+ * @param {Object} input - Any keys of DEFAULT_BOOKING_SETTINGS
+ * @param {Object} current - The client's current settings (getBookingSettings)
+ * @returns {{error: string|null, settings?: Object}} - Full settings to store
+ */
+export function validateBookingSettings(input, current) {
+    const settings = { ...current, weekly: { ...current.weekly } };
+
+    for (const key of Object.keys(input)) {
+        if (!(key in DEFAULT_BOOKING_SETTINGS)) return { error: `Unknown setting: ${key}` };
+    }
+
+    if (input.enabled !== undefined) {
+        if (typeof input.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+        settings.enabled = input.enabled;
+    }
+
+    if (input.timezone !== undefined) {
+        if (typeof input.timezone !== 'string' || !isValidTimeZone(input.timezone)) {
+            return { error: 'timezone must be an IANA time zone (e.g. America/Chicago)' };
+        }
+        settings.timezone = input.timezone;
+    }
+
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+        if (input[key] === undefined) continue;
+        if (!Number.isInteger(input[key]) || input[key] < min || input[key] > max) {
+            return { error: `${key} must be a whole number from ${min} to ${max}` };
+        }
+        settings[key] = input[key];
+    }
+
+    if (input.weekly !== undefined) {
+        if (!input.weekly || typeof input.weekly !== 'object') return { error: 'weekly must be an object (mon..sun)' };
+        for (const [day, windows] of Object.entries(input.weekly)) {
+            if (!WEEKDAYS.includes(day)) return { error: `Unknown day in weekly: ${day} (use ${WEEKDAYS.join(', ')})` };
+            if (!Array.isArray(windows) || windows.length > MAX_WINDOWS_PER_DAY) {
+                return { error: `weekly.${day} must be a list of up to ${MAX_WINDOWS_PER_DAY} ["HH:MM", "HH:MM"] windows` };
+            }
+            for (const window of windows) {
+                const valid = Array.isArray(window) && window.length === 2 && window.every(t => TIME_REGEX.test(t)) &&
+                    toMinutes(window[0]) < toMinutes(window[1]);
+                if (!valid) return { error: `weekly.${day} has an invalid window (use ["09:00", "17:00"])` };
+            }
+            settings.weekly[day] = windows;
+        }
+    }
+
+    if (input.blackout_dates !== undefined) {
+        const dates = input.blackout_dates;
+        if (!Array.isArray(dates) || dates.length > MAX_BLACKOUT_DATES ||
+            !dates.every(d => DATE_REGEX.test(d) && !isNaN(new Date(`${d}T00:00:00Z`).getTime()))) {
+            return { error: `blackout_dates must be a list of up to ${MAX_BLACKOUT_DATES} YYYY-MM-DD dates` };
+        }
+        settings.blackout_dates = [...new Set(dates)].sort();
+    }
+
+    return { error: null, settings };
+}
+
+// ==================================================================
+// 2. SLOTS (wall-clock hours in the client's timezone)
+// ==================================================================
+
+// Minutes the timezone is ahead of UTC at an instant
+function zoneOffsetMinutes(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).map(p => [p.type, p.value]));
+
+    const asUtc = Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+// "2026-10-21" + 600 minutes in America/New_York -> the UTC instant
+function zonedTime(dateString, minutesOfDay, timeZone) {
+    const [y, m, d] = dateString.split('-').map(Number);
+    const wallClock = Date.UTC(y, m - 1, d, 0, minutesOfDay);
+    let instant = wallClock - zoneOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+    instant = wallClock - zoneOffsetMinutes(new Date(instant), timeZone) * 60000; // Settles across DST changes
+    return new Date(instant);
+}
+
+const localDateString = (date, timeZone) => new Intl.DateTimeFormat('en-CA', { timeZone }).format(date);
+
+export function formatSlotLabel(date, timeZone) {
+    return new Intl.DateTimeFormat('en-US', {
+        timeZone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+    }).format(date);
+}
+
+/**
+ * Bookable slots from the client's hours minus blackouts, notice period and existing bookings
+ * @param {Object} supabase - Supabase client
+ * @param {Object} client - clients row (needs id, booking_settings)
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Array<{start: string, end: string, label: string}>>} - [] when booking is off or on error
+ */
+export async function getOpenSlots(supabase, client, { now = new Date() } = {}) {
+    const settings = getBookingSettings(client);
+    if (!settings.enabled) return [];
+
+    try {
+        const { timezone, slot_minutes: length, buffer_minutes: buffer } = settings;
+        const earliest = now.getTime() + settings.min_notice_hours * 60 * 60 * 1000;
+        const horizon = now.getTime() + (settings.days_ahead + 1) * 24 * 60 * 60 * 1000;
+
+        const { data: booked, error } = await supabase
+            .from('appointments')
+            .select('starts_at, ends_at')
+            .eq('client_id', client.id)
+            .eq('status', 'booked')
+            .gte('ends_at', new Date(now.getTime() - buffer * 60000).toISOString())
+            .lte('starts_at', new Date(horizon).toISOString());
+
+        if (error) throw error;
+
+        const busy = (booked || []).map(a => [
+            new Date(a.starts_at).getTime() - buffer * 60000,
+            new Date(a.ends_at).getTime() + buffer * 60000
+        ]);
+
+        const slots = [];
+        const [y, m, d] = localDateString(now, timezone).split('-').map(Number);
+
+        for (let offset = 0; offset <= settings.days_ahead; offset++) {
+            const day = new Date(Date.UTC(y, m - 1, d + offset));
+            const dateString = day.toISOString().substring(0, 10);
+            if (settings.blackout_dates.includes(dateString)) continue;
+
+            for (const [open, close] of settings.weekly[WEEKDAYS[day.getUTCDay()]] || []) {
+                for (let minute = toMinutes(open); minute + length <= toMinutes(close); minute += length + buffer) {
+                    const start = zonedTime(dateString, minute, timezone).getTime();
+                    const end = start + length * 60000;
+                    if (start < earliest || start > horizon) continue;
+                    if (busy.some(([busyStart, busyEnd]) => start < busyEnd && end > busyStart)) continue;
+
+                    slots.push({
+                        start: new Date(start).toISOString(),
+                        end: new Date(end).toISOString(),
+                        label: formatSlotLabel(new Date(start), timezone)
+                    });
+                }
+            }
+        }
+
+        return slots.sort((a, b) => a.start.localeCompare(b.start));
+
+    } catch (err) {
+        console.error("❌ Could not load open slots:", err.message);
+        return [];
+    }
+}
+
+/**
+ * The open slot a value refers to
+ * @param {Array} slots - From getOpenSlots()
+ * @param {string} value - ISO start, or the "[slot: ISO]" tag from the prompt
+ * @returns {Object|null}
+ */
+export function findSlot(slots, value) {
+    if (!value) return null;
+    const start = new Date(String(value).replace(/^\s*\[?\s*slot:\s*|\s*\]\s*$/gi, '')).getTime();
+    if (isNaN(start)) return null;
+    return slots.find(s => new Date(s.start).getTime() === start) || null;
+}
+
+// A few slots spread over the coming days (first and last of each day) rather than one morning
+export function pickSlotsToOffer(slots, count = SLOTS_OFFERED_IN_CHAT) {
+    const byDay = new Map();
+    for (const slot of slots) {
+        const day = slot.label.split(',').slice(0, 2).join(',');
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(slot);
+    }
+
+    const offered = [];
+    for (const daySlots of byDay.values()) {
+        offered.push(daySlots[0]);
+        if (daySlots.length > 1) offered.push(daySlots[daySlots.length - 1]);
+        if (offered.length >= count) break;
+    }
+    return offered.slice(0, count);
+}
+
+// Added to the chat system prompt when booking is on
+export function formatSlotsForPrompt(slots) {
+    if (slots.length === 0) return '';
+    return `
+    APPOINTMENTS (in-home consultation booking is available):
+    - Open times: ${slots.map(s => `${s.label} [slot: ${s.start}]`).join('; ')}
+    - When the visitor wants to book or asks when you're available, set "show_slots": true so they can tap a time.
+    - Only if the visitor clearly picks one of these exact times AND you know their name and phone or email,
+      set "booking_slot" to that time's [slot: ...] value. Never invent times.
+    `;
+}
+
+// ==================================================================
+// 3. BOOKING
+// ==================================================================
+
+// Lead the booking belongs to: the one saved this turn, else the conversation's
+async function findLeadForBooking(supabase, clientId, lead, conversationId) {
+    if (lead?.id) return lead;
+    if (!conversationId) return null;
+
+    const { data } = await supabase
+        .from('leads')
+        .select('*')
+        .eq('client_id', clientId)
+        .eq('conversation_id', conversationId)
+        .maybeSingle();
+
+    return data || null;
+}
+
+/**
+ * Book a slot for a chat visitor
+ * @param {Object} supabase - Supabase client
+ * @param {Object} client - clients row (id, company_name, email, notification_emails, booking_settings)
+ * @param {Object} request - { start (ISO), lead (saved leads row, optional), conversationId }
+ * @returns {Promise<{appointment?: Object, slot?: Object, existing?: Object, error?: 'unavailable'|'contact'|'already_booked'|'failed'}>}
+ *   existing: the upcoming appointment (with label) when error is 'already_booked'
+ */
+export async function bookAppointment(supabase, client, { start, lead = null, conversationId = null }) {
+    try {
+        const slot = findSlot(await getOpenSlots(supabase, client), start);
+        if (!slot) return { error: 'unavailable' };
+
+        const bookingLead = await findLeadForBooking(supabase, client.id, lead, conversationId);
+        if (!bookingLead?.customer_name || !(bookingLead.customer_phone || bookingLead.customer_email)) {
+            return { error: 'contact', slot };
+        }
+
+        // One upcoming booking per lead/conversation and no overlaps - checked and inserted
+        // under a lock in the database (book_appointment, SupaBase Code/appointments.sql)
+        const { data: result, error } = await supabase.rpc('book_appointment', {
+            p_client_id: client.id,
+            p_lead_id: bookingLead.id,
+            p_conversation_id: conversationId && UUID_REGEX.test(conversationId) ? conversationId : null,
+            p_starts_at: slot.start,
+            p_ends_at: slot.end,
+            p_customer: {
+                name: bookingLead.customer_name,
+                email: bookingLead.customer_email || null,
+                phone: bookingLead.customer_phone || null,
+                address: bookingLead.customer_address || null
+            }
+        });
+
+        if (error) throw error;
+        if (result?.outcome === 'already_booked') {
+            return { error: 'already_booked', existing: formatAppointment(result.appointment, getBookingSettings(client).timezone) };
+        }
+        if (result?.outcome === 'unavailable') return { error: 'unavailable' };
+        if (result?.outcome !== 'booked') throw new Error(`Unexpected booking outcome: ${result?.outcome}`);
+
+        const appointment = result.appointment;
+        const now = appointment.created_at || new Date().toISOString();
+        console.log(`📅 Appointment booked for client ${client.id}: ${slot.label} (lead ${bookingLead.id})`);
+
+        await markLeadBooked(supabase, client.id, bookingLead, slot, now);
+        await sendBookingEmails(client, appointment, slot);
+
+        return { appointment, slot };
+
+    } catch (err) {
+        console.error("❌ Booking failed:", err.message);
+        return { error: 'failed' };
+    }
+}
+
+// Lead: appointment time, 'booked' stage (unless already further along), history, score, webhook
+async function markLeadBooked(supabase, clientId, lead, slot, now) {
+    const advance = ['new', 'contacted', 'quoted'].includes(lead.stage || 'new');
+    const changes = { appointment_request: slot.label, last_updated: now };
+    if (advance) Object.assign(changes, { stage: 'booked', stage_changed_at: now });
+
+    const { error } = await supabase
+        .from('leads')
+        .update(changes)
+        .eq('id', lead.id);
+
+    if (error) {
+        console.error("   ⚠️ Could not update lead after booking:", error.message);
+        return;
+    }
+
+    if (advance) {
+        await supabase.from('lead_events').insert({
+            lead_id: lead.id,
+            client_id: clientId,
+            kind: 'stage',
+            from_value: lead.stage || 'new',
+            to_value: 'booked',
+            author: 'Chat booking',
+            note: slot.label,
+            created_at: now
+        });
+    }
+
+    await refreshLeadScore(supabase, lead.id);
+    await queueLeadEvent(supabase, clientId, 'lead.updated', { ...lead, ...changes });
+}
+
+// ==================================================================
+// 4. CALENDAR INVITE (.ics)
+// ==================================================================
+const icsDate = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const icsText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 bytes continue on the next line after a space (RFC 5545)
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Calendar file for an appointment
+ * @param {Object} appointment - appointments row
+ * @param {Object} client - { company_name, email }
+ * @returns {string} - iCalendar text (CRLF line endings)
+ */
+export function buildAppointmentIcs(appointment, client) {
+    const company = client.company_name || 'Window treatments';
+    const description = [
+        `In-home consultation with ${company}.`,
+        appointment.customer_name ? `Customer: ${appointment.customer_name}` : null,
+        appointment.customer_phone ? `Phone: ${appointment.customer_phone}` : null,
+        appointment.customer_email ? `Email: ${appointment.customer_email}` : null
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//The Blinds Bot//Appointments//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${appointment.id}@theblindbots.com`,
+        `DTSTAMP:${icsDate(appointment.created_at || new Date().toISOString())}`,
+        `DTSTART:${icsDate(appointment.starts_at)}`,
+        `DTEND:${icsDate(appointment.ends_at)}`,
+        `SUMMARY:${icsText(`In-home consultation - ${company}`)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        appointment.customer_address ? `LOCATION:${icsText(appointment.customer_address)}` : null,
+        client.email ? `ORGANIZER;CN=${icsText(company)}:mailto:${client.email}` : null,
+        `STATUS:${appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Client notification + customer confirmation, both with the invite (failures only logged)
+async function sendBookingEmails(client, appointment, slot) {
+    const attachment = {
+        filename: 'consultation.ics',
+        content: Buffer.from(buildAppointmentIcs(appointment, client)).toString('base64')
+    };
+
+    try {
+        const emails = client.notification_emails || client.email;
+        if (emails) {
+            await sendLeadNotification(emails, {
+                name: appointment.customer_name,
+                phone: appointment.customer_phone,
+                email: appointment.customer_email,
+                appointment: slot.label,
+                project_summary: `Consultation booked for ${slot.label}${appointment.customer_address ? ` at ${appointment.customer_address}` : ''}.`
+            }, {
+                subject: `📅 Consultation booked: ${appointment.customer_name} - ${slot.label}`,
+                attachments: [attachment]
+            });
+        }
+
+        if (appointment.customer_email && !(await allowBookingConfirmation(appointment.conversation_id, appointment.customer_email))) {
+            console.warn(`   🛡️ Booking confirmation to ${appointment.customer_email} skipped (rate limit)`);
+        } else if (appointment.customer_email) {
+            await sendBookingConfirmation(appointment.customer_email, {
+                companyName: client.company_name,
+                customerName: appointment.customer_name,
+                when: slot.label,
+                address: appointment.customer_address
+            }, [attachment]);
+        }
+    } catch (err) {
+        console.error("📧 Booking email failed:", err.message);
+    }
+}
+
+// ==================================================================
+// 5. ROUTES
+// ==================================================================
+function formatAppointment(appointment, timeZone) {
+    return { ...appointment, label: formatSlotLabel(new Date(appointment.starts_at), timeZone) };
+}
+
+export function setupAppointmentRoutes(app, supabase) {
+    const adminKey = requireAdminKey(supabase);
+
+    const loadClient = async (clientId) => {
+        const { data, error } = await supabase
+            .from('clients')
+            .select('id, company_name, email, booking_settings')
+            .eq('id', clientId)
+            .single();
+
+        if (error) throw error;
+        return data;
+    };
+
+    app.get('/booking-settings', adminKey, async (req, res) => {
+        try {
+            const client = await loadClient(req.client.id);
+            res.json({ settings: getBookingSettings(client), defaults: DEFAULT_BOOKING_SETTINGS });
+
+        } catch (err) {
+            console.error("Booking Settings Error:", err.message);
+            res.status(500).json({ error: "Failed to load booking settings" });
+        }
+    });
+
+    // Body: any settings keys (weekly days not sent keep their hours)
+    app.put('/booking-settings', adminKey, async (req, res) => {
+        try {
+            const client = await loadClient(req.client.id);
+            const { error: invalid, settings } = validateBookingSettings(req.body || {}, getBookingSettings(client));
+            if (invalid) return res.status(400).json({ error: invalid });
+
+            const { error } = await supabase
+                .from('clients')
+                .update({ booking_settings: settings })
+                .eq('id', client.id);
+
+            if (error) throw error;
+
+            console.log(`📅 Booking settings updated for client ${client.id}`);
+            res.json({ success: true, settings });
+
+        } catch (err) {
+            console.error("Booking Settings Update Error:", err.message);
+            res.status(500).json({ error: "Update failed" });
+        }
+    });
+
+    // What visitors would be offered right now (to check the settings)
+    app.get('/booking-slots', adminKey, async (req, res) => {
+        try {
+            const client = await loadClient(req.client.id);
+            const slots = await getOpenSlots(supabase, client);
+            res.json({ enabled: getBookingSettings(client).enabled, slots, offeredInChat: pickSlotsToOffer(slots) });
+
+        } catch (err) {
+            console.error("Booking Slots Error:", err.message);
+            res.status(500).json({ error: "Failed to load slots" });
+        }
+    });
+
+    // Query: from / to (ISO, default: from now), status ('booked' default, 'cancelled', 'all')
+    app.get('/appointments', adminKey, async (req, res) => {
+        try {
+            const client = await loadClient(req.client.id);
+            const from = req.query.from ? new Date(req.query.from) : new Date();
+            const to = req.query.to ? new Date(req.query.to) : null;
+            if (isNaN(from.getTime()) || (to && isNaN(to.getTime()))) {
+                return res.status(400).json({ error: "from and to must be dates" });
+            }
+
+            let query = supabase
+                .from('appointments')
+                .select('*')
+                .eq('client_id', client.id)
+                .gte('starts_at', from.toISOString())
+                .order('starts_at', { ascending: true })
+                .limit(500);
+
+            if (to) query = query.lte('starts_at', to.toISOString());
+            const status = req.query.status || 'booked';
+            if (status !== 'all') query = query.eq('status', String(status));
+
+            const { data, error } = await query;
+            if (error) throw error;
+
+            const timeZone = getBookingSettings(client).timezone;
+            res.json({ appointments: (data || []).map(a => formatAppointment(a, timeZone)) });
+
+        } catch (err) {
+            console.error("Appointments List Error:", err.message);
+            res.status(500).json({ error: "Failed to load appointments" });
+        }
+    });
+
+    // Frees the slot (the customer is not emailed - call them)
+    app.post('/appointments/:id/cancel', adminKey, async (req, res) => {
+        try {
+            if (!UUID_REGEX.test(req.params.id)) return res.status(404).json({ error: "Appointment not found" });
+
+            const { data, error } = await supabase
+                .from('appointments')
+                .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+                .eq('id', req.params.id)
+                .eq('client_id', req.client.id)
+                .eq('status', 'booked')
+                .select();
+
+            if (error) throw error;
+            if (!data || data.length === 0) return res.status(404).json({ error: "No booked appointment with that id" });
+
+            console.log(`📅 Appointment ${req.params.id} cancelled for client ${req.client.id}`);
+            res.json({ success: true, appointment: data[0] });
+
+        } catch (err) {
+            console.error("Appointment Cancel Error:", err.message);
+            res.status(500).json({ error: "Cancel failed" });
+        }
+    });
+
+    app.get('/appointments/:id/invite.ics', adminKey, async (req, res) => {
+        try {
+            if (!UUID_REGEX.test(req.params.id)) return res.status(404).json({ error: "Appointment not found" });
+
+            const { data: appointment, error } = await supabase
+                .from('appointments')
+                .select('*')
+                .eq('id', req.params.id)
+                .eq('client_id', req.client.id)
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!appointment) return res.status(404).json({ error: "Appointment not found" });
+
+            res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename="consultation.ics"');
+            res.send(buildAppointmentIcs(appointment, await loadClient(req.client.id)));
+
+        } catch (err) {
+            console.error("Appointment Invite Error:", err.message);
+            res.status(500).json({ error: "Failed to build invite" });
+        }
+    });
+}
@@ -0,0 +1,262 @@
+// auto_refill_manager.js
+import { randomUUID } from 'crypto';
+import { triggerAutoRefill, getStripePriceAmount } from './stripe_handler.js';
+import { getPlanCatalog, getDefaultCreditPack } from './plan_catalog.js';
+import { sendAutoRefillFailedEmail } from './email_handler.js';
+import { requireAdminKey } from './api_key_manager.js';
+
+// Auto-refill state machine, one per client:
+//   idle --(balance low, claimed)--> pending --(paid)--> idle
+//                                           \--(charge failed)--> failed --(client resumes)--> idle
+// Only the request that flips idle -> pending charges, so a burst of renders
+// can't open several invoices before the webhook credits arrive.
+//
+// Supabase:
+//   clients:      auto_refill_status ('idle'|'pending'|'failed'), auto_refill_status_at,
+//                 auto_refill_monthly_cap (cents, null = no cap), auto_refill_last_charged_at
+//   auto_refills: id (uuid), client_id, stripe_invoice_id, amount (cents), currency,
+//                 status ('pending'|'paid'|'failed'), error, created_at, finished_at
+
+const REFILL_THRESHOLD = 5;                   // Refill when the balance drops to this
+const COOLDOWN_MS = 10 * 60 * 1000;           // Min gap between two successful charges
+const PENDING_TIMEOUT_MS = 30 * 60 * 1000;    // A 'pending' refill older than this is abandoned
+
+// ==================================================================
+// 1. TRIGGER (called after each render debit)
+// ==================================================================
+
+/**
+ * Charge a credit pack if the client is low, opted in, and allowed to be charged
+ * @param {Object} supabase - Supabase client
+ * @param {number|string} clientId - clients.id
+ * @param {number} balance - Balance after the debit
+ * @returns {Promise<{started: boolean, reason?: string}>}
+ */
+export async function maybeAutoRefill(supabase, clientId, balance) {
+    if (balance > REFILL_THRESHOLD) return { started: false, reason: 'balance_ok' };
+
+    const { data: client, error } = await supabase
+        .from('clients')
+        .select('id, auto_replenish, stripe_customer_id, auto_refill_status, auto_refill_status_at, auto_refill_monthly_cap, auto_refill_last_charged_at')
+        .eq('id', clientId)
+        .single();
+
+    if (error || !client) return { started: false, reason: 'client_not_found' };
+    if (!client.auto_replenish || !client.stripe_customer_id) return { started: false, reason: 'disabled' };
+
+    const status = client.auto_refill_status || 'idle';
+    const statusAge = Date.now() - new Date(client.auto_refill_status_at || 0).getTime();
+
+    if (status === 'failed') return { started: false, reason: 'failed' }; // Waits for the client to resume
+    if (status === 'pending' && statusAge < PENDING_TIMEOUT_MS) return { started: false, reason: 'pending' };
+
+    const sinceLastCharge = Date.now() - new Date(client.auto_refill_last_charged_at || 0).getTime();
+    if (sinceLastCharge < COOLDOWN_MS) return { started: false, reason: 'cooldown' };
+
+    const pack = getDefaultCreditPack(await getPlanCatalog(supabase));
+    if (!pack) {
+        console.error("❌ Auto-Refill: no credit pack with a Stripe price in the plan catalog.");
+        return { started: false, reason: 'no_pack' };
+    }
+
+    const price = await getStripePriceAmount(pack.stripe_price_id);
+
+    // Monthly spending cap set by the client
+    if (client.auto_refill_monthly_cap != null) {
+        const spent = await getMonthlyRefillSpend(supabase, client.id);
+        if (spent + price.amount > client.auto_refill_monthly_cap) {
+            console.log(`   🧢 Auto-Refill skipped for client ${client.id}: monthly cap reached (${spent}/${client.auto_refill_monthly_cap}).`);
+            return { started: false, reason: 'cap_reached' };
+        }
+    }
+
+    if (!(await claimRefill(supabase, client, status))) return { started: false, reason: 'pending' };
+
+    const refillId = randomUUID();
+    const { error: insertError } = await supabase
+        .from('auto_refills')
+        .insert({ id: refillId, client_id: client.id, amount: price.amount, currency: price.currency, status: 'pending', created_at: new Date().toISOString() });
+
+    if (insertError) {
+        console.error("❌ Auto-Refill: could not record refill:", insertError.message);
+        await setRefillStatus(supabase, client.id, 'idle');
+        return { started: false, reason: 'error' };
+    }
+
+    try {
+        const invoice = await triggerAutoRefill(client.stripe_customer_id, { refillId, pack });
+
+        await supabase.from('auto_refills').update({ stripe_invoice_id: invoice.id }).eq('id', refillId);
+        if (invoice.status === 'paid') await markAutoRefillPaid(supabase, refillId, invoice.id);
+
+    } catch (err) {
+        console.error("❌ Auto-Refill Failed:", err.message);
+        await markAutoRefillFailed(supabase, refillId, err.message);
+    }
+
+    return { started: true };
+}
+
+// idle -> pending (or take over an abandoned pending). The status check in the
+// update means only one concurrent caller wins.
+async function claimRefill(supabase, client, status) {
+    let query = supabase
+        .from('clients')
+        .update({ auto_refill_status: 'pending', auto_refill_status_at: new Date().toISOString() })
+        .eq('id', client.id);
+
+    if (status === 'pending') {
+        query = query.eq('auto_refill_status', 'pending').eq('auto_refill_status_at', client.auto_refill_status_at);
+    } else {
+        query = query.or('auto_refill_status.is.null,auto_refill_status.eq.idle');
+    }
+
+    const { data: claimed } = await query.select('id');
+    return !!(claimed && claimed.length > 0);
+}
+
+async function setRefillStatus(supabase, clientId, status, extra = {}) {
+    await supabase
+        .from('clients')
+        .update({ auto_refill_status: status, auto_refill_status_at: new Date().toISOString(), ...extra })
+        .eq('id', clientId);
+}
+
+// Sum of refills charged (or being charged) since the 1st of this month (UTC)
+async function getMonthlyRefillSpend(supabase, clientId) {
+    const now = new Date();
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+
+    const { data, error } = await supabase
+        .from('auto_refills')
+        .select('amount')
+        .eq('client_id', clientId)
+        .in('status', ['pending', 'paid'])
+        .gte('created_at', monthStart);
+
+    if (error) throw error;
+    return (data || []).reduce((sum, r) => sum + (r.amount || 0), 0);
+}
+
+// ==================================================================
+// 2. OUTCOMES (from the charge call and from Stripe webhooks)
+// ==================================================================
+
+// Safe to call twice (pay() result + invoice.payment_succeeded): only the first one acts
+export async function markAutoRefillPaid(supabase, refillId, invoiceId = null) {
+    const { data: updated, error } = await supabase
+        .from('auto_refills')
+        .update({ status: 'paid', finished_at: new Date().toISOString(), ...(invoiceId ? { stripe_invoice_id: invoiceId } : {}) })
+        .eq('id', refillId)
+        .eq('status', 'pending')
+        .select('client_id');
+
+    if (error) throw error;
+    if (!updated || updated.length === 0) return false;
+
+    await setRefillStatus(supabase, updated[0].client_id, 'idle', { auto_refill_last_charged_at: new Date().toISOString() });
+    console.log(`   ✅ Auto-Refill ${refillId} paid.`);
+    return true;
+}
+
+// Pauses auto-refill for the client and emails them once per failed refill
+export async function markAutoRefillFailed(supabase, refillId, reason, invoiceId = null) {
+    const { data: updated, error } = await supabase
+        .from('auto_refills')
+        .update({ status: 'failed', error: reason, finished_at: new Date().toISOString(), ...(invoiceId ? { stripe_invoice_id: invoiceId } : {}) })
+        .eq('id', refillId)
+        .eq('status', 'pending')
+        .select('client_id, amount, currency');
+
+    if (error) throw error;
+    if (!updated || updated.length === 0) return false;
+
+    const refill = updated[0];
+    await setRefillStatus(supabase, refill.client_id, 'failed');
+    console.warn(`   ⚠️ Auto-Refill ${refillId} failed for client ${refill.client_id}: ${reason}`);
+
+    const { data: client } = await supabase
+        .from('clients')
+        .select('email, company_name')
+        .eq('id', refill.client_id)
+        .single();
+
+    if (client?.email) {
+        await sendAutoRefillFailedEmail(client.email, {
+            companyName: client.company_name,
+            amount: refill.amount,
+            currency: refill.currency,
+            reason
+        });
+    }
+    return true;
+}
+
+// ==================================================================
+// 3. CLIENT SETTINGS
+// ==================================================================
+export function setupAutoRefillRoutes(app, supabase) {
+    const adminKey = requireAdminKey(supabase);
+
+    app.get('/auto-refill/:apiKey', adminKey, async (req, res) => {
+        try {
+            const { data: client, error } = await supabase
+                .from('clients')
+                .select('id, auto_replenish, auto_refill_status, auto_refill_monthly_cap, auto_refill_last_charged_at')
+                .eq('id', req.client.id)
+                .single();
+
+            if (error || !client) return res.status(404).json({ error: "Client not found" });
+
+            res.json({
+                enabled: !!client.auto_replenish,
+                status: client.auto_refill_status || 'idle',
+                monthlyCap: client.auto_refill_monthly_cap,
+                spentThisMonth: await getMonthlyRefillSpend(supabase, client.id),
+                lastChargedAt: client.auto_refill_last_charged_at
+            });
+
+        } catch (err) {
+            console.error("Auto-Refill Status Error:", err.message);
+            res.status(500).json({ error: "Failed to load auto-refill settings" });
+        }
+    });
+
+    // monthlyCap in cents (null removes the cap); resume=true re-arms a failed refill
+    app.post('/update-auto-refill-settings', adminKey, async (req, res) => {
+        try {
+            const { enabled, monthlyCap, resume } = req.body;
+            const updates = {};
+
+            if (enabled !== undefined) updates.auto_replenish = !!enabled;
+            if (monthlyCap !== undefined) {
+                if (monthlyCap !== null && (!Number.isInteger(monthlyCap) || monthlyCap < 0)) {
+                    return res.status(400).json({ error: "monthlyCap must be a whole number of cents, or null" });
+                }
+                updates.auto_refill_monthly_cap = monthlyCap;
+            }
+            if (resume) {
+                updates.auto_refill_status = 'idle';
+                updates.auto_refill_status_at = new Date().toISOString();
+            }
+
+            if (Object.keys(updates).length === 0) return res.status(400).json({ error: "Nothing to update" });
+
+            let query = supabase.from('clients').update(updates).eq('id', req.client.id);
+            // Resuming must not clobber a refill that is mid-charge
+            if (resume) query = query.or('auto_refill_status.is.null,auto_refill_status.neq.pending');
+
+            const { data, error } = await query.select('id');
+            if (error) throw error;
+            if (!data || data.length === 0) {
+                return res.status(resume ? 409 : 404).json({ error: resume ? "A refill is in progress" : "Client not found" });
+            }
+
+            res.json({ success: true });
+
+        } catch (err) {
+            console.error("Auto-Refill Settings Error:", err.message);
+            res.status(500).json({ error: "Update failed" });
+        }
+    });
+}
@@ -0,0 +1,249 @@
+// chat_response_schema.js
+import { requireAdminKey } from './api_key_manager.js';
+
+// Schema for the JSON the chat model must answer with (see finalSystemPrompt in server.js).
+// Every reply goes through resolveChatResponse():
+//   1. Parse and validate. Small mistakes are coerced ("7" -> 7, "true" -> true,
+//      missing lead_data -> null) and the turn goes on.
+//   2. Unusable output (invalid JSON, no reply) gets ONE repair request to the model.
+//   3. If that fails too, the visitor gets a polite fallback reply instead of an error.
+// Anything other than a clean reply is recorded per client, to spot prompt regressions.
+//
+// Supabase table chat_validation_events:
+//   id, client_id, outcome ('coerced'|'repaired'|'fallback'), issues (text[]), created_at
+
+const LEAD_TEXT_FIELDS = ['name', 'phone', 'email', 'address', 'project_summary', 'appointment_request', 'preferred_method', 'ai_summary'];
+const WINDOW_SPEC_NUMBERS = ['width_in', 'height_in', 'mount_depth_in'];
+const MAX_REPLY_LENGTH = 8000;
+const MAX_ISSUES_STORED = 10;
+
+export const FALLBACK_REPLY = "Sorry, I didn't quite catch that. Could you say it again? If you'd like, I can also show you our options or have a designer contact you.";
+
+// ==================================================================
+// 1. VALIDATION AND COERCION
+// ==================================================================
+
+// "null", "N/A", "" and non-strings become null
+function toText(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const text = String(value).trim();
+    return text && !/^(null|none|n\/a|undefined)$/i.test(text) ? text : null;
+}
+
+function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'string') return /^(true|yes|1)$/i.test(value.trim());
+    return Boolean(value);
+}
+
+function toNumber(value) {
+    const n = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(/[^\d.-]/g, ''));
+    return Number.isFinite(n) ? n : null;
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a model answer against the schema and fix what can be fixed
+ * @param {string|Object} output - Raw model text (or an already parsed object)
+ * @returns {{value: Object|null, issues: string[], fatal: boolean}} - fatal: unusable, value is null
+ */
+export function validateChatResponse(output) {
+    const issues = [];
+    let raw = output;
+
+    if (typeof output === 'string') {
+        try {
+            raw = JSON.parse(output);
+        } catch (err) {
+            // Models sometimes wrap JSON in a ```json fence
+            const fenced = output.match(/\{[\s\S]*\}/);
+            try {
+                raw = fenced ? JSON.parse(fenced[0]) : null;
+                issues.push('json wrapped in extra text');
+            } catch (innerErr) {
+                raw = null;
+            }
+            if (!raw) return { value: null, issues: ['invalid json'], fatal: true };
+        }
+    }
+
+    if (!isObject(raw)) return { value: null, issues: ['response is not an object'], fatal: true };
+
+    // reply (required)
+    const reply = typeof raw.reply === 'string' ? raw.reply.trim() : toText(raw.reply);
+    if (!reply) return { value: null, issues: [...issues, 'missing reply'], fatal: true };
+    if (typeof raw.reply !== 'string') issues.push('reply not a string');
+
+    // product_suggestions (only "non-empty" matters - the server fills in the real menu)
+    let productSuggestions = raw.product_suggestions ?? [];
+    if (!Array.isArray(productSuggestions)) {
+        issues.push('product_suggestions not an array');
+        productSuggestions = isObject(productSuggestions) ? [productSuggestions] : [];
+    }
+
+    // visualize
+    const visualize = toBoolean(raw.visualize ?? false);
+    if (raw.visualize !== undefined && typeof raw.visualize !== 'boolean') issues.push('visualize not a boolean');
+
+    // selected_product_name
+    const selectedProductName = toText(raw.selected_product_name);
+    if (raw.selected_product_name != null && typeof raw.selected_product_name !== 'string') issues.push('selected_product_name not a string');
+
+    // show_slots / booking_slot (optional - appointment booking)
+    const showSlots = toBoolean(raw.show_slots ?? false);
+    if (raw.show_slots !== undefined && typeof raw.show_slots !== 'boolean') issues.push('show_slots not a boolean');
+    const bookingSlot = toText(raw.booking_slot);
+
+    // lead_data
+    let leadData = null;
+    if (raw.lead_data === undefined) {
+        issues.push('missing lead_data');
+    } else if (raw.lead_data !== null && !isObject(raw.lead_data)) {
+        issues.push('lead_data not an object');
+    } else if (raw.lead_data) {
+        leadData = {};
+        for (const field of LEAD_TEXT_FIELDS) leadData[field] = toText(raw.lead_data[field]);
+
+        const score = raw.lead_data.quality_score;
+        if (score != null && typeof score !== 'number') issues.push('quality_score not a number');
+        const n = toNumber(score);
+        leadData.quality_score = n === null ? null : Math.min(Math.max(Math.round(n), 1), 10);
+    }
+
+    // window_specs (optional)
+    let windowSpecs = null;
+    if (isObject(raw.window_specs)) {
+        windowSpecs = { room_type: toText(raw.window_specs.room_type) };
+        for (const field of WINDOW_SPEC_NUMBERS) windowSpecs[field] = toNumber(raw.window_specs[field]);
+    } else if (raw.window_specs != null) {
+        issues.push('window_specs not an object');
+    }
+
+    return {
+        value: {
+            reply: reply.substring(0, MAX_REPLY_LENGTH),
+            product_suggestions: productSuggestions,
+            visualize,
+            selected_product_name: selectedProductName,
+            show_slots: showSlots,
+            booking_slot: bookingSlot,
+            lead_data: leadData,
+            window_specs: windowSpecs
+        },
+        issues,
+        fatal: false
+    };
+}
+
+// Sent back to the model when its answer was unusable
+function buildRepairPrompt(output, issues) {
+    return `Your previous answer could not be used (${issues.join(', ')}).
+Previous answer:
+${String(output ?? '').substring(0, 4000)}
+
+Answer the visitor's last message again. Return ONLY one valid JSON object with the structure from your instructions:
+"reply" (non-empty text), "product_suggestions" (array), "visualize" (true/false), "selected_product_name" (text or null),
+"lead_data" (object; "quality_score" is a number from 1 to 10), "window_specs" (object or null).`;
+}
+
+// ==================================================================
+// 2. RESOLUTION (validate -> repair once -> fallback)
+// ==================================================================
+
+async function recordValidationEvent(supabase, clientId, outcome, issues) {
+    console.warn(`🧾 Chat response ${outcome} for client ${clientId}: ${issues.join(', ')}`);
+
+    const { error } = await supabase
+        .from('chat_validation_events')
+        .insert({ client_id: clientId, outcome, issues: issues.slice(0, MAX_ISSUES_STORED), created_at: new Date().toISOString() });
+
+    if (error) console.error("   ⚠️ Could not record chat validation event:", error.message);
+}
+
+/**
+ * Turn the model's output into a usable chat response - never throws
+ * @param {Object} supabase - Supabase client (event log)
+ * @param {string} clientId
+ * @param {string} output - Raw model text
+ * @param {Function} repair - async (repairPrompt) => model output (text or object) for one retry
+ * @returns {Promise<Object>} - { reply, product_suggestions, visualize, selected_product_name, show_slots, booking_slot, lead_data, window_specs }
+ */
+export async function resolveChatResponse(supabase, clientId, output, repair) {
+    const first = validateChatResponse(output);
+
+    if (!first.fatal) {
+        if (first.issues.length > 0) await recordValidationEvent(supabase, clientId, 'coerced', first.issues);
+        return first.value;
+    }
+
+    let retry = null;
+    try {
+        retry = validateChatResponse(await repair(buildRepairPrompt(output, first.issues)));
+    } catch (err) {
+        console.error("❌ Chat response repair failed:", err.message);
+    }
+
+    if (retry && !retry.fatal) {
+        await recordValidationEvent(supabase, clientId, 'repaired', [...first.issues, ...retry.issues]);
+        return retry.value;
+    }
+
+    await recordValidationEvent(supabase, clientId, 'fallback', [...first.issues, ...(retry?.issues || ['repair request failed'])]);
+    return {
+        reply: FALLBACK_REPLY,
+        product_suggestions: [],
+        visualize: false,
+        selected_product_name: null,
+        show_slots: false,
+        booking_slot: null,
+        lead_data: null,
+        window_specs: null
+    };
+}
+
+// ==================================================================
+// 3. STATS
+// ==================================================================
+export function setupChatValidationRoutes(app, supabase) {
+
+    // Counts by outcome and most common issues (default: last 7 days)
+    app.get('/chat-validation-stats', requireAdminKey(supabase), async (req, res) => {
+        try {
+            const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+            const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+            const { data, error } = await supabase
+                .from('chat_validation_events')
+                .select('outcome, issues, created_at')
+                .eq('client_id', req.client.id)
+                .gte('created_at', since)
+                .order('created_at', { ascending: false })
+                .limit(5000);
+
+            if (error) throw error;
+
+            const outcomes = { coerced: 0, repaired: 0, fallback: 0 };
+            const issueCounts = {};
+            for (const event of data || []) {
+                outcomes[event.outcome] = (outcomes[event.outcome] || 0) + 1;
+                for (const issue of event.issues || []) issueCounts[issue] = (issueCounts[issue] || 0) + 1;
+            }
+
+            res.json({
+                days,
+                outcomes,
+                topIssues: Object.entries(issueCounts)
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, 10)
+                    .map(([issue, count]) => ({ issue, count })),
+                lastSeenAt: data?.[0]?.created_at || null
+            });
+
+        } catch (err) {
+            console.error("Chat Validation Stats Error:", err.message);
+            res.status(500).json({ error: "Failed to load chat validation stats" });
+        }
+    });
+}
@@ -0,0 +1,228 @@
+// client_ai_config.js
+import { requireAdminKey } from './api_key_manager.js';
+import { getClientPlan } from './plan_catalog.js';
+import { GEMINI_MODELS } from './ai_provider.js';
+
+// Per-client AI settings on top of the global defaults:
+//   - models:  which model handles chat, extraction (product specs, persona) and rendering
+//   - prompts: the sales rules in the chat prompt and the room render prompt
+// Anything not set falls back to the defaults below / GEMINI_MODELS in ai_provider.js.
+//
+// Supabase:
+//   clients.ai_models        (json { chat, extraction, render } - model ids, null = default)
+//   clients.prompt_templates (json { sales_rules, render_prompt } - null = default)
+//   plan_catalog.features.premium_models (bool) - plan may pick models marked premium
+
+// Models a client may pick per role (ids must exist for the Gemini provider)
+export const MODEL_CHOICES = {
+    chat: [
+        { id: 'gemini-3-flash-preview' },
+        { id: 'gemini-2.5-flash' },
+        { id: 'gemini-2.0-flash' },
+        { id: 'gemini-3-pro-preview', premium: true },
+        { id: 'gemini-2.5-pro', premium: true }
+    ],
+    extraction: [
+        { id: 'gemini-3-flash-preview' },
+        { id: 'gemini-2.5-flash' },
+        { id: 'gemini-2.0-flash' },
+        { id: 'gemini-3-pro-preview', premium: true },
+        { id: 'gemini-2.5-pro', premium: true }
+    ],
+    render: [
+        { id: 'gemini-3-pro-image-preview' },
+        { id: 'gemini-2.5-flash-image' }
+    ]
+};
+
+// Which provider tasks (see GEMINI_MODELS) each role covers
+const ROLE_TASKS = {
+    chat: ['chat'],
+    extraction: ['product_specs', 'persona'],
+    render: ['render']
+};
+
+const MAX_TEMPLATE_LENGTH = { sales_rules: 4000, render_prompt: 2000 };
+
+// Placeholders a template may use ({{name}}); required ones must appear
+const TEMPLATE_PLACEHOLDERS = {
+    sales_rules: { allowed: [], required: [] },
+    render_prompt: { allowed: ['treatment', 'scene', 'fireplace'], required: ['treatment'] }
+};
+
+export const DEFAULT_PROMPT_TEMPLATES = {
+    sales_rules: `- Your ultimate goal is to BOOK AN IN-HOME CONSULTATION.
+       - Once the user shows interest or has seen a visualization, you MUST pivot to asking for contact details.
+       - Key phrase to work towards: "I can have a designer bring these samples to your home. What is your Name and Phone Number to schedule a visit?"
+       - If they ask for price, give a rough idea but say "Exact price depends on measurements. Can we stop by to measure?"`,
+
+    render_prompt: `Turn this room image into a professional interior design photo.
+           Apply the following window treatment strictly: {{treatment}}.
+           {{scene}}
+           Keep the original room layout, furniture, and lighting.
+           {{fireplace}}
+           High resolution, photorealistic, 8k.`
+};
+
+// ==================================================================
+// 1. LOOKUPS
+// ==================================================================
+const roleForTask = (task) => Object.keys(ROLE_TASKS).find(role => ROLE_TASKS[role].includes(task));
+
+/**
+ * The model a client uses for a provider task
+ * @param {Object} client - clients row (needs ai_models)
+ * @param {string} task - Provider task ('chat', 'product_specs', 'render', ...)
+ * @returns {string|undefined} - undefined = the provider's default
+ */
+export function getClientModel(client, task) {
+    const role = roleForTask(task);
+    const chosen = role ? client?.ai_models?.[role] : null;
+    return chosen && MODEL_CHOICES[role].some(m => m.id === chosen) ? chosen : undefined;
+}
+
+/**
+ * A client's prompt template (or the default)
+ * @param {Object} client - clients row (needs prompt_templates)
+ * @param {string} name - 'sales_rules' | 'render_prompt'
+ */
+export function getPromptTemplate(client, name) {
+    const custom = client?.prompt_templates?.[name];
+    return typeof custom === 'string' && custom.trim() ? custom : DEFAULT_PROMPT_TEMPLATES[name];
+}
+
+// Fill {{placeholders}}; lines left empty by a blank value are dropped
+export function fillTemplate(template, values) {
+    return template
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => values[key] ?? '')
+        .split('\n')
+        .filter(line => line.trim())
+        .join('\n');
+}
+
+// ==================================================================
+// 2. VALIDATION
+// ==================================================================
+
+/**
+ * Check a settings update
+ * @param {Object} input - { models?: {role: id|null}, prompts?: {name: text|null} }
+ * @param {Object} plan - The client's plan (premium models need features.premium_models)
+ * @returns {{error: string|null, models: Object, prompts: Object}} - Values to merge into the stored settings
+ */
+export function validateAIConfig(input, plan) {
+    const models = {};
+    const prompts = {};
+
+    for (const [role, id] of Object.entries(input.models || {})) {
+        if (!MODEL_CHOICES[role]) return { error: `Unknown model role: ${role}` };
+        if (id === null) { models[role] = null; continue; }
+
+        const choice = MODEL_CHOICES[role].find(m => m.id === id);
+        if (!choice) return { error: `${role} model must be one of: ${MODEL_CHOICES[role].map(m => m.id).join(', ')}` };
+        if (choice.premium && plan?.features?.premium_models !== true) {
+            return { error: `${id} is only available on plans with premium models` };
+        }
+        models[role] = id;
+    }
+
+    for (const [name, text] of Object.entries(input.prompts || {})) {
+        if (!DEFAULT_PROMPT_TEMPLATES[name]) return { error: `Unknown prompt template: ${name}` };
+        if (text === null) { prompts[name] = null; continue; }
+
+        if (typeof text !== 'string' || !text.trim()) return { error: `${name} must be non-empty text, or null` };
+        if (text.length > MAX_TEMPLATE_LENGTH[name]) return { error: `${name} must be at most ${MAX_TEMPLATE_LENGTH[name]} characters` };
+
+        const { allowed, required } = TEMPLATE_PLACEHOLDERS[name];
+        const used = [...text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(m => m[1]);
+        const unknown = used.find(p => !allowed.includes(p));
+        if (unknown) return { error: `${name} uses unknown placeholder {{${unknown}}}${allowed.length ? ` (allowed: ${allowed.map(p => `{{${p}}}`).join(', ')})` : ''}` };
+        const missing = required.find(p => !used.includes(p));
+        if (missing) return { error: `${name} must include {{${missing}}}` };
+
+        prompts[name] = text.trim();
+    }
+
+    return { error: null, models, prompts };
+}
+
+// Drop nulls so the stored json only holds real overrides
+const compact = (settings) => Object.fromEntries(Object.entries(settings).filter(([, v]) => v !== null));
+
+// ==================================================================
+// 3. ROUTES
+// ==================================================================
+function describeConfig(client) {
+    const models = {};
+    for (const role of Object.keys(MODEL_CHOICES)) {
+        const task = ROLE_TASKS[role][0];
+        models[role] = getClientModel(client, task) || GEMINI_MODELS[task];
+    }
+
+    return {
+        models,
+        prompts: {
+            sales_rules: getPromptTemplate(client, 'sales_rules'),
+            render_prompt: getPromptTemplate(client, 'render_prompt')
+        },
+        overrides: { models: client.ai_models || {}, prompts: client.prompt_templates || {} },
+        choices: MODEL_CHOICES,
+        defaults: { prompts: DEFAULT_PROMPT_TEMPLATES }
+    };
+}
+
+export function setupAIConfigRoutes(app, supabase) {
+    const adminKey = requireAdminKey(supabase);
+
+    const loadClient = async (clientId) => {
+        const { data, error } = await supabase
+            .from('clients')
+            .select('id, plan_id, ai_models, prompt_templates')
+            .eq('id', clientId)
+            .single();
+
+        if (error) throw error;
+        return data;
+    };
+
+    app.get('/ai-config', adminKey, async (req, res) => {
+        try {
+            res.json(describeConfig(await loadClient(req.client.id)));
+
+        } catch (err) {
+            console.error("AI Config Error:", err.message);
+            res.status(500).json({ error: "Failed to load AI settings" });
+        }
+    });
+
+    // Body: { models: { chat, extraction, render }, prompts: { sales_rules, render_prompt } }
+    // Only the keys sent change; null restores the default.
+    app.put('/ai-config', adminKey, async (req, res) => {
+        try {
+            const client = await loadClient(req.client.id);
+            const plan = await getClientPlan(supabase, client);
+
+            const { error: invalid, models, prompts } = validateAIConfig(req.body || {}, plan);
+            if (invalid) return res.status(400).json({ error: invalid });
+
+            const updates = {
+                ai_models: compact({ ...(client.ai_models || {}), ...models }),
+                prompt_templates: compact({ ...(client.prompt_templates || {}), ...prompts })
+            };
+
+            const { error } = await supabase
+                .from('clients')
+                .update(updates)
+                .eq('id', client.id);
+
+            if (error) throw error;
+
+            console.log(`🧠 AI settings updated for client ${client.id}`);
+            res.json({ success: true, ...describeConfig({ ...client, ...updates }) });
+
+        } catch (err) {
+            console.error("AI Config Update Error:", err.message);
+            res.status(500).json({ error: "Update failed" });
+        }
+    });
+}
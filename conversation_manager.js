@@ -0,0 +1,166 @@
+// conversation_manager.js
+import { randomUUID } from 'crypto';
+
+// Server-side chat sessions. The widget only sends the NEW user message; the
+// transcript lives here so visitors can't forge earlier turns or markers.
+//
+// Supabase tables:
+//   conversations: id (uuid), client_id, created_at, last_active_at
+//   messages:      id (bigint identity), conversation_id, role ('user'|'model'), content, created_at
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Internal markers that only the server may write into a transcript,
+// plus the old chat.html protocol prefixes (__BB_COLOR__::...) - UI actions are structured now
+const MARKER_REGEX = /\[(IMAGE_URL|RENDER_URL):[^\]]*\]|__BB_[A-Z_]+__::[^\n]*/gi;
+
+// ==================================================================
+// 1. STORES (Supabase for production, in-memory for tests/local dev)
+// ==================================================================
+export function createSupabaseConversationStore(supabase) {
+    return {
+        async createConversation(clientId) {
+            const { data, error } = await supabase
+                .from('conversations')
+                .insert({ id: randomUUID(), client_id: clientId, last_active_at: new Date().toISOString() })
+                .select()
+                .single();
+
+            if (error) throw error;
+            return data;
+        },
+
+        async getConversation(conversationId) {
+            const { data, error } = await supabase
+                .from('conversations')
+                .select('*')
+                .eq('id', conversationId)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        },
+
+        async listMessages(conversationId) {
+            const { data, error } = await supabase
+                .from('messages')
+                .select('role, content, created_at')
+                .eq('conversation_id', conversationId)
+                .order('id', { ascending: true });
+
+            if (error) throw error;
+            return data || [];
+        },
+
+        async appendMessages(conversationId, messages) {
+            const now = new Date().toISOString();
+            const rows = messages.map(m => ({ conversation_id: conversationId, role: m.role, content: m.content, created_at: now }));
+
+            const { error } = await supabase.from('messages').insert(rows);
+            if (error) throw error;
+
+            await supabase
+                .from('conversations')
+                .update({ last_active_at: now })
+                .eq('id', conversationId);
+        }
+    };
+}
+
+export function createMemoryConversationStore() {
+    const conversations = new Map();
+    const messages = new Map();
+
+    return {
+        async createConversation(clientId) {
+            const now = new Date().toISOString();
+            const conversation = { id: randomUUID(), client_id: clientId, created_at: now, last_active_at: now };
+            conversations.set(conversation.id, conversation);
+            messages.set(conversation.id, []);
+            return { ...conversation };
+        },
+
+        async getConversation(conversationId) {
+            const conversation = conversations.get(conversationId);
+            return conversation ? { ...conversation } : null;
+        },
+
+        async listMessages(conversationId) {
+            return (messages.get(conversationId) || []).map(m => ({ ...m }));
+        },
+
+        async appendMessages(conversationId, newMessages) {
+            const now = new Date().toISOString();
+            const list = messages.get(conversationId);
+            if (!list) throw new Error(`Conversation ${conversationId} not found`);
+
+            for (const m of newMessages) {
+                list.push({ role: m.role, content: m.content, created_at: now });
+            }
+            conversations.get(conversationId).last_active_at = now;
+        }
+    };
+}
+
+// ==================================================================
+// 2. SESSION HELPERS
+// ==================================================================
+
+/**
+ * Resume the visitor's conversation, or start a new one when the id is
+ * missing, malformed, or belongs to a different client.
+ * New conversations are seeded with the greeting the widget shows.
+ * @returns {Promise<{conversation: Object, messages: Array, isNew: boolean}>}
+ */
+export async function openConversation(store, client, sessionId) {
+    if (sessionId && UUID_REGEX.test(sessionId)) {
+        const existing = await store.getConversation(sessionId);
+        if (existing && existing.client_id === client.id) {
+            const messages = await store.listMessages(existing.id);
+            return { conversation: existing, messages, isNew: false };
+        }
+    }
+
+    const conversation = await store.createConversation(client.id);
+    const greeting = client.greeting_override || `What can ${client.company_name || 'us'} do for you today?`;
+
+    // Gemini history must start with a user turn
+    const seed = [
+        { role: 'user', content: 'Hello' },
+        { role: 'model', content: greeting }
+    ];
+    await store.appendMessages(conversation.id, seed);
+
+    console.log(`💬 New conversation ${conversation.id} for client ${client.id}`);
+    return { conversation, messages: seed, isNew: true };
+}
+
+// Remove any [IMAGE_URL: ...] / [RENDER_URL: ...] markers a visitor typed themselves
+export function stripInternalMarkers(text) {
+    if (!text) return '';
+    return String(text).replace(MARKER_REGEX, '').trim();
+}
+
+// Build the stored user turn: visitor text + server-verified image markers
+export function buildUserMessage(text, imageUrls = []) {
+    let content = stripInternalMarkers(text);
+    for (const url of imageUrls) {
+        content += ` [IMAGE_URL: ${url}]`;
+    }
+    return content.trim();
+}
+
+// Convert stored rows into the {role, parts} format Gemini and leads_manager expect.
+// Consecutive turns from the same role (e.g. a render finished after the reply) are merged.
+export function toGeminiHistory(messages) {
+    const history = [];
+    for (const m of messages) {
+        const last = history[history.length - 1];
+        if (last && last.role === m.role) {
+            last.parts[0].text += `\n\n${m.content}`;
+        } else {
+            history.push({ role: m.role, parts: [{ text: m.content }] });
+        }
+    }
+    return history;
+}
@@ -0,0 +1,116 @@
+// credit_ledger.js
+// Every credit change goes through apply_credit_transaction (see SupaBase Code/credit_ledger.sql),
+// which updates clients.image_credits and appends to credit_transactions atomically.
+import { requireAdminKey } from './api_key_manager.js';
+
+export const CREDIT_REASONS = {
+    RENDER_DEBIT: 'render_debit',
+    REFUND: 'refund',
+    SUBSCRIPTION_GRANT: 'subscription_grant',
+    REFILL_PURCHASE: 'refill_purchase',
+    MANUAL_ADJUSTMENT: 'manual_adjustment',
+    CLAWBACK: 'clawback'
+};
+
+/**
+ * Apply one credit change atomically
+ * @param {Object} supabase - Supabase client
+ * @param {Object} tx
+ * @param {number|string} tx.clientId - clients.id
+ * @param {number} tx.delta - Credits to add (positive) or take (negative)
+ * @param {string} tx.reason - One of CREDIT_REASONS
+ * @param {string} [tx.referenceType] - e.g. 'render_job', 'stripe_invoice'
+ * @param {string} [tx.referenceId] - Id of the render job / Stripe object
+ * @param {string} [tx.note] - Free text (manual adjustments)
+ * @param {boolean} [tx.allowNegative] - Let a debit take the balance below zero (clawbacks)
+ * @returns {Promise<{applied: boolean, balance: number}>} - applied=false if it would go below zero
+ * @throws {Error} - If the database call fails
+ */
+export async function applyCreditTransaction(supabase, { clientId, delta, reason, referenceType = null, referenceId = null, note = null, allowNegative = false }) {
+    if (!Object.values(CREDIT_REASONS).includes(reason)) {
+        throw new Error(`Unknown credit reason: ${reason}`);
+    }
+    if (!Number.isInteger(delta) || delta === 0) {
+        throw new Error(`Invalid credit delta: ${delta}`);
+    }
+
+    const { data, error } = await supabase.rpc('apply_credit_transaction', {
+        p_client_id: clientId,
+        p_delta: delta,
+        p_reason: reason,
+        p_reference_type: referenceType,
+        p_reference_id: referenceId != null ? String(referenceId) : null,
+        p_note: note,
+        p_allow_negative: allowNegative
+    });
+
+    if (error) throw error;
+
+    const row = Array.isArray(data) ? data[0] : data;
+    return { applied: !!row?.applied, balance: row?.balance ?? 0 };
+}
+
+/**
+ * Read a client's ledger, newest first
+ * @param {Object} options
+ * @param {number} [options.limit] - Max rows (capped at 200)
+ * @param {number} [options.before] - Only rows with id < before (pagination cursor)
+ * @returns {Promise<Array>}
+ */
+export async function getCreditHistory(supabase, clientId, { limit = 50, before = null } = {}) {
+    let query = supabase
+        .from('credit_transactions')
+        .select('id, delta, balance_after, reason, reference_type, reference_id, note, created_at')
+        .eq('client_id', clientId)
+        .order('id', { ascending: false })
+        .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+    if (before) query = query.lt('id', before);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+// All ledger rows tied to one Stripe object / render job (e.g. to work out a clawback)
+export async function getCreditEntriesForReference(supabase, referenceType, referenceId) {
+    const { data, error } = await supabase
+        .from('credit_transactions')
+        .select('id, client_id, delta, reason, created_at')
+        .eq('reference_type', referenceType)
+        .eq('reference_id', String(referenceId))
+        .order('id', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+export function setupCreditRoutes(app, supabase) {
+
+    // Ledger for the client dashboard, so clients can audit their usage
+    app.get('/credits/:apiKey/history', requireAdminKey(supabase), async (req, res) => {
+        try {
+            const { limit, before } = req.query;
+
+            const { data: client, error } = await supabase
+                .from('clients')
+                .select('id, image_credits')
+                .eq('id', req.client.id)
+                .single();
+
+            if (error || !client) return res.status(404).json({ error: "Client not found" });
+
+            const transactions = await getCreditHistory(supabase, client.id, { limit, before });
+
+            res.json({
+                balance: client.image_credits || 0,
+                transactions,
+                nextCursor: transactions.length > 0 ? transactions[transactions.length - 1].id : null
+            });
+
+        } catch (err) {
+            console.error("Credit History Error:", err.message);
+            res.status(500).json({ error: "Failed to fetch credit history" });
+        }
+    });
+}
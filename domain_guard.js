@@ -0,0 +1,267 @@
+// domain_guard.js
+import { requireAdminKey, authenticateAdminKey } from './api_key_manager.js';
+
+// Per-client allow-list of websites the widget may run on. The public widget key
+// is visible in page source, so without this anyone could embed it and spend
+// the client's image credits.
+//
+// How the site is identified:
+//   - Requests from another origin (widget.js fetching /client-config) -> Origin / Referer
+//   - Requests from our own origin (chat.html inside the widget iframe) -> X-Embed-Origin,
+//     which chat.html takes from document.referrer (the page that embedded the iframe)
+//
+// Supabase:
+//   clients:           allowed_domains (text[]) - empty falls back to the host of website_url
+//   domain_violations: id, client_id, host, route, hits, created_at
+
+const CLIENT_CACHE_TTL_MS = 60 * 1000;
+const VIOLATION_LOG_INTERVAL_MS = 60 * 1000; // Write a repeat offender at most once a minute (with a hit count)
+const MAX_ALLOWED_DOMAINS = 20;
+const MEMORY_CACHE_LIMIT = 1000; // Per map - both are keyed by request values (api key, host), so they're capped
+const DOMAIN_REGEX = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+const clientCache = new Map();     // apiKey -> { client, loadedAt }
+const violationBuffer = new Map(); // `${clientId}|${host}|${route}` -> { loggedAt, hits }
+
+// Maps are kept in last-used order: drop expired entries from the old end, and the
+// oldest ones while over the limit
+function remember(cache, key, entry, isExpired) {
+    cache.delete(key);
+    cache.set(key, entry);
+
+    for (const [oldKey, old] of cache) {
+        if (oldKey === key || (cache.size <= MEMORY_CACHE_LIMIT && !isExpired(old))) break;
+        cache.delete(oldKey);
+    }
+}
+
+const clientExpired = (entry) => Date.now() - entry.loadedAt >= CLIENT_CACHE_TTL_MS;
+const violationExpired = (entry) => Date.now() - entry.loggedAt >= VIOLATION_LOG_INTERVAL_MS;
+
+// ==================================================================
+// 1. DOMAIN HELPERS
+// ==================================================================
+
+/**
+ * Reduce user input ("https://www.Shop.com/blinds", "*.shop.com") to a bare host
+ * @returns {string|null} - null if it isn't a valid domain
+ */
+export function normalizeDomain(input) {
+    if (!input) return null;
+    let value = String(input).trim().toLowerCase();
+
+    value = value.replace(/^[a-z]+:\/\//, '');  // protocol
+    value = value.split(/[/?#]/)[0];           // path/query
+    value = value.replace(/:\d+$/, '');         // port
+    value = value.replace(/^\*\./, '');         // wildcard prefix (subdomains are always allowed)
+    value = value.replace(/\.$/, '');
+
+    return DOMAIN_REGEX.test(value) ? value : null;
+}
+
+function hostFromUrl(url) {
+    if (!url) return null;
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (err) {
+        return null;
+    }
+}
+
+// "shop.com" allows shop.com and any subdomain (www.shop.com, blinds.shop.com)
+export function isHostAllowed(host, allowedDomains) {
+    if (!host) return false;
+    return allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// The client's effective list (explicit list, else their website's host)
+export function getAllowedDomains(client) {
+    const explicit = (client.allowed_domains || []).map(normalizeDomain).filter(Boolean);
+    if (explicit.length > 0) return explicit;
+
+    // www.shop.com -> shop.com so the bare domain and other subdomains work too
+    const websiteHost = normalizeDomain(client.website_url)?.replace(/^www\./, '');
+    return websiteHost ? [websiteHost] : [];
+}
+
+/**
+ * Work out which website a request comes from
+ * @returns {{host: string|null, isSelf: boolean}} - isSelf: sent from one of our own pages
+ */
+function getRequestSite(req) {
+    const ownHost = (req.get('host') || '').replace(/:\d+$/, '').toLowerCase();
+    const host = hostFromUrl(req.get('origin')) || hostFromUrl(req.get('referer'));
+
+    if (host && host === ownHost) {
+        // chat.html tells us which page embedded it
+        const embedHost = hostFromUrl(req.get('x-embed-origin'));
+        return { host: embedHost, isSelf: !embedHost || embedHost === ownHost };
+    }
+    return { host, isSelf: false };
+}
+
+// ==================================================================
+// 2. MIDDLEWARE
+// ==================================================================
+async function loadClient(supabase, apiKey) {
+    const cached = clientCache.get(apiKey);
+    if (cached && !clientExpired(cached)) return cached.client;
+
+    const { data: client } = await supabase
+        .from('clients')
+        .select('id, allowed_domains, website_url')
+        .eq('api_key', apiKey)
+        .maybeSingle();
+
+    remember(clientCache, apiKey, { client, loadedAt: Date.now() }, clientExpired); // Unknown keys too (null), so they don't hit the DB each time
+    return client;
+}
+
+async function recordDomainViolation(supabase, clientId, host, route) {
+    const key = `${clientId}|${host}|${route}`;
+    const entry = violationBuffer.get(key) || { loggedAt: 0, hits: 0 };
+    entry.hits++;
+    remember(violationBuffer, key, entry, violationExpired);
+
+    // Repeats within the interval are counted and written with the next row
+    if (!violationExpired(entry)) return;
+    const hits = entry.hits;
+    entry.loggedAt = Date.now();
+    entry.hits = 0;
+
+    console.warn(`🚫 Blocked widget use for client ${clientId} from ${host || 'unknown site'} (${route}, ${hits}x)`);
+
+    const { error } = await supabase
+        .from('domain_violations')
+        .insert({ client_id: clientId, host: host || null, route, hits, created_at: new Date().toISOString() });
+
+    if (error) console.error("   ⚠️ Could not log domain violation:", error.message);
+}
+
+/**
+ * Express middleware: only let listed websites use a client's public key.
+ * The key is read from req.params.apiKey or req.body.clientApiKey.
+ * @param {Object} options
+ * @param {boolean} [options.allowSelf] - Also accept our own pages with no embedding site (preview page)
+ */
+export function requireAllowedOrigin(supabase, { allowSelf = false } = {}) {
+    return async (req, res, next) => {
+        try {
+            const apiKey = req.params.apiKey || req.body?.clientApiKey;
+            if (!apiKey) return next(); // The route reports the missing key itself
+
+            const client = await loadClient(supabase, apiKey);
+            if (!client) return next();
+
+            const allowedDomains = getAllowedDomains(client);
+            if (allowedDomains.length === 0) return next(); // Not configured yet
+
+            const { host, isSelf } = getRequestSite(req);
+            if (isSelf && (allowSelf || host)) return next();
+            if (isHostAllowed(host, allowedDomains)) return next();
+
+            // The dashboard (with an admin key) may read config from anywhere
+            const auth = await authenticateAdminKey(supabase, req);
+            if (auth?.client.id === client.id) return next();
+
+            recordDomainViolation(supabase, client.id, host, req.route?.path || req.path);
+            res.status(403).json({
+                error: "This website is not allowed to use this chat widget.",
+                reply: "Sorry, this chat isn't available on this website."
+            });
+
+        } catch (err) {
+            console.error("Domain Guard Error:", err.message);
+            next(); // Fail open - a DB hiccup shouldn't take every widget down
+        }
+    };
+}
+
+// ==================================================================
+// 3. STATS
+// ==================================================================
+export async function getDomainViolationStats(supabase, clientId, days = 30) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data } = await supabase
+        .from('domain_violations')
+        .select('host, route, hits, created_at')
+        .eq('client_id', clientId)
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(1000);
+
+    let total = 0;
+    const byHost = {};
+    for (const v of data || []) {
+        const host = v.host || 'unknown';
+        const hits = v.hits || 1;
+        byHost[host] = (byHost[host] || 0) + hits;
+        total += hits;
+    }
+
+    return {
+        total,
+        days,
+        topHosts: Object.entries(byHost)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(([host, hits]) => ({ host, hits })),
+        lastSeenAt: data?.[0]?.created_at || null
+    };
+}
+
+// ==================================================================
+// 4. ADMIN ROUTES
+// ==================================================================
+export function setupDomainRoutes(app, supabase) {
+    const adminKey = requireAdminKey(supabase);
+
+    app.get('/allowed-domains', adminKey, async (req, res) => {
+        try {
+            const { data: client, error } = await supabase
+                .from('clients')
+                .select('allowed_domains, website_url')
+                .eq('id', req.client.id)
+                .single();
+
+            if (error) throw error;
+            res.json({ domains: client.allowed_domains || [], effective: getAllowedDomains(client) });
+
+        } catch (err) {
+            console.error("Allowed Domains Error:", err.message);
+            res.status(500).json({ error: "Failed to load allowed domains" });
+        }
+    });
+
+    app.put('/allowed-domains', adminKey, async (req, res) => {
+        try {
+            const { domains } = req.body;
+            if (!Array.isArray(domains)) return res.status(400).json({ error: "domains must be an array" });
+            if (domains.length > MAX_ALLOWED_DOMAINS) {
+                return res.status(400).json({ error: `At most ${MAX_ALLOWED_DOMAINS} domains allowed` });
+            }
+
+            const normalized = [];
+            for (const input of domains) {
+                const domain = normalizeDomain(input);
+                if (!domain) return res.status(400).json({ error: `Invalid domain: ${input}` });
+                if (!normalized.includes(domain)) normalized.push(domain);
+            }
+
+            const { error } = await supabase
+                .from('clients')
+                .update({ allowed_domains: normalized })
+                .eq('id', req.client.id);
+
+            if (error) throw error;
+
+            clientCache.delete(req.client.api_key);
+            res.json({ success: true, domains: normalized });
+
+        } catch (err) {
+            console.error("Allowed Domains Update Error:", err.message);
+            res.status(500).json({ error: "Update failed" });
+        }
+    });
+}
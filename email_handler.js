@@ -7,7 +7,21 @@ const resend = process.env.RESEND_API_KEY
     ? new Resend(process.env.RESEND_API_KEY)
     : null;
 
-export async function sendLeadNotification(toEmails, leadData) {
+// Lead and booking details come from the chat (visitor-typed) - never let them into the HTML as markup
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Tell the client about a new (or updated) lead
+ * @param {string|string[]} toEmails - Notification email(s)
+ * @param {Object} leadData - { name, phone, email, appointment, ai_summary/project_summary, new_customer_image, new_ai_rendering }
+ * @param {Object} [options] - { subject, attachments: [{ filename, content (base64) }] } - e.g. a calendar invite
+ */
+export async function sendLeadNotification(toEmails, leadData, options = {}) {
     if (!resend) {
         console.error('❌ RESEND_API_KEY not configured. Email notification skipped.');
         return false;
@@ -29,7 +43,19 @@ export async function sendLeadNotification(toEmails, leadData) {
 
     console.log(`📧 Sending Resend Notification to: ${recipientList.join(', ')}`);
 
-    // 2. Construct HTML (Cleaner Layout)
+    // 2. Construct HTML (Cleaner Layout) - every value escaped
+    const html = {
+        name: escapeHtml(leadData.name || 'N/A'),
+        phone: escapeHtml(leadData.phone || 'N/A'),
+        phoneHref: escapeHtml(String(leadData.phone || '').replace(/[^\d+]/g, '')),
+        email: escapeHtml(leadData.email || 'N/A'),
+        emailHref: escapeHtml(leadData.email || ''),
+        appointment: escapeHtml(leadData.appointment),
+        summary: escapeHtml(leadData.ai_summary || leadData.project_summary || 'No summary provided.'),
+        customerImage: escapeHtml(leadData.new_customer_image),
+        rendering: escapeHtml(leadData.new_ai_rendering)
+    };
+
     const htmlBody = `
     <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #e0e0e0; border-radius: 12px; overflow: hidden;">
         <div style="background-color: #333; padding: 20px; text-align: center;">
@@ -40,26 +66,27 @@ export async function sendLeadNotification(toEmails, leadData) {
             <p style="font-size: 16px; color: #555;">You have a new potential customer from your chat widget.</p>
             
             <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; border-left: 4px solid #333; margin: 20px 0;">
-                <p style="margin: 8px 0;"><strong>👤 Name:</strong> ${leadData.name || 'N/A'}</p>
-                <p style="margin: 8px 0;"><strong>📞 Phone:</strong> <a href="tel:${leadData.phone}" style="color: #333; font-weight: bold;">${leadData.phone || 'N/A'}</a></p>
-                <p style="margin: 8px 0;"><strong>✉️ Email:</strong> <a href="mailto:${leadData.email}" style="color: #333; font-weight: bold;">${leadData.email || 'N/A'}</a></p>
+                <p style="margin: 8px 0;"><strong>👤 Name:</strong> ${html.name}</p>
+                <p style="margin: 8px 0;"><strong>📞 Phone:</strong> <a href="tel:${html.phoneHref}" style="color: #333; font-weight: bold;">${html.phone}</a></p>
+                <p style="margin: 8px 0;"><strong>✉️ Email:</strong> <a href="mailto:${html.emailHref}" style="color: #333; font-weight: bold;">${html.email}</a></p>
+                ${leadData.appointment ? `<p style="margin: 8px 0;"><strong>📅 Appointment:</strong> ${html.appointment}</p>` : ''}
             </div>
 
             <div style="margin-top: 20px;">
                 <h3 style="font-size: 14px; text-transform: uppercase; color: #888; border-bottom: 1px solid #eee; padding-bottom: 5px;">Project Summary</h3>
-                <p style="color: #333; line-height: 1.5;">${leadData.ai_summary || leadData.project_summary || 'No summary provided.'}</p>
+                <p style="color: #333; line-height: 1.5;">${html.summary}</p>
             </div>
 
             ${leadData.new_customer_image ? `
             <div style="margin-top: 20px;">
                  <h3 style="font-size: 14px; text-transform: uppercase; color: #888; border-bottom: 1px solid #eee; padding-bottom: 5px;">📸 Customer's Room Photo</h3>
-                 <img src="${leadData.new_customer_image}" style="width: 100%; border-radius: 8px; margin-top: 10px; border: 1px solid #ddd;" alt="Customer Room Photo" />
+                 <img src="${html.customerImage}" style="width: 100%; border-radius: 8px; margin-top: 10px; border: 1px solid #ddd;" alt="Customer Room Photo" />
             </div>` : ''}
 
             ${leadData.new_ai_rendering ? `
             <div style="margin-top: 20px;">
                  <h3 style="font-size: 14px; text-transform: uppercase; color: #888; border-bottom: 1px solid #eee; padding-bottom: 5px;">✨ AI Preview with Product</h3>
-                 <img src="${leadData.new_ai_rendering}" style="width: 100%; border-radius: 8px; margin-top: 10px; border: 2px solid #28a745;" alt="AI Generated Preview" />
+                 <img src="${html.rendering}" style="width: 100%; border-radius: 8px; margin-top: 10px; border: 2px solid #28a745;" alt="AI Generated Preview" />
                  <p style="font-size: 12px; color: #28a745; margin-top: 5px; text-align: center;">✨ AI-generated visualization</p>
             </div>` : ''}
         </div>
@@ -77,9 +104,10 @@ export async function sendLeadNotification(toEmails, leadData) {
         const data = await resend.emails.send({
             from: 'The Blinds Bot <leads@support.theblindbots.com>',
             to: recipientList,
-            subject: `🎯 New Lead: ${leadData.name || 'Visitor'}`,
+            subject: (options.subject || `🎯 New Lead: ${leadData.name || 'Visitor'}`).replace(/[\r\n]+/g, ' '),
             html: htmlBody,
-            reply_to: leadData.email // Helpful: hitting reply goes to the customer, not you
+            reply_to: leadData.email, // Helpful: hitting reply goes to the customer, not you
+            ...(options.attachments?.length ? { attachments: options.attachments } : {})
         });
 
         if (data.error) {
@@ -93,6 +121,143 @@ export async function sendLeadNotification(toEmails, leadData) {
     }
 }
 
+/**
+ * Tell a client their auto-refill charge failed (auto-refill pauses until they resume it)
+ * @param {string|string[]} toEmails - Account/billing email(s)
+ * @param {Object} details - { companyName, amount, currency, reason }
+ * @returns {Promise<boolean>} - true if Resend accepted the email
+ */
+export async function sendAutoRefillFailedEmail(toEmails, details) {
+    if (!resend) {
+        console.error('❌ RESEND_API_KEY not configured. Auto-refill failure email skipped.');
+        return false;
+    }
+
+    const recipientList = Array.isArray(toEmails)
+        ? toEmails
+        : String(toEmails || '').split(',').map(e => e.trim()).filter(e => e.length > 0);
+
+    if (recipientList.length === 0) {
+        console.log("⚠️ No recipients for auto-refill failure email.");
+        return false;
+    }
+
+    const amount = details.amount != null
+        ? `${(details.amount / 100).toFixed(2)} ${(details.currency || 'usd').toUpperCase()}`
+        : 'your credit pack';
+
+    const htmlBody = `
+    <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #e0e0e0; border-radius: 12px; overflow: hidden;">
+        <div style="background-color: #c0392b; padding: 20px; text-align: center;">
+            <h2 style="color: #ffffff; margin: 0;">⚠️ Credit Auto-Refill Failed</h2>
+        </div>
+
+        <div style="padding: 25px;">
+            <p style="font-size: 16px; color: #555;">Hi ${details.companyName || 'there'},</p>
+            <p style="color: #333; line-height: 1.5;">We tried to charge <strong>${amount}</strong> to refill your AI preview credits, but the payment didn't go through.</p>
+
+            <div style="background: #fdf2f2; padding: 15px; border-radius: 8px; border-left: 4px solid #c0392b; margin: 20px 0;">
+                <p style="margin: 0;"><strong>Reason:</strong> ${details.reason || 'Payment declined'}</p>
+            </div>
+
+            <p style="color: #333; line-height: 1.5;">Auto-refill is paused so we don't retry a failing card. Please update your payment method in the billing portal, then turn auto-refill back on from your dashboard.</p>
+            <p style="color: #333; line-height: 1.5;">Your chat widget keeps working; room previews resume once you have credits again.</p>
+        </div>
+
+        <div style="background-color: #f1f1f1; padding: 15px; text-align: center; font-size: 12px; color: #888;">
+            Sent by The Blinds Bot Automated System
+        </div>
+    </div>
+    `;
+
+    try {
+        const data = await resend.emails.send({
+            from: 'The Blinds Bot <alerts@support.theblindbots.com>',
+            to: recipientList,
+            subject: '⚠️ Action needed: credit auto-refill failed',
+            html: htmlBody
+        });
+
+        if (data.error) {
+            console.error("   ❌ Resend API Error:", data.error);
+            return false;
+        }
+        console.log(`   📧 Auto-refill failure email sent to ${recipientList.join(', ')}`);
+        return true;
+
+    } catch (err) {
+        console.error("   ❌ Fatal Email Error:", err.message);
+        return false;
+    }
+}
+
+/**
+ * Confirm a booked consultation to the customer (with the calendar invite attached)
+ * @param {string} toEmail - Customer email
+ * @param {Object} details - { companyName, customerName, when, address }
+ * @param {Array} attachments - [{ filename, content (base64) }]
+ * @returns {Promise<boolean>} - true if Resend accepted the email
+ */
+export async function sendBookingConfirmation(toEmail, details, attachments = []) {
+    if (!resend) {
+        console.error('❌ RESEND_API_KEY not configured. Booking confirmation skipped.');
+        return false;
+    }
+
+    const company = details.companyName || 'our team';
+    const html = {
+        company: escapeHtml(company),
+        customerName: escapeHtml(details.customerName || 'there'),
+        when: escapeHtml(details.when),
+        address: escapeHtml(details.address)
+    };
+
+    const htmlBody = `
+    <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #e0e0e0; border-radius: 12px; overflow: hidden;">
+        <div style="background-color: #28a745; padding: 20px; text-align: center;">
+            <h2 style="color: #ffffff; margin: 0;">📅 Your Consultation is Booked</h2>
+        </div>
+
+        <div style="padding: 25px;">
+            <p style="font-size: 16px; color: #555;">Hi ${html.customerName},</p>
+            <p style="color: #333; line-height: 1.5;">Thanks for booking an in-home consultation with <strong>${html.company}</strong>.</p>
+
+            <div style="background: #f2fbf4; padding: 15px; border-radius: 8px; border-left: 4px solid #28a745; margin: 20px 0;">
+                <p style="margin: 8px 0;"><strong>🕒 When:</strong> ${html.when}</p>
+                ${details.address ? `<p style="margin: 8px 0;"><strong>📍 Where:</strong> ${html.address}</p>` : ''}
+            </div>
+
+            <p style="color: #333; line-height: 1.5;">The attached invite adds the visit to your calendar. Need to change the time? Just reply to the chat or give us a call.</p>
+        </div>
+
+        <div style="background-color: #f1f1f1; padding: 15px; text-align: center; font-size: 12px; color: #888;">
+            Sent by The Blinds Bot Automated System
+        </div>
+    </div>
+    `;
+
+    try {
+        const data = await resend.emails.send({
+            from: `${company.replace(/[<>"\r\n]/g, '')} <bookings@support.theblindbots.com>`,
+            to: [toEmail],
+            subject: `📅 Consultation booked: ${String(details.when).replace(/[\r\n]/g, ' ')}`,
+            html: htmlBody,
+            attachments
+        });
+
+        if (data.error) {
+            console.error("   ❌ Resend API Error:", data.error);
+            return false;
+        }
+        console.log(`   📧 Booking confirmation sent to ${toEmail}`);
+        return true;
+
+    } catch (err) {
+        console.error("   ❌ Fatal Email Error:", err.message);
+        return false;
+    }
+}
+
 /**
  * Test email configuration on server startup
  * Sends a silent test to verify RESEND_API_KEY works
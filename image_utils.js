@@ -264,3 +264,237 @@ export async function compressForRendering(imageBuffer) {
         return imageBuffer;
     }
 }
+
+/**
+ * Comparison layout
+ */
+const COMPARISON = {
+    GAP_PX: 12,                 // White divider between the two photos
+    LABEL_HEIGHT_RATIO: 0.06,   // Label pill height relative to the photo height
+    LOGO_WIDTH_RATIO: 0.12,     // Watermark width relative to the whole image
+    LOGO_OPACITY: 0.85
+};
+
+/**
+ * Small "BEFORE" / "AFTER" pill drawn as SVG
+ * @param {string} text - Label text
+ * @param {number} photoHeight - Height of the photo it sits on
+ * @returns {Buffer} - SVG buffer for sharp composite
+ */
+function createLabelSvg(text, photoHeight) {
+    const height = Math.max(Math.round(photoHeight * COMPARISON.LABEL_HEIGHT_RATIO), 24);
+    const fontSize = Math.round(height * 0.55);
+    const width = Math.round(fontSize * 0.75 * text.length + height);
+
+    return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <rect width="${width}" height="${height}" rx="${height / 2}" fill="rgba(0,0,0,0.55)"/>
+        <text x="50%" y="50%" dy="0.35em" text-anchor="middle" font-family="sans-serif" font-size="${fontSize}" font-weight="bold" fill="#ffffff">${text}</text>
+    </svg>`);
+}
+
+/**
+ * Resize a logo for the watermark and fade it slightly
+ * @param {Buffer} logoBuffer - Client logo (any format sharp reads)
+ * @param {number} maxWidth - Target width
+ * @param {number} maxHeight - Height limit
+ * @returns {Promise<Buffer|null>} - PNG buffer, or null if the logo can't be read
+ */
+async function prepareWatermark(logoBuffer, maxWidth, maxHeight) {
+    try {
+        return await sharp(logoBuffer)
+            .resize(maxWidth, maxHeight, { fit: 'inside', withoutEnlargement: true })
+            .ensureAlpha()
+            .composite([{
+                // Scale the alpha channel down to LOGO_OPACITY
+                input: Buffer.from([255, 255, 255, Math.round(255 * COMPARISON.LOGO_OPACITY)]),
+                raw: { width: 1, height: 1, channels: 4 },
+                tile: true,
+                blend: 'dest-in'
+            }])
+            .png()
+            .toBuffer();
+    } catch (err) {
+        console.error('⚠️ Logo watermark skipped:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Build a shareable before/after image: the original room next to the render,
+ * labelled, with the client's logo in the bottom-right corner.
+ * Also returns the original resized to the render's exact size, so the widget
+ * can overlay the two for a slider.
+ * @param {Buffer} beforeBuffer - Original room photo (from compressForRendering)
+ * @param {Buffer} afterBuffer - Rendered image
+ * @param {Object} [options]
+ * @param {Buffer} [options.logoBuffer] - Client logo for the watermark
+ * @returns {Promise<{comparison: Buffer, before: Buffer}>} - Both JPEG
+ */
+export async function composeBeforeAfter(beforeBuffer, afterBuffer, { logoBuffer = null } = {}) {
+    const after = await sharp(afterBuffer).jpeg({ quality: CONFIG.JPEG_QUALITY }).toBuffer();
+    const { width, height } = await sharp(after).metadata();
+
+    // The model may shift the framing slightly - crop the original to the same size
+    const before = await sharp(beforeBuffer)
+        .resize(width, height, { fit: 'cover' })
+        .jpeg({ quality: CONFIG.JPEG_QUALITY })
+        .toBuffer();
+
+    const totalWidth = width * 2 + COMPARISON.GAP_PX;
+    const margin = Math.round(height * 0.03);
+
+    const layers = [
+        { input: before, left: 0, top: 0 },
+        { input: after, left: width + COMPARISON.GAP_PX, top: 0 },
+        { input: createLabelSvg('BEFORE', height), left: margin, top: margin },
+        { input: createLabelSvg('AFTER', height), left: width + COMPARISON.GAP_PX + margin, top: margin }
+    ];
+
+    if (logoBuffer) {
+        const watermark = await prepareWatermark(logoBuffer, Math.round(totalWidth * COMPARISON.LOGO_WIDTH_RATIO), Math.round(height * 0.15));
+        if (watermark) {
+            const logoMeta = await sharp(watermark).metadata();
+            layers.push({ input: watermark, left: totalWidth - logoMeta.width - margin, top: height - logoMeta.height - margin });
+        }
+    }
+
+    const comparison = await sharp({
+        create: { width: totalWidth, height, channels: 3, background: '#ffffff' }
+    })
+        .composite(layers)
+        .jpeg({ quality: CONFIG.JPEG_QUALITY })
+        .toBuffer();
+
+    return { comparison, before };
+}
+
+/**
+ * Cut a region out of an image, with some of the surrounding room for context
+ * @param {Buffer} imageBuffer - Full image
+ * @param {{x: number, y: number, w: number, h: number}} region - Fractions (0-1) of the image
+ * @param {Object} [options]
+ * @param {number} [options.padding] - Context added on each side, as a fraction of the region size
+ * @returns {Promise<{crop: Buffer, box: Object, inner: Object}>} - crop is JPEG; box is the crop in
+ *          image pixels; inner is the region inside the crop ({left, top, width, height})
+ */
+export async function cropRegion(imageBuffer, region, { padding = 0.15 } = {}) {
+    const { width, height } = await sharp(imageBuffer).metadata();
+
+    const rx = Math.round(region.x * width);
+    const ry = Math.round(region.y * height);
+    const rw = Math.max(Math.round(region.w * width), 1);
+    const rh = Math.max(Math.round(region.h * height), 1);
+
+    const padX = Math.round(rw * padding);
+    const padY = Math.round(rh * padding);
+    const left = Math.max(rx - padX, 0);
+    const top = Math.max(ry - padY, 0);
+    const right = Math.min(rx + rw + padX, width);
+    const bottom = Math.min(ry + rh + padY, height);
+
+    const box = { left, top, width: right - left, height: bottom - top };
+    const crop = await sharp(imageBuffer)
+        .extract(box)
+        .jpeg({ quality: CONFIG.JPEG_QUALITY })
+        .toBuffer();
+
+    return { crop, box, inner: { left: rx - left, top: ry - top, width: Math.min(rw, box.width), height: Math.min(rh, box.height) } };
+}
+
+/**
+ * Blend a re-rendered crop back into the original image. The selected region is
+ * replaced completely; the padding around it fades into the original so no seam shows.
+ * @param {Buffer} imageBuffer - Original full image
+ * @param {Buffer} patchBuffer - Rendered crop (any size - it is stretched back to the box)
+ * @param {Object} box - Crop position from cropRegion()
+ * @param {Object} inner - Region inside the crop from cropRegion()
+ * @returns {Promise<Buffer>} - PNG buffer, same size as the original
+ */
+export async function compositeRegion(imageBuffer, patchBuffer, box, inner) {
+    // Feather across the context margin (the narrowest side decides how soft it can be)
+    const margins = [inner.left, inner.top, box.width - inner.left - inner.width, box.height - inner.top - inner.height];
+    const feather = Math.max(Math.min(...margins.filter(m => m > 0), 40), 2);
+    const grow = Math.round(feather / 2);
+
+    const mask = await sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${box.width}" height="${box.height}">
+        <rect width="${box.width}" height="${box.height}" fill="#000000"/>
+        <rect x="${inner.left - grow}" y="${inner.top - grow}" width="${inner.width + grow * 2}" height="${inner.height + grow * 2}" fill="#ffffff"/>
+    </svg>`))
+        .blur(Math.max(feather / 4, 0.3))
+        .extractChannel(0)
+        .png()
+        .toBuffer();
+
+    // Two steps: sharp applies removeAlpha after joinChannel within one pipeline
+    const resized = await sharp(patchBuffer)
+        .resize(box.width, box.height, { fit: 'fill' })
+        .removeAlpha()
+        .png()
+        .toBuffer();
+    const patch = await sharp(resized)
+        .joinChannel(mask)
+        .png()
+        .toBuffer();
+
+    return sharp(imageBuffer)
+        .composite([{ input: patch, left: box.left, top: box.top }])
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Structural similarity (SSIM) of two images, measured on small greyscale thumbnails.
+ * 1 = same structure. A render that only changed the windows stays fairly high;
+ * a re-cropped, zoomed or rearranged room drops sharply.
+ * @param {Buffer} bufferA - First image
+ * @param {Buffer} bufferB - Second image (stretched to the same size)
+ * @param {number} [size] - Thumbnail edge in pixels
+ * @returns {Promise<number>} - Mean SSIM over 8x8 windows (about -1 to 1)
+ */
+export async function computeStructuralSimilarity(bufferA, bufferB, size = 128) {
+    const toGrey = (buffer) => sharp(buffer)
+        .resize(size, size, { fit: 'fill' })
+        .greyscale()
+        .raw()
+        .toBuffer();
+
+    const [a, b] = await Promise.all([toGrey(bufferA), toGrey(bufferB)]);
+
+    const WINDOW = 8;
+    const STEP = 4;
+    const C1 = (0.01 * 255) ** 2;
+    const C2 = (0.03 * 255) ** 2;
+    const n = WINDOW * WINDOW;
+
+    let total = 0;
+    let windows = 0;
+
+    for (let y = 0; y + WINDOW <= size; y += STEP) {
+        for (let x = 0; x + WINDOW <= size; x += STEP) {
+            let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+
+            for (let dy = 0; dy < WINDOW; dy++) {
+                for (let dx = 0; dx < WINDOW; dx++) {
+                    const i = (y + dy) * size + (x + dx);
+                    sumA += a[i];
+                    sumB += b[i];
+                    sumAA += a[i] * a[i];
+                    sumBB += b[i] * b[i];
+                    sumAB += a[i] * b[i];
+                }
+            }
+
+            const meanA = sumA / n;
+            const meanB = sumB / n;
+            const varA = sumAA / n - meanA * meanA;
+            const varB = sumBB / n - meanB * meanB;
+            const covar = sumAB / n - meanA * meanB;
+
+            total += ((2 * meanA * meanB + C1) * (2 * covar + C2)) /
+                     ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+            windows++;
+        }
+    }
+
+    return total / windows;
+}
@@ -0,0 +1,231 @@
+// lead_dedup.js
+// Finding the lead a chat belongs to (and its duplicates - merging is in leads_manager.js).
+//
+// Contact details are compared normalized: phones as E.164 ("(555) 123-4567" and
+// "555-123-4567" are both +15551234567), emails trimmed and lowercased. Lookups are
+// one .eq() per value - never a hand-built .or() string, which breaks on commas and dots.
+//
+// A lead matches (first hit wins):
+//   1. same normalized email   2. same E.164 phone   3. same chat conversation
+//   4. similar name AND the same address or phone digits, with no conflicting email/phone
+//
+// Supabase: leads.email_normalized, leads.phone_e164 (kept in sync by handleLeadData)
+
+// Numbers without a country code are assumed to be from here (North America by default)
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_PHONE_COUNTRY_CODE || '1';
+const NAME_MATCH_THRESHOLD = 0.85;
+const FUZZY_LOOKBACK_DAYS = 90;
+const FUZZY_CANDIDATE_LIMIT = 500;
+
+// ==================================================================
+// 1. NORMALIZATION
+// ==================================================================
+
+/**
+ * Phone number in E.164 form
+ * @param {string} raw - As typed ("(555) 123-4567", "+44 20 7946 0958", "555.123.4567 ext 2")
+ * @returns {string|null} - "+15551234567", or null if it can't be a full number
+ */
+export function normalizePhone(raw) {
+    if (!raw) return null;
+
+    // Extensions don't identify a person
+    const text = String(raw).replace(/\s*(ext\.?|extension|x)\s*\d+\s*$/i, '').trim();
+    const international = /^(\+|00)/.test(text);
+    let digits = text.replace(/\D/g, '');
+    if (text.startsWith('00')) digits = digits.substring(2);
+
+    if (!international) {
+        if (DEFAULT_COUNTRY_CODE === '1' && digits.length === 11 && digits.startsWith('1')) {
+            digits = digits.substring(1);
+        }
+        if (DEFAULT_COUNTRY_CODE === '1' && digits.length !== 10) return null;
+        digits = DEFAULT_COUNTRY_CODE + digits.replace(/^0/, '');
+    }
+
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+/**
+ * Email for comparisons
+ * @returns {string|null} - Trimmed and lowercased, or null if it isn't an address
+ */
+export function normalizeEmail(raw) {
+    if (!raw) return null;
+    const email = String(raw).trim().toLowerCase().replace(/^mailto:/, '');
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+}
+
+// "  José  O'Neil " -> "jose oneil"
+export function normalizeName(raw) {
+    if (!raw) return '';
+    return String(raw)
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// "123 Main Street, Apt 4" and "123 main st apt 4" compare equal
+function normalizeAddress(raw) {
+    return normalizeName(raw)
+        .replace(/\bstreet\b/g, 'st')
+        .replace(/\bavenue\b/g, 'ave')
+        .replace(/\broad\b/g, 'rd')
+        .replace(/\bdrive\b/g, 'dr')
+        .replace(/\bapartment\b/g, 'apt');
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+const similarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length, 1);
+
+/**
+ * How alike two names are, 0..1 (typos, word order, "J. Smith" vs "John Smith")
+ */
+export function nameSimilarity(a, b) {
+    const x = normalizeName(a);
+    const y = normalizeName(b);
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+
+    const tokensX = x.split(' ');
+    const tokensY = y.split(' ');
+    let score = Math.max(similarity(x, y), similarity([...tokensX].sort().join(' '), [...tokensY].sort().join(' ')));
+
+    // Same last name and one first name is just the other's initial - a different
+    // initial is a different person, however alike the short strings look ("J. Smith" / "K. Smith")
+    const initialOnly = tokensX[0].length === 1 || tokensY[0].length === 1;
+    if (tokensX.length > 1 && tokensY.length > 1 && initialOnly && tokensX.at(-1) === tokensY.at(-1)) {
+        return tokensX[0][0] === tokensY[0][0] ? Math.max(score, 0.9) : 0;
+    }
+    return score;
+}
+
+// Last 7 digits - survives a missing area code when the full number can't be normalized
+const phoneTail = (raw) => String(raw || '').replace(/\D/g, '').slice(-7);
+
+// ==================================================================
+// 2. MATCHING
+// ==================================================================
+
+// Same person if the names are alike, nothing contradicts it and something else ties them together
+function isFuzzyMatch(lead, candidate) {
+    if (lead.email && candidate.email_normalized && lead.email !== candidate.email_normalized) return false;
+    if (lead.phone && candidate.phone_e164 && lead.phone !== candidate.phone_e164) return false;
+    if (nameSimilarity(lead.name, candidate.customer_name) < NAME_MATCH_THRESHOLD) return false;
+
+    const sameAddress = lead.address && candidate.customer_address &&
+        normalizeAddress(lead.address) === normalizeAddress(candidate.customer_address);
+    const samePhoneDigits = phoneTail(lead.rawPhone).length === 7 && phoneTail(lead.rawPhone) === phoneTail(candidate.customer_phone);
+
+    return Boolean(sameAddress || samePhoneDigits);
+}
+
+/**
+ * The existing lead this data belongs to
+ * @param {Object} supabase - Supabase client
+ * @param {string} clientId
+ * @param {Object} leadData - From the chat ({ name, phone, email, address, conversation_id })
+ * @param {Object} [options]
+ * @param {string} [options.excludeId] - Ignore this lead (looking for duplicates of it)
+ * @returns {Promise<{lead: Object, reason: string}|null>} - reason: 'email'|'phone'|'conversation'|'name'
+ */
+export async function findMatchingLead(supabase, clientId, leadData, { excludeId = null } = {}) {
+    const email = normalizeEmail(leadData.email);
+    const phone = normalizePhone(leadData.phone);
+
+    const exactLookups = [
+        ['email', 'email_normalized', email],
+        ['phone', 'phone_e164', phone],
+        ['conversation', 'conversation_id', leadData.conversation_id]
+    ];
+
+    for (const [reason, column, value] of exactLookups) {
+        if (!value) continue;
+
+        let query = supabase
+            .from('leads')
+            .select('*')
+            .eq('client_id', clientId)
+            .eq(column, value);
+        if (excludeId) query = query.neq('id', excludeId);
+
+        const { data, error } = await query.order('last_updated', { ascending: false }).limit(1);
+        if (error) throw error;
+        if (data?.length) return { lead: data[0], reason };
+    }
+
+    if (!normalizeName(leadData.name)) return null;
+
+    // Fuzzy: recent leads only, compared here
+    const since = new Date(Date.now() - FUZZY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    let query = supabase
+        .from('leads')
+        .select('id, customer_name, customer_phone, customer_address, email_normalized, phone_e164')
+        .eq('client_id', clientId)
+        .gte('last_updated', since);
+    if (excludeId) query = query.neq('id', excludeId);
+
+    const { data: candidates, error } = await query.order('last_updated', { ascending: false }).limit(FUZZY_CANDIDATE_LIMIT);
+    if (error) throw error;
+
+    const wanted = { name: leadData.name, email, phone, rawPhone: leadData.phone, address: leadData.address };
+    const match = (candidates || []).find(candidate => isFuzzyMatch(wanted, candidate));
+    if (!match) return null;
+
+    const { data: lead, error: leadError } = await supabase
+        .from('leads')
+        .select('*')
+        .eq('id', match.id)
+        .single();
+
+    if (leadError) throw leadError;
+    return { lead, reason: 'name' };
+}
+
+/**
+ * Other leads that look like the same person (for review before a manual merge)
+ * @returns {Promise<Array<{id, customer_name, customer_email, customer_phone, reason}>>}
+ */
+export async function findDuplicateLeads(supabase, clientId, lead) {
+    const contact = {
+        name: lead.customer_name,
+        email: lead.customer_email,
+        phone: lead.customer_phone,
+        address: lead.customer_address
+    };
+
+    // Each signal on its own, so one lead can surface several duplicates
+    const probes = [
+        { email: contact.email },
+        { phone: contact.phone },
+        { name: contact.name, phone: contact.phone, address: contact.address }
+    ];
+
+    const found = new Map();
+    for (const probe of probes) {
+        if (!Object.values(probe).some(Boolean)) continue;
+        const match = await findMatchingLead(supabase, clientId, probe, { excludeId: lead.id });
+        if (match && !found.has(match.lead.id)) {
+            const { id, customer_name, customer_email, customer_phone, last_updated } = match.lead;
+            found.set(id, { id, customer_name, customer_email, customer_phone, last_updated, reason: match.reason });
+        }
+    }
+    return [...found.values()];
+}
@@ -0,0 +1,419 @@
+// lead_pipeline.js
+import { requireAdminKey } from './api_key_manager.js';
+import { mergeLeads } from './leads_manager.js';
+import { findDuplicateLeads } from './lead_dedup.js';
+import { queueLeadEvent } from './lead_webhooks.js';
+import { refreshLeadScore } from './lead_scoring.js';
+
+// Leads API for the sales team: list and filter leads, move them through the
+// pipeline, assign an owner and keep notes. handleLeadData (leads_manager.js)
+// still creates/merges the rows; new leads start in 'new'. Duplicates the automatic
+// matching missed (lead_dedup.js) can be merged by hand.
+// GET /leads/export.csv gives the same list as a spreadsheet; CRMs can also be
+// fed live through lead_webhooks.js.
+//
+// Supabase:
+//   leads.stage ('new'|'contacted'|'quoted'|'booked'|'won'|'lost', default 'new'),
+//   leads.owner (text - salesperson name/email), leads.stage_changed_at
+// Supabase table lead_events (what happened to a lead, oldest first):
+//   id, lead_id, client_id, kind ('stage'|'owner'|'note'|'merge'), from_value, to_value, note,
+//   author (text, from the request), api_key_id, created_at
+
+export const LEAD_STAGES = ['new', 'contacted', 'quoted', 'booked', 'won', 'lost'];
+
+const MAX_OWNER_LENGTH = 120;
+const MAX_NOTE_LENGTH = 4000;
+const MAX_PAGE_SIZE = 200;
+const LEAD_ID_REGEX = /^[\w-]{1,64}$/;
+
+const EXPORT_BATCH_SIZE = 1000;
+const MAX_EXPORT_ROWS = 50000;
+
+// CSV export: [header, column or (lead) => value]
+const EXPORT_COLUMNS = [
+    ['Lead ID', 'id'],
+    ['Stage', 'stage'],
+    ['Owner', 'owner'],
+    ['Name', 'customer_name'],
+    ['Email', 'customer_email'],
+    ['Phone', 'customer_phone'],
+    ['Address', 'customer_address'],
+    ['Project Summary', 'project_summary'],
+    ['Appointment Request', 'appointment_request'],
+    ['Preferred Contact', 'preferred_method'],
+    ['Lead Score', 'lead_score'],
+    ['Quality Score', 'quality_score'],
+    ['AI Summary', 'ai_summary'],
+    ['Customer Photos', (lead) => [].concat(lead.customer_images || []).join(' ')],
+    ['Renderings', (lead) => [].concat(lead.ai_rendering_url || []).join(' ')],
+    ['Stage Changed', 'stage_changed_at'],
+    ['Last Updated', 'last_updated']
+];
+
+// List view (no transcript - it can be large)
+const LEAD_SUMMARY_COLUMNS = 'id, customer_name, customer_phone, customer_email, project_summary, appointment_request, lead_score, quality_score, stage, owner, stage_changed_at, last_updated';
+
+// ==================================================================
+// 1. VALIDATION
+// ==================================================================
+
+/**
+ * Check a PATCH /leads/:id body
+ * @param {Object} input - { stage?, owner?, note?, author? }
+ * @returns {{error: string|null, stage?: string, owner?: string|null, note?: string, author?: string|null}}
+ *          stage/owner are only present when they should change
+ */
+export function validateLeadUpdate(input) {
+    const update = { error: null };
+
+    if (input.stage !== undefined) {
+        if (!LEAD_STAGES.includes(input.stage)) return { error: `stage must be one of: ${LEAD_STAGES.join(', ')}` };
+        update.stage = input.stage;
+    }
+
+    if (input.owner !== undefined) {
+        if (input.owner === null || input.owner === '') {
+            update.owner = null;
+        } else if (typeof input.owner !== 'string' || input.owner.trim().length > MAX_OWNER_LENGTH) {
+            return { error: `owner must be text of at most ${MAX_OWNER_LENGTH} characters, or null to unassign` };
+        } else {
+            update.owner = input.owner.trim();
+        }
+    }
+
+    if (input.note !== undefined) {
+        if (typeof input.note !== 'string' || !input.note.trim() || input.note.length > MAX_NOTE_LENGTH) {
+            return { error: `note must be non-empty text of at most ${MAX_NOTE_LENGTH} characters` };
+        }
+        update.note = input.note.trim();
+    }
+
+    if (update.stage === undefined && update.owner === undefined && update.note === undefined) {
+        return { error: 'Nothing to update (send stage, owner and/or note)' };
+    }
+
+    update.author = typeof input.author === 'string' && input.author.trim()
+        ? input.author.trim().substring(0, MAX_OWNER_LENGTH)
+        : null;
+
+    return update;
+}
+
+/**
+ * Apply the list filters shared by GET /leads and the CSV export
+ * @param {Object} query - Supabase query on leads
+ * @param {Object} params - stage (one or comma-separated), owner ('none' = unassigned),
+ *                          since / until (ISO dates on last_updated), minLeadScore (0-100, lead_scoring.js),
+ *                          minScore (the chat model's quality_score)
+ * @returns {{query: Object, error: string|null}}
+ */
+export function applyLeadFilters(query, { stage, owner, since, until, minLeadScore, minScore } = {}) {
+    if (stage) {
+        const stages = String(stage).split(',').map(s => s.trim());
+        const unknown = stages.find(s => !LEAD_STAGES.includes(s));
+        if (unknown) return { query, error: `Unknown stage: ${unknown}` };
+        query = query.in('stage', stages);
+    }
+
+    if (owner === 'none') query = query.is('owner', null);
+    else if (owner) query = query.eq('owner', String(owner));
+
+    for (const [name, value, op] of [['since', since, 'gte'], ['until', until, 'lte']]) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return { query, error: `${name} must be a date` };
+        query = query[op]('last_updated', date.toISOString());
+    }
+
+    for (const [name, value, column] of [['minLeadScore', minLeadScore, 'lead_score'], ['minScore', minScore, 'quality_score']]) {
+        if (value === undefined) continue;
+        const score = parseInt(value);
+        if (!Number.isInteger(score)) return { query, error: `${name} must be a number` };
+        query = query.gte(column, score);
+    }
+
+    return { query, error: null };
+}
+
+// sort: 'recent' (default, newest activity first) or 'score' (hottest first)
+function applyLeadSort(query, sort) {
+    if (sort === 'score') {
+        query = query.order('lead_score', { ascending: false, nullsFirst: false });
+    }
+    return query.order('last_updated', { ascending: false }).order('id', { ascending: true });
+}
+
+// One CSV field. Visitor-typed text starting with = + - @ would run as a formula in Excel/Sheets.
+export function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(lead) {
+    return EXPORT_COLUMNS
+        .map(([, column]) => toCsvField(typeof column === 'function' ? column(lead) : lead[column]))
+        .join(',');
+}
+
+// ==================================================================
+// 2. LOOKUPS
+// ==================================================================
+async function loadLead(supabase, clientId, leadId) {
+    if (!LEAD_ID_REGEX.test(String(leadId))) return null;
+
+    const { data, error } = await supabase
+        .from('leads')
+        .select('*')
+        .eq('id', leadId)
+        .eq('client_id', clientId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+async function loadLeadEvents(supabase, clientId, leadId) {
+    const { data, error } = await supabase
+        .from('lead_events')
+        .select('id, kind, from_value, to_value, note, author, created_at')
+        .eq('lead_id', leadId)
+        .eq('client_id', clientId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+// Full record for GET/PATCH responses
+function formatLead(lead, events) {
+    let transcript = lead.full_transcript;
+    if (typeof transcript === 'string') {
+        try { transcript = JSON.parse(transcript); } catch (e) { /* keep the raw text */ }
+    }
+
+    return {
+        ...lead,
+        full_transcript: transcript,
+        notes: events.filter(e => e.kind === 'note'),
+        history: events.filter(e => e.kind !== 'note')
+    };
+}
+
+// ==================================================================
+// 3. ROUTES
+// ==================================================================
+export function setupLeadRoutes(app, supabase) {
+    const adminKey = requireAdminKey(supabase);
+
+    // Same filters as GET /leads, every matching lead (up to 50,000). Registered before /leads/:id.
+    app.get('/leads/export.csv', adminKey, async (req, res) => {
+        try {
+            const columns = ['customer_address', 'preferred_method', 'ai_summary', 'customer_images', 'ai_rendering_url', LEAD_SUMMARY_COLUMNS].join(', ');
+            const buildQuery = () => applyLeadFilters(
+                supabase.from('leads').select(columns).eq('client_id', req.client.id),
+                req.query
+            );
+
+            const { error: invalid } = buildQuery();
+            if (invalid) return res.status(400).json({ error: invalid });
+
+            // Fetch everything before answering, so a failed page is still a clean 500
+            const rows = [];
+            for (let offset = 0; offset < MAX_EXPORT_ROWS; offset += EXPORT_BATCH_SIZE) {
+                const { data, error } = await applyLeadSort(buildQuery().query, req.query.sort)
+                    .range(offset, offset + EXPORT_BATCH_SIZE - 1);
+
+                if (error) throw error;
+                rows.push(...(data || []));
+                if (!data || data.length < EXPORT_BATCH_SIZE) break;
+            }
+
+            const date = new Date().toISOString().substring(0, 10);
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="leads-${date}.csv"`);
+            // BOM so Excel reads UTF-8 names correctly
+            res.send('\uFEFF' + [EXPORT_COLUMNS.map(([header]) => header).join(','), ...rows.map(toCsvRow)].join('\r\n') + '\r\n');
+
+            console.log(`📤 Exported ${rows.length} lead(s) for client ${req.client.id}`);
+
+        } catch (err) {
+            console.error("Lead Export Error:", err.message);
+            res.status(500).json({ error: "Export failed" });
+        }
+    });
+
+    // Query: filters from applyLeadFilters(), sort ('recent' | 'score'), limit (max 200), offset
+    app.get('/leads', adminKey, async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            const { query, error: invalid } = applyLeadFilters(
+                supabase
+                    .from('leads')
+                    .select(LEAD_SUMMARY_COLUMNS, { count: 'exact' })
+                    .eq('client_id', req.client.id),
+                req.query
+            );
+            if (invalid) return res.status(400).json({ error: invalid });
+
+            const { data, count, error } = await applyLeadSort(query, req.query.sort)
+                .range(offset, offset + limit - 1);
+
+            if (error) throw error;
+
+            res.json({
+                leads: data || [],
+                total: count || 0,
+                limit,
+                offset,
+                stages: LEAD_STAGES
+            });
+
+        } catch (err) {
+            console.error("Leads List Error:", err.message);
+            res.status(500).json({ error: "Failed to load leads" });
+        }
+    });
+
+    app.get('/leads/:id', adminKey, async (req, res) => {
+        try {
+            const lead = await loadLead(supabase, req.client.id, req.params.id);
+            if (!lead) return res.status(404).json({ error: "Lead not found" });
+
+            res.json(formatLead(lead, await loadLeadEvents(supabase, req.client.id, lead.id)));
+
+        } catch (err) {
+            console.error("Lead Fetch Error:", err.message);
+            res.status(500).json({ error: "Failed to load lead" });
+        }
+    });
+
+    // Body: { stage?, owner? (null = unassign), note?, author? (who is making the change) }
+    app.patch('/leads/:id', adminKey, async (req, res) => {
+        try {
+            const update = validateLeadUpdate(req.body || {});
+            if (update.error) return res.status(400).json({ error: update.error });
+
+            const lead = await loadLead(supabase, req.client.id, req.params.id);
+            if (!lead) return res.status(404).json({ error: "Lead not found" });
+
+            const now = new Date().toISOString();
+            const changes = {};
+            const events = [];
+            const event = (kind, fields) => events.push({
+                lead_id: lead.id,
+                client_id: req.client.id,
+                kind,
+                author: update.author,
+                api_key_id: req.apiKeyId || null,
+                created_at: now,
+                ...fields
+            });
+
+            if (update.stage !== undefined && update.stage !== lead.stage) {
+                changes.stage = update.stage;
+                changes.stage_changed_at = now;
+                event('stage', { from_value: lead.stage, to_value: update.stage });
+            }
+
+            if (update.owner !== undefined && update.owner !== (lead.owner ?? null)) {
+                changes.owner = update.owner;
+                event('owner', { from_value: lead.owner ?? null, to_value: update.owner });
+            }
+
+            if (update.note !== undefined) event('note', { note: update.note });
+
+            if (Object.keys(changes).length > 0) {
+                const { error } = await supabase
+                    .from('leads')
+                    .update({ ...changes, last_updated: now })
+                    .eq('id', lead.id)
+                    .eq('client_id', req.client.id);
+
+                if (error) throw error;
+                await queueLeadEvent(supabase, req.client.id, 'lead.updated', { ...lead, ...changes, last_updated: now });
+            }
+
+            if (events.length > 0) {
+                const { error: eventError } = await supabase.from('lead_events').insert(events);
+                if (eventError) throw eventError;
+                console.log(`📇 Lead ${lead.id} updated (${events.map(e => e.kind).join(', ')}) for client ${req.client.id}`);
+            }
+
+            const updated = { ...lead, ...changes, ...(Object.keys(changes).length > 0 ? { last_updated: now } : {}) };
+            res.json(formatLead(updated, await loadLeadEvents(supabase, req.client.id, lead.id)));
+
+        } catch (err) {
+            console.error("Lead Update Error:", err.message);
+            res.status(500).json({ error: "Update failed" });
+        }
+    });
+
+    // Recompute lead_score for a page of this client's leads (after a scoring change, or for old leads)
+    // Query: limit (max 200), offset - call again with next_offset until it comes back null
+    app.post('/leads/rescore', adminKey, async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            const { data, count, error } = await supabase
+                .from('leads')
+                .select('id', { count: 'exact' })
+                .eq('client_id', req.client.id)
+                .order('id', { ascending: true })
+                .range(offset, offset + limit - 1);
+
+            if (error) throw error;
+
+            let rescored = 0;
+            for (const lead of data || []) {
+                if (await refreshLeadScore(supabase, lead.id) !== null) rescored++;
+            }
+
+            const nextOffset = offset + limit < (count || 0) ? offset + limit : null;
+            console.log(`🔥 Rescored ${rescored} lead(s) for client ${req.client.id} (offset ${offset})`);
+            res.json({ success: true, rescored, total: count || 0, limit, offset, next_offset: nextOffset });
+
+        } catch (err) {
+            console.error("Lead Rescore Error:", err.message);
+            res.status(500).json({ error: "Rescore failed" });
+        }
+    });
+
+    // Leads that look like the same person (normalized email/phone, same conversation, similar name)
+    app.get('/leads/:id/duplicates', adminKey, async (req, res) => {
+        try {
+            const lead = await loadLead(supabase, req.client.id, req.params.id);
+            if (!lead) return res.status(404).json({ error: "Lead not found" });
+
+            res.json({ duplicates: await findDuplicateLeads(supabase, req.client.id, lead) });
+
+        } catch (err) {
+            console.error("Lead Duplicates Error:", err.message);
+            res.status(500).json({ error: "Failed to look for duplicates" });
+        }
+    });
+
+    // Body: { duplicateId } - merged into :id (galleries, transcripts, notes, history, appointments), then deleted
+    app.post('/leads/:id/merge', adminKey, async (req, res) => {
+        try {
+            const { duplicateId } = req.body || {};
+            if (!LEAD_ID_REGEX.test(String(duplicateId ?? '')) || String(duplicateId) === String(req.params.id)) {
+                return res.status(400).json({ error: "duplicateId must be the id of another lead" });
+            }
+            if (!LEAD_ID_REGEX.test(String(req.params.id))) return res.status(404).json({ error: "Lead not found" });
+
+            const merged = await mergeLeads(supabase, req.client.id, req.params.id, duplicateId);
+            if (!merged) return res.status(404).json({ error: "Lead not found" });
+
+            res.json(formatLead(merged, await loadLeadEvents(supabase, req.client.id, merged.id)));
+
+        } catch (err) {
+            console.error("Lead Merge Error:", err.message);
+            res.status(500).json({ error: "Merge failed" });
+        }
+    });
+}
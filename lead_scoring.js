@@ -0,0 +1,164 @@
+// lead_scoring.js
+// A 0-100 lead score from what we know about the visitor, so the sales team can
+// call the hottest leads first. The chat model's own quality_score is only one
+// signal of many; the same lead data always gives the same score.
+//
+// Every score comes with a breakdown (which signals counted, for how much), stored
+// on the lead. Change SIGNAL_WEIGHTS and bump SCORE_VERSION together, then rescore
+// (POST /leads/rescore, one page at a time).
+//
+// Supabase: leads.lead_score (0-100), leads.score_breakdown (json), leads.scored_at
+
+export const SCORE_VERSION = 1;
+
+// Points per signal (they add up to 100)
+export const SIGNAL_WEIGHTS = {
+    phone: 15,              // Reachable by phone (full number 15, partial 8)
+    email: 10,
+    name: 5,
+    address: 10,            // We know where to send a designer
+    appointment: 15,        // Asked for a visit / time
+    room_photo: 10,         // Uploaded their own window
+    renders: 10,            // 5 per finished preview
+    products_viewed: 5,     // Compared more than one style
+    conversation: 10,       // 2 per visitor message after the first
+    model_opinion: 10       // The chat model's quality_score (1-10)
+};
+
+const POINTS_PER_RENDER = 5;
+const POINTS_PER_MESSAGE = 2;
+
+// ==================================================================
+// 1. SIGNALS
+// ==================================================================
+function countList(value) {
+    if (Array.isArray(value)) return value.filter(Boolean).length;
+    if (typeof value === 'string' && value.startsWith('[')) {
+        try { return JSON.parse(value).filter(Boolean).length; } catch (e) { return 0; }
+    }
+    return value ? 1 : 0;
+}
+
+function countVisitorMessages(transcript) {
+    let messages = transcript;
+    if (typeof messages === 'string') {
+        try { messages = JSON.parse(messages); } catch (e) { return 0; }
+    }
+    return Array.isArray(messages) ? messages.filter(m => m?.role === 'user').length : 0;
+}
+
+/**
+ * Collect the scoring inputs for a lead
+ * @param {Object} supabase - Supabase client (render history of the conversation)
+ * @param {Object} lead - leads row, or the row about to be saved
+ * @returns {Promise<Object>} - Plain values for scoreLead()
+ */
+export async function gatherLeadSignals(supabase, lead) {
+    let productsViewed = 0;
+    let renders = countList(lead.ai_rendering_url);
+
+    if (lead.conversation_id) {
+        const { data: jobs, error } = await supabase
+            .from('render_jobs')
+            .select('product_name, status')
+            .eq('conversation_id', lead.conversation_id);
+
+        if (error) {
+            console.error("   ⚠️ Lead score: could not load renders:", error.message);
+        } else {
+            productsViewed = new Set((jobs || []).map(j => j.product_name).filter(Boolean)).size;
+            renders = Math.max(renders, (jobs || []).filter(j => j.status === 'done').length);
+        }
+    }
+
+    return {
+        phone: lead.phone_e164 ? 'full' : (lead.customer_phone ? 'partial' : null),
+        email: Boolean(lead.customer_email),
+        name: Boolean(lead.customer_name),
+        address: Boolean(lead.customer_address),
+        appointment: Boolean(lead.appointment_request),
+        roomPhotos: countList(lead.customer_images),
+        renders,
+        productsViewed,
+        visitorMessages: countVisitorMessages(lead.full_transcript),
+        modelScore: lead.quality_score == null || isNaN(Number(lead.quality_score)) ? null : Number(lead.quality_score)
+    };
+}
+
+// ==================================================================
+// 2. SCORE
+// ==================================================================
+
+/**
+ * Score a lead from its signals (pure - same signals, same score)
+ * @param {Object} signals - From gatherLeadSignals()
+ * @returns {{score: number, breakdown: {version: number, signals: Array<{signal, points, max, detail}>}}}
+ */
+export function scoreLead(signals) {
+    const W = SIGNAL_WEIGHTS;
+    const items = [];
+    const add = (signal, points, detail) => items.push({
+        signal,
+        points: Math.round(Math.min(Math.max(points, 0), W[signal])),
+        max: W[signal],
+        detail
+    });
+
+    add('phone', signals.phone === 'full' ? W.phone : signals.phone === 'partial' ? 8 : 0,
+        signals.phone ? `${signals.phone} phone number` : 'no phone');
+    add('email', signals.email ? W.email : 0, signals.email ? 'email given' : 'no email');
+    add('name', signals.name ? W.name : 0, signals.name ? 'name given' : 'no name');
+    add('address', signals.address ? W.address : 0, signals.address ? 'address given' : 'no address');
+    add('appointment', signals.appointment ? W.appointment : 0, signals.appointment ? 'asked for an appointment' : 'no appointment request');
+    add('room_photo', signals.roomPhotos > 0 ? W.room_photo : 0, `${signals.roomPhotos} room photo(s)`);
+    add('renders', signals.renders * POINTS_PER_RENDER, `${signals.renders} preview(s)`);
+    add('products_viewed', signals.productsViewed >= 2 ? W.products_viewed : signals.productsViewed === 1 ? 3 : 0,
+        `${signals.productsViewed} product(s) viewed`);
+    add('conversation', Math.max(signals.visitorMessages - 1, 0) * POINTS_PER_MESSAGE, `${signals.visitorMessages} visitor message(s)`);
+    add('model_opinion', signals.modelScore === null ? 0 : signals.modelScore / 10 * W.model_opinion,
+        signals.modelScore === null ? 'no model rating' : `model rated ${signals.modelScore}/10`);
+
+    return {
+        score: items.reduce((sum, item) => sum + item.points, 0),
+        breakdown: { version: SCORE_VERSION, signals: items }
+    };
+}
+
+/**
+ * Score columns for a lead row (to merge into an insert/update)
+ * @returns {Promise<{lead_score: number, score_breakdown: Object, scored_at: string}>}
+ */
+export async function computeLeadScore(supabase, lead) {
+    const { score, breakdown } = scoreLead(await gatherLeadSignals(supabase, lead));
+    return { lead_score: score, score_breakdown: breakdown, scored_at: new Date().toISOString() };
+}
+
+/**
+ * Recompute and store a saved lead's score - never throws
+ * @returns {Promise<number|null>} - The new score
+ */
+export async function refreshLeadScore(supabase, leadId) {
+    try {
+        const { data: lead, error } = await supabase
+            .from('leads')
+            .select('*')
+            .eq('id', leadId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!lead) return null;
+
+        const columns = await computeLeadScore(supabase, lead);
+        const { error: updateError } = await supabase
+            .from('leads')
+            .update(columns)
+            .eq('id', lead.id);
+
+        if (updateError) throw updateError;
+        return columns.lead_score;
+
+    } catch (err) {
+        console.error(`❌ Could not score lead ${leadId}:`, err.message);
+        return null;
+    }
+}
@@ -0,0 +1,601 @@
+// lead_webhooks.js
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import { lookup as dnsLookup } from 'dns';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import { requireAdminKey } from './api_key_manager.js';
+
+// Sends leads to a client's CRM (HubSpot, Zapier, their own system) as they are
+// captured and worked: 'lead.created', 'lead.updated' ('ping' from the test button).
+//
+// Every request is a POST with a JSON body { id, event, created_at, data: { lead } } and headers
+//   X-BB-Event, X-BB-Delivery (same id on retries - receivers can dedupe on it),
+//   X-BB-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the client's secret>
+// A non-2xx answer or timeout is retried with backoff (1m, 5m, 30m, 2h, 12h), then the
+// delivery is marked failed and can be retried from the delivery log.
+//
+// Supabase: clients.lead_webhook_url, clients.lead_webhook_secret, clients.lead_webhook_enabled
+// Supabase table lead_webhook_deliveries:
+//   id (uuid), client_id, lead_id, event, payload (json), url, status ('pending'|'sending'|'delivered'|'failed'),
+//   attempts, next_attempt_at, last_status (HTTP code), last_error, created_at, sending_at, delivered_at
+//
+// URLs must be public: every send checks the address it actually connects to (in the
+// socket's DNS lookup, so a name can't pass with a public IP and then resolve to a private
+// one) and refuses loopback, private, link-local, unspecified and IPv4-mapped forms of those.
+// ALLOW_LOCAL_WEBHOOKS=true permits http:// and local addresses (testing with a local receiver).
+
+export const WEBHOOK_EVENTS = ['lead.created', 'lead.updated'];
+
+const SECRET_PREFIX = 'whsec_';
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 12 * 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const REQUEST_TIMEOUT_MS = 10000;
+const POLL_INTERVAL_MS = 5000;
+const MAX_DELIVERIES_PER_TICK = 10;
+const STALE_SENDING_MS = 2 * 60 * 1000;   // A 'sending' delivery older than this died with its process
+const MAX_ERROR_LENGTH = 500;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Addresses a webhook may never reach
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+let worker = null; // { supabase, ticking }
+
+// ==================================================================
+// 1. PAYLOAD AND SIGNATURE
+// ==================================================================
+
+// What a CRM gets (no transcript - the summary and galleries are enough to follow up)
+export function toLeadPayload(lead) {
+    return {
+        id: lead.id,
+        name: lead.customer_name || null,
+        email: lead.customer_email || null,
+        phone: lead.customer_phone || null,
+        phone_e164: lead.phone_e164 || null,
+        address: lead.customer_address || null,
+        project_summary: lead.project_summary || null,
+        appointment_request: lead.appointment_request || null,
+        preferred_method: lead.preferred_method || null,
+        quality_score: lead.quality_score ?? null,
+        lead_score: lead.lead_score ?? null,
+        ai_summary: lead.ai_summary || null,
+        stage: lead.stage || 'new',
+        owner: lead.owner || null,
+        customer_images: Array.isArray(lead.customer_images) ? lead.customer_images : [],
+        renderings: Array.isArray(lead.ai_rendering_url) ? lead.ai_rendering_url : [],
+        updated_at: lead.last_updated || null
+    };
+}
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret - The client's webhook secret
+ * @param {string} body - Exact JSON text being sent
+ * @param {number} [timestamp] - Unix seconds (now)
+ */
+export function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+const generateSecret = () => SECRET_PREFIX + randomBytes(24).toString('base64url');
+
+// "::ffff:7f00:1" -> [0, 0, 0, 0, 0, 0xffff, 0x7f00, 1]
+function expandIPv6(address) {
+    let text = address.toLowerCase().split('%')[0];
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = text.slice(0, -dotted[0].length) + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+    }
+
+    const [head, tail] = text.includes('::') ? text.split('::') : [text, null];
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail ? tail.split(':') : [];
+    const fill = tail === null ? [] : Array(8 - headParts.length - tailParts.length).fill('0');
+    return [...headParts, ...fill, ...tailParts].map(h => parseInt(h, 16) || 0);
+}
+
+// The IPv4 address inside ::ffff:a.b.c.d (mapped), ::a.b.c.d (compatible) or 64:ff9b::a.b.c.d (NAT64)
+function embeddedIPv4(address) {
+    const h = expandIPv6(address);
+    const zeros = (from, to) => h.slice(from, to).every(x => x === 0);
+    const mapped = zeros(0, 5) && h[5] === 0xffff;
+    const compatible = zeros(0, 6) && (h[6] !== 0 || h[7] > 1); // Not :: or ::1
+    const nat64 = h[0] === 0x64 && h[1] === 0xff9b && zeros(2, 6);
+    return mapped || compatible || nat64 ? [h[6] >> 8, h[6] & 255, h[7] >> 8, h[7] & 255].join('.') : null;
+}
+
+/**
+ * Whether an IP address is off-limits for webhooks (anything that isn't an IP counts as blocked)
+ * @param {string} address - IPv4 or IPv6, without brackets
+ */
+export function isBlockedAddress(address) {
+    const family = isIP(address);
+    if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+    if (family !== 6) return true;
+
+    const ipv4 = embeddedIPv4(address);
+    return ipv4 ? BLOCKED_ADDRESSES.check(ipv4, 'ipv4') : BLOCKED_ADDRESSES.check(address, 'ipv6');
+}
+
+/**
+ * Check a webhook URL
+ * @returns {string|null} - Error message, or null if it's usable
+ */
+export function validateWebhookUrl(input) {
+    let url;
+    try {
+        url = new URL(input);
+    } catch (e) {
+        return 'url must be a full URL (https://...)';
+    }
+
+    const allowLocal = process.env.ALLOW_LOCAL_WEBHOOKS === 'true';
+    if (url.protocol !== 'https:' && !(allowLocal && url.protocol === 'http:')) return 'url must use https';
+    if (url.username || url.password) return 'url must not contain credentials';
+
+    // Don't let a client point our server at itself or the private network
+    // (names are checked when each send connects - see createGuardedLookup)
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const privateHost = isIP(host)
+        ? isBlockedAddress(host)
+        : host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal');
+    if (privateHost && !allowLocal) return 'url must be a public address';
+
+    return null;
+}
+
+/**
+ * DNS lookup for webhook sockets: refuses any answer with a blocked address, so the
+ * connection can only go to an address that was checked
+ * @param {Function} [resolve] - dns.lookup-compatible resolver (tests pass a stub)
+ * @returns {Function} - For the `lookup` option of http(s).request
+ */
+export function createGuardedLookup(resolve = dnsLookup) {
+    return (hostname, options, callback) => {
+        resolve(hostname, options, (err, address, family) => {
+            if (err) return callback(err);
+
+            // options.all (Happy Eyeballs) answers with [{ address, family }]
+            const answers = Array.isArray(address) ? address : [{ address, family }];
+            const blocked = answers.find(a => isBlockedAddress(a.address));
+            if (blocked) {
+                return callback(new Error(`url resolves to a non-public address (${blocked.address})`));
+            }
+            callback(null, address, family);
+        });
+    };
+}
+
+/**
+ * POST a webhook body
+ * @param {string} url - Already passed validateWebhookUrl()
+ * @param {Object} request - { headers, body, lookup (default: guarded unless ALLOW_LOCAL_WEBHOOKS) }
+ * @returns {Promise<{status: number, text: string}>} - text: start of the response body
+ */
+export function postWebhook(url, { headers, body, lookup = process.env.ALLOW_LOCAL_WEBHOOKS === 'true' ? dnsLookup : createGuardedLookup() }) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === 'https:' ? https : http;
+
+        const req = transport.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup
+        }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => { if (text.length < 1000) text += chunk; });
+            res.on('end', () => { clearTimeout(timer); resolve({ status: res.statusCode, text }); });
+            res.on('error', reject);
+        });
+
+        const timer = setTimeout(() => {
+            const timeout = new Error(`No answer within ${REQUEST_TIMEOUT_MS / 1000}s`);
+            timeout.name = 'TimeoutError';
+            req.destroy(timeout);
+        }, REQUEST_TIMEOUT_MS);
+
+        req.on('error', (err) => { clearTimeout(timer); reject(err); });
+        req.end(body);
+    });
+}
+
+// ==================================================================
+// 2. QUEUE
+// ==================================================================
+
+/**
+ * Queue a lead event for the client's webhook (no-op if none is set up) - never throws
+ * @param {Object} supabase - Supabase client
+ * @param {string} clientId
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} lead - leads row
+ * @returns {Promise<Object|null>} - The delivery row, or null
+ */
+export async function queueLeadEvent(supabase, clientId, event, lead) {
+    try {
+        const { data: client } = await supabase
+            .from('clients')
+            .select('lead_webhook_url, lead_webhook_enabled')
+            .eq('id', clientId)
+            .maybeSingle();
+
+        if (!client?.lead_webhook_url || client.lead_webhook_enabled === false) return null;
+
+        const now = new Date().toISOString();
+
+        // A chat saves its lead on every turn: refresh an update that hasn't gone out yet instead of stacking them
+        if (event === 'lead.updated') {
+            const { data: waiting } = await supabase
+                .from('lead_webhook_deliveries')
+                .select('id, payload')
+                .eq('client_id', clientId)
+                .eq('lead_id', lead.id)
+                .eq('event', event)
+                .eq('status', 'pending')
+                .eq('attempts', 0)
+                .limit(1);
+
+            if (waiting?.length) {
+                const payload = { ...waiting[0].payload, data: { lead: toLeadPayload(lead) } };
+                const { data: refreshed, error } = await supabase
+                    .from('lead_webhook_deliveries')
+                    .update({ payload })
+                    .eq('id', waiting[0].id)
+                    .eq('status', 'pending')
+                    .select()
+                    .maybeSingle();
+
+                if (!error && refreshed) return refreshed;
+            }
+        }
+
+        const id = randomUUID();
+        const { data, error } = await supabase
+            .from('lead_webhook_deliveries')
+            .insert({
+                id,
+                client_id: clientId,
+                lead_id: lead.id ?? null,
+                event,
+                payload: { id, event, created_at: now, data: { lead: toLeadPayload(lead) } },
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: now,
+                created_at: now
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        if (worker) processDeliveries(); // Don't wait for the next poll
+        return data;
+
+    } catch (err) {
+        console.error(`❌ Could not queue ${event} webhook:`, err.message);
+        return null;
+    }
+}
+
+// ==================================================================
+// 3. WORKER
+// ==================================================================
+export function startLeadWebhookWorker(supabase) {
+    console.log("🪝 Lead Webhook Worker: Started.");
+    worker = { supabase, ticking: false };
+
+    setInterval(processDeliveries, POLL_INTERVAL_MS);
+}
+
+async function processDeliveries() {
+    if (!worker || worker.ticking) return;
+    worker.ticking = true;
+
+    try {
+        await requeueStaleDeliveries();
+
+        for (let i = 0; i < MAX_DELIVERIES_PER_TICK; i++) {
+            const delivery = await claimNextDelivery();
+            if (!delivery) break;
+            await sendDelivery(delivery);
+        }
+    } catch (err) {
+        console.error("Lead Webhook Worker Error:", err.message);
+    } finally {
+        worker.ticking = false;
+    }
+}
+
+async function requeueStaleDeliveries() {
+    const { supabase } = worker;
+    const cutoff = new Date(Date.now() - STALE_SENDING_MS).toISOString();
+
+    await supabase
+        .from('lead_webhook_deliveries')
+        .update({ status: 'pending', next_attempt_at: new Date().toISOString() })
+        .eq('status', 'sending')
+        .lt('sending_at', cutoff);
+}
+
+// Same conditional claim as the render worker, safe with several server instances
+async function claimNextDelivery() {
+    const { supabase } = worker;
+
+    const { data: candidates, error } = await supabase
+        .from('lead_webhook_deliveries')
+        .select('id')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(1);
+
+    if (error) throw error;
+    if (!candidates || candidates.length === 0) return null;
+
+    const { data: claimed } = await supabase
+        .from('lead_webhook_deliveries')
+        .update({ status: 'sending', sending_at: new Date().toISOString() })
+        .eq('id', candidates[0].id)
+        .eq('status', 'pending')
+        .select();
+
+    return claimed && claimed.length > 0 ? claimed[0] : null;
+}
+
+async function sendDelivery(delivery) {
+    const { supabase } = worker;
+    const attempts = (delivery.attempts || 0) + 1;
+    let status = null;
+    let failure = null;
+    let url = delivery.url || null;
+
+    try {
+        // Current settings: a fixed URL or rotated secret applies to retries too
+        const { data: client } = await supabase
+            .from('clients')
+            .select('lead_webhook_url, lead_webhook_secret, lead_webhook_enabled')
+            .eq('id', delivery.client_id)
+            .maybeSingle();
+
+        if (!client?.lead_webhook_url || client.lead_webhook_enabled === false) {
+            failure = 'Webhook disabled';
+        } else {
+            url = client.lead_webhook_url;
+            const body = JSON.stringify(delivery.payload);
+
+            const invalid = validateWebhookUrl(url);
+            if (invalid) throw new Error(invalid);
+
+            // Redirects are not followed (the target could be anywhere)
+            const response = await postWebhook(url, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'BlindBot-Webhooks/1.0',
+                    'X-BB-Event': delivery.event,
+                    'X-BB-Delivery': delivery.id,
+                    'X-BB-Signature': signWebhookPayload(client.lead_webhook_secret || '', body)
+                },
+                body
+            });
+
+            status = response.status;
+            if (status < 200 || status >= 300) failure = `HTTP ${status}: ${response.text.substring(0, 200)}`;
+        }
+    } catch (err) {
+        failure = err.message;
+    }
+
+    const now = new Date();
+    const update = { attempts, url, last_status: status, last_error: failure ? failure.substring(0, MAX_ERROR_LENGTH) : null };
+
+    if (!failure) {
+        update.status = 'delivered';
+        update.delivered_at = now.toISOString();
+        console.log(`🪝 Delivered ${delivery.event} to client ${delivery.client_id} (${status})`);
+    } else if (attempts >= MAX_ATTEMPTS || failure === 'Webhook disabled') {
+        update.status = 'failed';
+        console.error(`❌ Webhook ${delivery.id} failed for good after ${attempts} attempt(s): ${failure}`);
+    } else {
+        update.status = 'pending';
+        update.next_attempt_at = new Date(now.getTime() + RETRY_DELAYS_MS[attempts - 1]).toISOString();
+        console.warn(`⚠️ Webhook ${delivery.id} attempt ${attempts} failed (${failure}), retrying at ${update.next_attempt_at}`);
+    }
+
+    const { error } = await supabase
+        .from('lead_webhook_deliveries')
+        .update(update)
+        .eq('id', delivery.id);
+
+    if (error) console.error("   ⚠️ Could not record webhook delivery:", error.message);
+}
+
+// ==================================================================
+// 4. SETTINGS AND DELIVERY LOG
+// ==================================================================
+function describeWebhook(client) {
+    return {
+        url: client.lead_webhook_url || null,
+        enabled: Boolean(client.lead_webhook_url) && client.lead_webhook_enabled !== false,
+        secret: client.lead_webhook_secret || null,
+        events: WEBHOOK_EVENTS
+    };
+}
+
+export function setupLeadWebhookRoutes(app, supabase) {
+    const adminKey = requireAdminKey(supabase);
+
+    const loadClient = async (clientId) => {
+        const { data, error } = await supabase
+            .from('clients')
+            .select('id, lead_webhook_url, lead_webhook_secret, lead_webhook_enabled')
+            .eq('id', clientId)
+            .single();
+
+        if (error) throw error;
+        return data;
+    };
+
+    app.get('/lead-webhook', adminKey, async (req, res) => {
+        try {
+            res.json(describeWebhook(await loadClient(req.client.id)));
+
+        } catch (err) {
+            console.error("Lead Webhook Error:", err.message);
+            res.status(500).json({ error: "Failed to load webhook settings" });
+        }
+    });
+
+    // Body: { url (null removes the webhook), enabled? }. A signing secret is created with the first URL.
+    app.put('/lead-webhook', adminKey, async (req, res) => {
+        try {
+            const { url, enabled } = req.body || {};
+            const client = await loadClient(req.client.id);
+            const updates = {};
+
+            if (url !== undefined) {
+                if (url !== null) {
+                    const invalid = validateWebhookUrl(url);
+                    if (invalid) return res.status(400).json({ error: invalid });
+                }
+                updates.lead_webhook_url = url;
+                if (url && !client.lead_webhook_secret) updates.lead_webhook_secret = generateSecret();
+            }
+
+            if (enabled !== undefined) {
+                if (typeof enabled !== 'boolean') return res.status(400).json({ error: "enabled must be true or false" });
+                updates.lead_webhook_enabled = enabled;
+            }
+
+            if (Object.keys(updates).length === 0) return res.status(400).json({ error: "Send url and/or enabled" });
+
+            const { error } = await supabase
+                .from('clients')
+                .update(updates)
+                .eq('id', client.id);
+
+            if (error) throw error;
+
+            console.log(`🪝 Lead webhook settings updated for client ${client.id}`);
+            res.json({ success: true, ...describeWebhook({ ...client, ...updates }) });
+
+        } catch (err) {
+            console.error("Lead Webhook Update Error:", err.message);
+            res.status(500).json({ error: "Update failed" });
+        }
+    });
+
+    // New signing secret (takes effect for the next attempt, including retries)
+    app.post('/lead-webhook/rotate-secret', adminKey, async (req, res) => {
+        try {
+            const secret = generateSecret();
+            const { error } = await supabase
+                .from('clients')
+                .update({ lead_webhook_secret: secret })
+                .eq('id', req.client.id);
+
+            if (error) throw error;
+            res.json({ success: true, secret });
+
+        } catch (err) {
+            console.error("Lead Webhook Rotate Error:", err.message);
+            res.status(500).json({ error: "Rotation failed" });
+        }
+    });
+
+    // Queue a 'ping' with a sample lead, to check the receiver and its signature check
+    app.post('/lead-webhook/test', adminKey, async (req, res) => {
+        try {
+            const client = await loadClient(req.client.id);
+            if (!client.lead_webhook_url) return res.status(400).json({ error: "Set a webhook url first" });
+
+            const now = new Date().toISOString();
+            const id = randomUUID();
+            const sample = { id: 'test', customer_name: 'Test Lead', customer_email: 'test@example.com', stage: 'new', last_updated: now };
+
+            const { data, error } = await supabase
+                .from('lead_webhook_deliveries')
+                .insert({
+                    id,
+                    client_id: client.id,
+                    lead_id: null,
+                    event: 'ping',
+                    payload: { id, event: 'ping', created_at: now, data: { lead: toLeadPayload(sample) } },
+                    status: 'pending',
+                    attempts: 0,
+                    next_attempt_at: now,
+                    created_at: now
+                })
+                .select('id, event, status, created_at')
+                .single();
+
+            if (error) throw error;
+            if (worker) processDeliveries();
+            res.json({ success: true, delivery: data });
+
+        } catch (err) {
+            console.error("Lead Webhook Test Error:", err.message);
+            res.status(500).json({ error: "Failed to queue test delivery" });
+        }
+    });
+
+    // Delivery log, newest first (?status=failed, ?limit=)
+    app.get('/lead-webhook/deliveries', adminKey, async (req, res) => {
+        try {
+            let query = supabase
+                .from('lead_webhook_deliveries')
+                .select('id, lead_id, event, url, status, attempts, last_status, last_error, next_attempt_at, created_at, delivered_at')
+                .eq('client_id', req.client.id)
+                .order('created_at', { ascending: false })
+                .limit(Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200));
+
+            if (req.query.status) query = query.eq('status', String(req.query.status));
+
+            const { data, error } = await query;
+            if (error) throw error;
+            res.json({ deliveries: data || [] });
+
+        } catch (err) {
+            console.error("Lead Webhook Log Error:", err.message);
+            res.status(500).json({ error: "Failed to load deliveries" });
+        }
+    });
+
+    // Send a failed delivery again (fresh retry schedule, same delivery id)
+    app.post('/lead-webhook/deliveries/:id/retry', adminKey, async (req, res) => {
+        try {
+            if (!UUID_REGEX.test(req.params.id)) return res.status(404).json({ error: "Delivery not found" });
+
+            const { data: retried, error } = await supabase
+                .from('lead_webhook_deliveries')
+                .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString(), last_error: null })
+                .eq('id', req.params.id)
+                .eq('client_id', req.client.id)
+                .eq('status', 'failed')
+                .select('id, event, status');
+
+            if (error) throw error;
+            if (!retried || retried.length === 0) {
+                return res.status(409).json({ error: "Only failed deliveries of this account can be retried" });
+            }
+
+            if (worker) processDeliveries();
+            res.json({ success: true, delivery: retried[0] });
+
+        } catch (err) {
+            console.error("Lead Webhook Retry Error:", err.message);
+            res.status(500).json({ error: "Retry failed" });
+        }
+    });
+}
@@ -1,10 +1,11 @@
 import { createClient } from '@supabase/supabase-js';
 import { sendLeadNotification } from './email_handler.js';
+import { findMatchingLead, normalizeEmail, normalizePhone } from './lead_dedup.js';
+import { queueLeadEvent } from './lead_webhooks.js';
+import { computeLeadScore, refreshLeadScore } from './lead_scoring.js';
 
-// Helper: Append new URL to existing gallery list
-function appendToGallery(existingData, newUrl) {
-    if (!newUrl) return existingData;
-
+// Helper: Read a stored gallery (Array, JSON string, Postgres array string or single URL)
+function parseGallery(existingData) {
     let gallery = [];
 
     // Handle various existing formats (Array, string, or null)
@@ -21,6 +22,14 @@ function appendToGallery(existingData, newUrl) {
             gallery = [existingData];
         }
     }
+    return gallery;
+}
+
+// Helper: Append new URL to existing gallery list
+function appendToGallery(existingData, newUrl) {
+    if (!newUrl) return existingData;
+
+    const gallery = parseGallery(existingData);
 
     // Add new URL if not duplicate
     if (!gallery.includes(newUrl)) {
@@ -73,20 +82,11 @@ export async function handleLeadData(supabase, clientId, leadData) {
 
         console.log(`💾 Saving Lead for Client ${clientId}...`);
 
-        // 1. Find Existing Lead (Deduplicate by Phone or Email)
+        // 1. Find Existing Lead (normalized email/phone, same conversation, or a close name - see lead_dedup.js)
         // We look for matches to merge data
-        let query = supabase.from('leads').select('*').eq('client_id', clientId);
-        
-        const conditions = [];
-        if (leadData.email) conditions.push(`customer_email.eq.${leadData.email}`);
-        if (leadData.phone) conditions.push(`customer_phone.eq.${leadData.phone}`);
-        
-        let existingLead = null;
-
-        if (conditions.length > 0) {
-            const { data: existing } = await query.or(conditions.join(','));
-            if (existing && existing.length > 0) existingLead = existing[0];
-        }
+        const match = await findMatchingLead(supabase, clientId, leadData);
+        const existingLead = match ? match.lead : null;
+        if (match) console.log(`   -> Matches lead ${existingLead.id} by ${match.reason}`);
 
         // 2. Extract image URLs from transcript
         let extractedCustomerImages = [];
@@ -144,9 +144,17 @@ export async function handleLeadData(supabase, clientId, leadData) {
             })(),
 
             // --- Metadata ---
+            conversation_id: leadData.conversation_id || (existingLead ? existingLead.conversation_id : null),
             last_updated: new Date().toISOString()
         };
 
+        // Lookup keys for the next match
+        finalData.email_normalized = normalizeEmail(finalData.customer_email);
+        finalData.phone_e164 = normalizePhone(finalData.customer_phone);
+
+        // Our own score from everything above (see lead_scoring.js)
+        Object.assign(finalData, await computeLeadScore(supabase, finalData));
+
         // 4. Save to Supabase
         if (existingLead) {
              finalData.id = existingLead.id;
@@ -164,6 +172,9 @@ export async function handleLeadData(supabase, clientId, leadData) {
 
         console.log("✅ Lead Saved:", data[0].id);
 
+        // CRM webhook (never throws; not awaited so the chat reply isn't held up)
+        queueLeadEvent(supabase, clientId, existingLead ? 'lead.updated' : 'lead.created', data[0]);
+
         // 🔧 Send email notification
         try {
             const { data: client } = await supabase
@@ -192,4 +203,152 @@ export async function handleLeadData(supabase, clientId, leadData) {
         console.error("Lead Manager Fault:", err);
         return null;
     }
-}
\ No newline at end of file
+}
+
+// Attach a finished render to the lead captured in the same conversation
+// (renders complete in the background, after the chat turn that saved the lead)
+export async function appendLeadRendering(supabase, conversationId, renderUrl) {
+    if (!conversationId || !renderUrl) return null;
+
+    try {
+        const { data: lead } = await supabase
+            .from('leads')
+            .select('id, ai_rendering_url')
+            .eq('conversation_id', conversationId)
+            .maybeSingle();
+
+        if (!lead) return null;
+
+        const { error } = await supabase
+            .from('leads')
+            .update({
+                ai_rendering_url: appendToGallery(lead.ai_rendering_url, renderUrl),
+                last_updated: new Date().toISOString()
+            })
+            .eq('id', lead.id);
+
+        if (error) throw error;
+
+        await refreshLeadScore(supabase, lead.id); // One more preview
+        return lead.id;
+
+    } catch (err) {
+        console.error("Lead Rendering Update Failed:", err.message);
+        return null;
+    }
+}
+
+// ==================================================================
+// MERGING DUPLICATES
+// ==================================================================
+
+function parseTranscript(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string' || !value) return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Older conversation first; a transcript that continues the other one replaces it
+function mergeTranscripts(older, newer) {
+    const a = parseTranscript(older);
+    const b = parseTranscript(newer);
+    const sameStart = (longer, shorter) => JSON.stringify(longer.slice(0, shorter.length)) === JSON.stringify(shorter);
+
+    if (a.length === 0) return b;
+    if (b.length === 0) return a;
+    if (sameStart(b, a)) return b;
+    if (sameStart(a, b)) return a;
+    return [...a, ...b];
+}
+
+/**
+ * Fields for the surviving lead when two leads are the same person (`keep` wins on conflicts)
+ * @param {Object} keep - leads row that stays
+ * @param {Object} drop - leads row merged into it
+ */
+export function buildMergedLead(keep, drop) {
+    const pick = (field) => keep[field] ?? drop[field] ?? null;
+    const keepIsNewer = new Date(keep.last_updated || 0) >= new Date(drop.last_updated || 0);
+
+    const mergeGallery = (field) => {
+        let merged = parseGallery(keep[field]);
+        for (const url of parseGallery(drop[field])) merged = appendToGallery(merged, url);
+        return merged;
+    };
+
+    const transcript = keepIsNewer
+        ? mergeTranscripts(drop.full_transcript, keep.full_transcript)
+        : mergeTranscripts(keep.full_transcript, drop.full_transcript);
+
+    return {
+        customer_name: pick('customer_name'),
+        customer_phone: pick('customer_phone'),
+        customer_email: pick('customer_email'),
+        customer_address: pick('customer_address'),
+        email_normalized: normalizeEmail(pick('customer_email')),
+        phone_e164: normalizePhone(pick('customer_phone')),
+        project_summary: pick('project_summary'),
+        appointment_request: pick('appointment_request'),
+        preferred_method: pick('preferred_method'),
+        quality_score: Math.max(keep.quality_score || 0, drop.quality_score || 0) || null,
+        ai_summary: pick('ai_summary'),
+        full_transcript: transcript.length > 0 ? JSON.stringify(transcript) : null,
+        customer_images: mergeGallery('customer_images'),
+        ai_rendering_url: mergeGallery('ai_rendering_url'),
+        conversation_id: pick('conversation_id'),
+        // A lead still in 'new' takes the other one's progress
+        stage: keep.stage && keep.stage !== 'new' ? keep.stage : (drop.stage || 'new'),
+        owner: pick('owner'),
+        last_updated: new Date().toISOString()
+    };
+}
+
+/**
+ * Merge lead `dropId` into `keepId` (galleries, transcripts, notes, history and appointments), then delete it.
+ * The writes run in one transaction (merge_leads in SupaBase Code/lead_dedup.sql), so a failure
+ * leaves both leads as they were.
+ * @returns {Promise<Object|null>} - The merged lead, or null if either lead isn't this client's
+ * @throws {Error} - If a database call fails
+ */
+export async function mergeLeads(supabase, clientId, keepId, dropId) {
+    const { data: leads, error } = await supabase
+        .from('leads')
+        .select('*')
+        .eq('client_id', clientId)
+        .in('id', [keepId, dropId]);
+
+    if (error) throw error;
+
+    const keep = leads?.find(l => String(l.id) === String(keepId));
+    const drop = leads?.find(l => String(l.id) === String(dropId));
+    if (!keep || !drop || keep.id === drop.id) return null;
+
+    const { data, error: mergeError } = await supabase.rpc('merge_leads', {
+        p_client_id: clientId,
+        p_keep_id: keep.id,
+        p_drop_id: drop.id,
+        p_merged: buildMergedLead(keep, drop),
+        p_note: `Merged ${drop.customer_name || drop.customer_email || drop.customer_phone || 'lead ' + drop.id}`
+    });
+
+    if (mergeError) throw mergeError;
+    const merged = Array.isArray(data) ? data[0] : data;
+    if (!merged) return null;
+
+    console.log(`🔗 Merged lead ${drop.id} into ${keep.id} for client ${clientId}`);
+
+    // The score is derived from the merged lead - recompute it once the merge is committed
+    let updated = merged;
+    if (await refreshLeadScore(supabase, keep.id) !== null) {
+        const { data: rescored } = await supabase.from('leads').select('*').eq('id', keep.id).maybeSingle();
+        if (rescored) updated = rescored;
+    }
+
+    await queueLeadEvent(supabase, clientId, 'lead.updated', updated);
+    return updated;
+}
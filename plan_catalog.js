@@ -0,0 +1,147 @@
+// plan_catalog.js
+// Maps Stripe products/prices to what they buy: credit grants, monthly allowances,
+// tiers and feature limits. Edit the plan_catalog table to launch or change a plan
+// without a redeploy (see SupaBase Code/plan_catalog.sql).
+//
+// Supabase table plan_catalog:
+//   id (text, e.g. 'starter'), kind ('subscription'|'credit_pack'), tier, name,
+//   stripe_product_id, stripe_price_id, credits_per_unit (packs), monthly_allowance (subscriptions),
+//   features (json: { max_products, max_training_pdfs }), is_default (bool), active (bool)
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Used when the table is missing or unreachable - matches the original hard-coded setup
+const FALLBACK_CATALOG = [
+    {
+        id: 'starter',
+        kind: 'subscription',
+        tier: 'starter',
+        name: 'Starter',
+        stripe_product_id: 'prod_Tn4FHxNAnhesep',
+        stripe_price_id: null,
+        credits_per_unit: 0,
+        monthly_allowance: 100,
+        features: { max_products: null, max_training_pdfs: 5 },
+        is_default: true,
+        active: true
+    },
+    {
+        id: 'credits_300',
+        kind: 'credit_pack',
+        tier: null,
+        name: '300 Credits',
+        stripe_product_id: 'prod_Tn3n7Rv1dsonQn',
+        stripe_price_id: 'price_1SpTgAQh2fQ2r8jEPRLQtZ4T',
+        credits_per_unit: 300,
+        monthly_allowance: 0,
+        features: {},
+        is_default: true,
+        active: true
+    }
+];
+
+let cache = { plans: null, loadedAt: 0 };
+
+// ==================================================================
+// 1. LOADING
+// ==================================================================
+
+/**
+ * Active catalog entries (cached for a minute)
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Array>}
+ */
+export async function getPlanCatalog(supabase) {
+    if (cache.plans && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.plans;
+
+    try {
+        const { data, error } = await supabase
+            .from('plan_catalog')
+            .select('*')
+            .eq('active', true);
+
+        if (error) throw error;
+
+        if (!data || data.length === 0) {
+            console.warn("⚠️ plan_catalog is empty, using built-in plans.");
+            cache = { plans: FALLBACK_CATALOG, loadedAt: Date.now() };
+        } else {
+            cache = { plans: data.map(normalizePlan), loadedAt: Date.now() };
+        }
+    } catch (err) {
+        console.error("⚠️ Could not load plan_catalog, using built-in plans:", err.message);
+        // Keep the last good catalog if we had one; try the table again after the TTL
+        cache = { plans: cache.plans || FALLBACK_CATALOG, loadedAt: Date.now() };
+    }
+
+    return cache.plans;
+}
+
+// Drop the cached catalog (e.g. right after editing the table)
+export function clearPlanCatalogCache() {
+    cache = { plans: null, loadedAt: 0 };
+}
+
+function normalizePlan(row) {
+    return {
+        ...row,
+        credits_per_unit: row.credits_per_unit || 0,
+        monthly_allowance: row.monthly_allowance || 0,
+        features: row.features || {}
+    };
+}
+
+// ==================================================================
+// 2. LOOKUPS
+// ==================================================================
+
+// Product id of a Checkout line item or invoice line (older and newer Stripe API shapes)
+export function getLineItemProductId(line) {
+    const product = line.price?.product ?? line.pricing?.price_details?.product;
+    return typeof product === 'string' ? product : product?.id || null;
+}
+
+export function findPlanByProduct(catalog, productId) {
+    if (!productId) return null;
+    return catalog.find(p => p.stripe_product_id === productId) || null;
+}
+
+export function findPlanByPrice(catalog, priceId) {
+    if (!priceId) return null;
+    return catalog.find(p => p.stripe_price_id === priceId) || null;
+}
+
+// Pack used for auto-refills
+export function getDefaultCreditPack(catalog) {
+    const packs = catalog.filter(p => p.kind === 'credit_pack' && p.stripe_price_id);
+    return packs.find(p => p.is_default) || packs[0] || null;
+}
+
+export function getDefaultSubscriptionPlan(catalog) {
+    const plans = catalog.filter(p => p.kind === 'subscription');
+    return plans.find(p => p.is_default) || plans[0] || null;
+}
+
+/**
+ * The subscription plan a client is on (clients.plan_id), or the default plan
+ * for clients that signed up before plans existed.
+ */
+export async function getClientPlan(supabase, client) {
+    const catalog = await getPlanCatalog(supabase);
+    const plan = client?.plan_id
+        ? catalog.find(p => p.id === client.plan_id && p.kind === 'subscription')
+        : null;
+
+    return plan || getDefaultSubscriptionPlan(catalog);
+}
+
+/**
+ * Read a feature limit from a plan. null/undefined means unlimited.
+ * @param {Object} plan - Catalog entry
+ * @param {string} feature - e.g. 'max_products', 'max_training_pdfs'
+ * @returns {number|null}
+ */
+export function getPlanLimit(plan, feature) {
+    const value = plan?.features?.[feature];
+    return Number.isFinite(value) ? value : null;
+}
@@ -0,0 +1,291 @@
+// product_compatibility.js
+import { ROOM_TYPES, WINDOW_TYPES } from './scene_analyzer.js';
+
+// Turns the free-text restrictions product_worker.js extracts into var_restrictions
+// ("Max width 96 inches", "Not for humid areas", "Requires 3 inch depth") into
+// structured rules, and checks products against what we know about the window:
+//   - what the visitor told us (measurements, room) - extracted by the chat model
+//   - what the scene analysis saw in their photo (room type, window types)
+// Parsing is plain pattern matching, so the same text always gives the same rules.
+// Anything we can't parse stays in the prompt as text, as before.
+
+// Room words -> room type, and the phrase used when explaining an exclusion
+const ROOM_KEYWORDS = [
+    { pattern: /\b(humid|humidity|moisture|wet|damp|steam)\b/, rooms: ['bathroom', 'kitchen'], phrase: 'humid areas' },
+    { pattern: /\bbath(room)?s?\b/, rooms: ['bathroom'], phrase: 'bathrooms' },
+    { pattern: /\bkitchens?\b/, rooms: ['kitchen'], phrase: 'kitchens' },
+    { pattern: /\bbedrooms?\b/, rooms: ['bedroom'], phrase: 'bedrooms' },
+    { pattern: /\b(nurser(y|ies)|child(ren)?'?s? rooms?|kids'? rooms?)\b/, rooms: ['nursery'], phrase: "children's rooms" },
+    { pattern: /\boffices?\b/, rooms: ['office'], phrase: 'offices' }
+];
+
+const WINDOW_KEYWORDS = [
+    { pattern: /\b(sliding (glass )?doors?|patio doors?|sliders?)\b/, types: ['sliding_door'], phrase: 'sliding doors' },
+    { pattern: /\bfrench doors?\b/, types: ['french_door'], phrase: 'French doors' },
+    { pattern: /\bskylights?\b/, types: ['skylight'], phrase: 'skylights' },
+    { pattern: /\bbay windows?\b/, types: ['bay'], phrase: 'bay windows' },
+    { pattern: /\barch(ed)?( windows?)?\b/, types: ['arched'], phrase: 'arched windows' },
+    { pattern: /\b(glass )?doors?\b/, types: ['sliding_door', 'french_door'], phrase: 'doors' }
+];
+
+const NEGATION = /\b(not|no|never|avoid|unsuitable|isn'?t|cannot|can'?t|excluded?|except)\b/;
+// An exclusion's negation must govern the room/window phrase: "not (suitable) for bathrooms",
+// "avoid sliding doors", "no bathrooms" - not "no cords - safe for nurseries".
+// Text before the phrase has to end in a negation plus at most 4 plain words (no punctuation);
+// "no" only counts right before it.
+const NEGATION_LEAD = /\b(?:(?:not|never|avoid|unsuitable|isn'?t|cannot|can'?t|exclud(?:e|es|ed|ing)|except)(?:\s+[a-z']+){0,4}|no)\s+$/;
+const MAX_WORDS = /\b(max(imum)?|up to)\b|<=?/;
+const MIN_WORDS = /\b(min(imum)?|at least|requires?d?|needs?)\b|>=?/;
+// Comparisons flip with a negation: "under 96" / "not over 96" / "no more than 96" are maximums,
+// "over 24" / "not for windows under 24" are minimums
+const OVER_WORDS = /\b(over|above|exceed(s|ing)?|(more|wider|taller|longer|larger|greater) than)\b/;
+const UNDER_WORDS = /\b(under|below|(less|narrower|shorter|smaller) than)\b/;
+const WIDTH_WORDS = /\b(width|widths|wide|wider|narrower)\b/;
+const HEIGHT_WORDS = /\b(height|heights|drop|tall|taller|shorter|long|longer|length)\b/;
+// Abbreviations whose dot doesn't end a clause ("Min. width 12 inches")
+const ABBREVIATIONS = /\b(min|max|approx|dia|ht|wd)\./g;
+// Numbers may be mixed fractions: "2 1/2", "2-1/2", "3/4"
+const LENGTH = /((?:\d+(?:\s+|-))?\d+\/\d+|\d+(?:\.\d+)?)\s*(inches|inch|in\b|"|”|feet|foot|ft\b|'|cm\b|centimet(?:er|re)s?|mm\b|millimet(?:er|re)s?|m\b|met(?:er|re)s?)?/;
+
+// ==================================================================
+// 1. PARSING
+// ==================================================================
+function parseNumber(value) {
+    const fraction = String(value).match(/^(?:(\d+)[\s-]+)?(\d+)\/(\d+)$/);
+    if (fraction) return Number(fraction[1] || 0) + Number(fraction[2]) / Number(fraction[3]);
+    return parseFloat(value);
+}
+
+function toInches(value, unit = '') {
+    const n = parseNumber(value);
+    const u = unit.toLowerCase();
+    if (/^(feet|foot|ft|')$/.test(u)) return n * 12;
+    if (/^(cm|centimet)/.test(u)) return n / 2.54;
+    if (/^(mm|millimet)/.test(u)) return n / 25.4;
+    if (/^(m|met)/.test(u)) return n / 0.0254;
+    return n; // inches (or no unit - US catalogs are in inches)
+}
+
+const round = (n) => Math.round(n * 10) / 10;
+
+// Whether some occurrence of `pattern` in the clause is governed by a negation (NEGATION_LEAD)
+function isNegated(clause, pattern) {
+    for (const match of clause.matchAll(new RegExp(pattern.source, 'g'))) {
+        if (NEGATION_LEAD.test(clause.slice(0, match.index))) return true;
+    }
+    return false;
+}
+
+// "24-96 inches", "24 to 96 in", "between 2 and 8 feet"
+const RANGE = new RegExp(`${LENGTH.source}\\s*(?:-|–|to|and)\\s*${LENGTH.source}`);
+
+/**
+ * Parse a product's restriction text into rules
+ * @param {string} text - product_gallery.var_restrictions
+ * @returns {{max_width_in: number|null, max_height_in: number|null, min_width_in: number|null,
+ *            min_height_in: number|null, min_mount_depth_in: number|null,
+ *            excluded_rooms: Object, excluded_window_types: Object}} - excluded_* map type -> phrase
+ */
+export function parseRestrictions(text) {
+    const rules = {
+        max_width_in: null,
+        max_height_in: null,
+        min_width_in: null,
+        min_height_in: null,
+        min_mount_depth_in: null,
+        excluded_rooms: {},
+        excluded_window_types: {}
+    };
+    if (!text) return rules;
+
+    // Clauses: split on sentence/list breaks, but not on decimal points or abbreviations
+    const clauses = String(text).toLowerCase().replace(ABBREVIATIONS, '$1')
+        .split(/[;\n•]|,\s|\.(?!\d)/).map(c => c.trim()).filter(Boolean);
+
+    for (const clause of clauses) {
+        let isMax = MAX_WORDS.test(clause);
+        let isMin = MIN_WORDS.test(clause);
+
+        const over = OVER_WORDS.test(clause);
+        const under = UNDER_WORDS.test(clause);
+        if (over !== under) {
+            const negated = NEGATION.test(clause);
+            if (over ? negated : !negated) isMax = true;
+            else isMin = true;
+        }
+
+        // "Width 24-96 inches" -> min and max of that dimension
+        const range = clause.match(RANGE);
+        const dimension = WIDTH_WORDS.test(clause) ? 'width' : HEIGHT_WORDS.test(clause) ? 'height' : null;
+        if (range && dimension) {
+            const low = round(toInches(range[1], range[2] || range[4]));
+            const high = round(toInches(range[3], range[4]));
+            if (low < high) {
+                rules[`min_${dimension}_in`] = low;
+                rules[`max_${dimension}_in`] = high;
+                continue;
+            }
+        }
+
+        // "Max size 120 x 96" -> width x height
+        const pair = clause.match(new RegExp(`${LENGTH.source}\\s*[x×]\\s*${LENGTH.source}`));
+        if (pair && (isMax || isMin)) {
+            const width = round(toInches(pair[1], pair[2]));
+            const height = round(toInches(pair[3], pair[4]));
+            if (isMax) { rules.max_width_in = width; rules.max_height_in = height; }
+            else { rules.min_width_in = width; rules.min_height_in = height; }
+            continue;
+        }
+
+        const length = clause.match(LENGTH);
+        if (length && (isMax || isMin || /\bdepth|deep\b/.test(clause))) {
+            const inches = round(toInches(length[1], length[2]));
+
+            if (/\b(depth|deep)\b/.test(clause)) {
+                if (!isMax) rules.min_mount_depth_in = inches; // "Requires 3 inch depth"
+            } else if (dimension === 'width') {
+                rules[isMax ? 'max_width_in' : 'min_width_in'] = inches;
+            } else if (dimension === 'height') {
+                rules[isMax ? 'max_height_in' : 'min_height_in'] = inches;
+            }
+        }
+
+        // Exclusions need a negation in front of them: "Not for humid areas", "Avoid sliding doors"
+        if (!NEGATION.test(clause)) continue;
+
+        for (const { pattern, rooms, phrase } of ROOM_KEYWORDS) {
+            if (!isNegated(clause, pattern)) continue;
+            for (const room of rooms) {
+                if (ROOM_TYPES.includes(room) && !rules.excluded_rooms[room]) rules.excluded_rooms[room] = phrase;
+            }
+        }
+        for (const { pattern, types, phrase } of WINDOW_KEYWORDS) {
+            if (!pattern.test(clause)) continue;
+            if (!isNegated(clause, pattern)) break; // A named window type that isn't excluded, e.g. "great for sliding doors"
+            for (const type of types) {
+                if (WINDOW_TYPES.includes(type) && !rules.excluded_window_types[type]) rules.excluded_window_types[type] = phrase;
+            }
+            break; // "sliding doors" must not also match the generic "doors"
+        }
+    }
+
+    return rules;
+}
+
+// ==================================================================
+// 2. ROOM FACTS
+// ==================================================================
+const positiveNumber = (value) => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+/**
+ * Combine what the visitor said with what the photo shows (the visitor wins)
+ * @param {Object|null} scene - From analyzeScene()
+ * @param {Object|null} visitorSpecs - window_specs from the chat model ({width_in, height_in, mount_depth_in, room_type})
+ * @returns {{width_in, height_in, mount_depth_in, room_type, window_types: string[]}}
+ */
+export function buildRoomFacts(scene, visitorSpecs) {
+    const statedRoom = String(visitorSpecs?.room_type || '').toLowerCase().replace(/[\s-]+/g, '_');
+
+    return {
+        width_in: positiveNumber(visitorSpecs?.width_in),
+        height_in: positiveNumber(visitorSpecs?.height_in),
+        mount_depth_in: positiveNumber(visitorSpecs?.mount_depth_in),
+        room_type: ROOM_TYPES.includes(statedRoom) && statedRoom !== 'other'
+            ? statedRoom
+            : (scene?.room_type && scene.room_type !== 'other' ? scene.room_type : null),
+        window_types: (scene?.window_types || []).filter(t => t !== 'other')
+    };
+}
+
+// ==================================================================
+// 3. EVALUATION
+// ==================================================================
+const inches = (n) => `${round(n)}"`;
+
+/**
+ * Check one product's rules against the room
+ * @returns {{compatible: boolean, reasons: string[], notes: string[]}} - reasons exclude the product;
+ *          notes are partial limits (e.g. one of several windows is a sliding door)
+ */
+export function evaluateCompatibility(rules, facts) {
+    const reasons = [];
+    const notes = [];
+
+    if (rules.max_width_in && facts.width_in && facts.width_in > rules.max_width_in) {
+        reasons.push(`max width is ${inches(rules.max_width_in)} and your window is ${inches(facts.width_in)}`);
+    }
+    if (rules.min_width_in && facts.width_in && facts.width_in < rules.min_width_in) {
+        reasons.push(`min width is ${inches(rules.min_width_in)} and your window is ${inches(facts.width_in)}`);
+    }
+    if (rules.max_height_in && facts.height_in && facts.height_in > rules.max_height_in) {
+        reasons.push(`max height is ${inches(rules.max_height_in)} and your window is ${inches(facts.height_in)}`);
+    }
+    if (rules.min_height_in && facts.height_in && facts.height_in < rules.min_height_in) {
+        reasons.push(`min height is ${inches(rules.min_height_in)} and your window is ${inches(facts.height_in)}`);
+    }
+    if (rules.min_mount_depth_in && facts.mount_depth_in && facts.mount_depth_in < rules.min_mount_depth_in) {
+        reasons.push(`needs ${inches(rules.min_mount_depth_in)} of mounting depth and you have ${inches(facts.mount_depth_in)}`);
+    }
+    if (facts.room_type && rules.excluded_rooms[facts.room_type]) {
+        reasons.push(`not suitable for ${rules.excluded_rooms[facts.room_type]}`);
+    }
+
+    // Only rule a product out if EVERY window in the photo is a type it can't do
+    const blocked = facts.window_types.filter(t => rules.excluded_window_types[t]);
+    const phrases = [...new Set(blocked.map(t => rules.excluded_window_types[t]))];
+    if (blocked.length > 0 && blocked.length === facts.window_types.length) {
+        reasons.push(`not suitable for ${phrases.join(' or ')}`);
+    } else if (blocked.length > 0) {
+        notes.push(`not for ${phrases.join(' or ')}`);
+    }
+
+    return { compatible: reasons.length === 0, reasons, notes };
+}
+
+/**
+ * Split products into the ones that fit this room and the ones that don't
+ * @param {Array} products - product_gallery rows (index = product id used by the widget)
+ * @param {Object} facts - From buildRoomFacts()
+ * @returns {{compatible: Array<{product, index, notes}>, excluded: Array<{product, index, reasons}>}}
+ */
+export function checkProducts(products, facts) {
+    const compatible = [];
+    const excluded = [];
+
+    (products || []).forEach((product, index) => {
+        const result = evaluateCompatibility(parseRestrictions(product.var_restrictions), facts);
+        if (result.compatible) compatible.push({ product, index, notes: result.notes });
+        else excluded.push({ product, index, reasons: result.reasons });
+    });
+
+    return { compatible, excluded };
+}
+
+/**
+ * Visitor-facing explanation of hidden products
+ * @returns {string} - Empty when nothing was excluded
+ */
+export function explainExclusions(excluded) {
+    if (!excluded || excluded.length === 0) return '';
+    const lines = excluded.map(e => `• ${e.product.name}: ${e.reasons.join('; ')}`);
+    return `\n\nI've left out a few options that won't work for your window:\n${lines.join('\n')}`;
+}
+
+/**
+ * Exclusions for the system prompt, so the bot doesn't recommend them either
+ * @param {Array} excluded - From checkProducts()
+ * @param {Function} fence - (label, text) => fenced text, i.e. delimitUntrusted from prompt_guard.js
+ *                           (product names and restriction text come from the client's scraped catalog)
+ * @returns {string} - Empty when nothing was excluded
+ */
+export function formatExclusionsForPrompt(excluded, fence) {
+    if (!excluded || excluded.length === 0) return '';
+    const lines = excluded.map(e => `- ${e.product.name}: ${e.reasons.join('; ')}`).join('\n');
+    return `
+    NOT SUITABLE FOR THIS VISITOR'S WINDOW (do not recommend these; explain why if asked):
+    ${fence('EXCLUDED_PRODUCTS', lines)}
+    `;
+}
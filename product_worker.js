@@ -1,12 +1,11 @@
 import dotenv from 'dotenv';
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { createClient } from '@supabase/supabase-js';
 import axios from 'axios';
-import { wrapGeminiCall } from './rate_limiter.js';
+import { getAIProvider } from './ai_provider.js';
+import { getClientModel } from './client_ai_config.js';
 
 dotenv.config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_KEY);
 
 // Helper: Parse URL field that may contain multiple URLs
@@ -119,11 +118,14 @@ export async function startProductWorker() {
 
             if (products && products.length > 0) {
                 console.log(`📝 Analyzing ${products.length} products...`);
-                
-                const model = genAI.getGenerativeModel({ 
-                    model: "gemini-3-flash-preview",
-                    generationConfig: { responseMimeType: "application/json" } 
-                });
+
+                // Each client's extraction model (client_ai_config.js)
+                const clientIds = [...new Set(products.map(p => p.client_id))];
+                const { data: clients } = await supabase
+                    .from('clients')
+                    .select('id, ai_models')
+                    .in('id', clientIds);
+                const clientsById = new Map((clients || []).map(c => [c.id, c]));
 
                 for (const product of products) {
                     console.log(`   👉 Processing: ${product.name}`);
@@ -169,8 +171,11 @@ export async function startProductWorker() {
                         inputs.push(prompt);
 
                         try {
-                            const result = await wrapGeminiCall(() => model.generateContent(inputs));
-                            const data = JSON.parse(result.response.text());
+                            const data = await getAIProvider().extractJson({
+                                task: 'product_specs',
+                                model: getClientModel(clientsById.get(product.client_id), 'product_specs'),
+                                parts: inputs
+                            });
 
                             await supabase
                                 .from('product_gallery')
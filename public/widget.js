@@ -7,9 +7,16 @@
 
     // Fetch Client Config from Server
     fetch(`${SERVER_URL}/client-config/${apiKey}`)
-        .then(response => response.json())
+        .then(response => {
+            // 403: this website isn't on the client's allowed domains - don't show the widget
+            if (response.status === 403) {
+                console.warn(`BlindBot: Widget is not enabled for ${window.location.hostname}.`);
+                return null;
+            }
+            return response.json();
+        })
         .then(config => {
-            initBot(config);
+            if (config) initBot(config);
         })
         .catch(err => {
             console.error("BlindBot: Could not load config", err);
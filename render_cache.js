@@ -0,0 +1,257 @@
+// render_cache.js
+import { createHash } from 'crypto';
+import { requireAdminKey } from './api_key_manager.js';
+
+// Renders already produced for the same photo, product, color and options are
+// served again for free. Visitors flipping "Change Color" back and forth
+// (change_color UI actions) would otherwise pay for the same image every time.
+//
+// The key hashes the photo's bytes (so the same photo uploaded twice still hits),
+// the product, the color, the exact prompt (a re-scanned product description is a
+// new render) and the render options (window region, comparison image, the client's
+// render model and prompt template).
+// Only renders that passed verification are cached.
+//
+// Supabase table render_cache:
+//   cache_key (text, primary key), client_id, product_name, color, render (json {label, color, url, comparison_url}),
+//   before_url, bytes, hits, created_at, last_used_at, expires_at
+// Supabase: clients.render_cache_budget_mb (cached bytes per client, null = default)
+//
+// Over budget, the least recently used entries leave the cache. Their files stay in
+// storage: transcripts and lead galleries still link to them.
+
+const CACHE_TTL_DAYS = 30;
+export const DEFAULT_CACHE_BUDGET_MB = 250;
+const MAX_CACHE_BUDGET_MB = 10000;
+const IMAGE_HASH_LIMIT = 500;
+
+const imageHashes = new Map(); // imageUrl -> sha256 (uploads never change)
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+// ==================================================================
+// 1. KEYS
+// ==================================================================
+async function hashSourceImage(imageUrl) {
+    if (imageHashes.has(imageUrl)) return imageHashes.get(imageUrl);
+
+    const response = await fetch(imageUrl);
+    if (!response.ok) throw new Error(`Image download failed (${response.status})`);
+    const hash = sha256(Buffer.from(await response.arrayBuffer()));
+
+    imageHashes.set(imageUrl, hash);
+    if (imageHashes.size > IMAGE_HASH_LIMIT) imageHashes.delete(imageHashes.keys().next().value);
+    return hash;
+}
+
+/**
+ * Give each planned variant its cache key
+ * @param {string} clientId
+ * @param {string} sourceImageUrl - Photo being rendered
+ * @param {Object} product - product_gallery row
+ * @param {Array} variants - From planRenderVariants()
+ * @param {Object} options - Everything else that changes the output ({ region, comparison, model, promptTemplate })
+ * @returns {Promise<Array>} - Same variants with cache_key (unchanged if the photo can't be hashed)
+ */
+export async function keyRenderVariants(clientId, sourceImageUrl, product, variants, options = {}) {
+    try {
+        const imageHash = await hashSourceImage(sourceImageUrl);
+        const productKey = product.id ?? product.name;
+
+        return variants.map(variant => ({
+            ...variant,
+            cache_key: sha256(JSON.stringify([clientId, imageHash, productKey, variant.color || null, variant.prompt, options]))
+        }));
+
+    } catch (err) {
+        console.error("❌ Render cache key failed:", err.message);
+        return variants;
+    }
+}
+
+// ==================================================================
+// 2. LOOKUP AND STORE
+// ==================================================================
+
+/**
+ * Renders for every variant, if all of them are cached (a partial hit renders everything)
+ * @returns {Promise<{before_url: string|null, variants: Array}|null>} - null on a miss or error
+ */
+export async function findCachedRenders(supabase, clientId, variants) {
+    try {
+        const keys = variants.map(v => v.cache_key);
+        if (keys.length === 0 || keys.some(k => !k)) return null;
+
+        const { data: rows, error } = await supabase
+            .from('render_cache')
+            .select('cache_key, render, before_url, hits')
+            .eq('client_id', clientId)
+            .in('cache_key', keys)
+            .gt('expires_at', new Date().toISOString());
+
+        if (error) throw error;
+
+        const byKey = new Map((rows || []).map(row => [row.cache_key, row]));
+        if (!keys.every(k => byKey.has(k))) return null;
+
+        const now = new Date().toISOString();
+        for (const row of byKey.values()) {
+            const { error: hitError } = await supabase
+                .from('render_cache')
+                .update({ hits: (row.hits || 0) + 1, last_used_at: now })
+                .eq('cache_key', row.cache_key);
+            if (hitError) console.error("   ⚠️ Could not record cache hit:", hitError.message);
+        }
+
+        return {
+            before_url: byKey.get(keys[0]).before_url || null,
+            variants: keys.map(k => byKey.get(k).render)
+        };
+
+    } catch (err) {
+        console.error("❌ Render cache lookup failed:", err.message);
+        return null;
+    }
+}
+
+/**
+ * Cache the accepted renders of a finished job, then trim the client's cache to budget
+ * @param {Object} job - render_jobs row (variants carry cache_key)
+ * @param {Object} set - From generateRenderSet() (same order as job.variants)
+ */
+export async function storeCachedRenders(supabase, job, set) {
+    try {
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + CACHE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+        const rows = set.variants
+            .map((entry, index) => ({ entry, key: job.variants?.[index]?.cache_key }))
+            .filter(({ entry, key }) => entry.url && key)
+            .map(({ entry, key }) => ({
+                cache_key: key,
+                client_id: job.client_id,
+                product_name: job.product_name,
+                color: entry.color,
+                render: { label: entry.label, color: entry.color, url: entry.url, comparison_url: entry.comparison_url || null },
+                before_url: set.before_url,
+                bytes: entry.bytes || 0,
+                hits: 0,
+                created_at: now.toISOString(),
+                last_used_at: now.toISOString(),
+                expires_at: expiresAt
+            }));
+
+        if (rows.length === 0) return;
+
+        const { error } = await supabase.from('render_cache').upsert(rows);
+        if (error) throw error;
+
+        await enforceCacheBudget(supabase, job.client_id);
+
+    } catch (err) {
+        console.error("❌ Could not cache renders:", err.message);
+    }
+}
+
+// Drop expired entries, then least recently used ones until the client is under budget
+async function enforceCacheBudget(supabase, clientId) {
+    await supabase
+        .from('render_cache')
+        .delete()
+        .eq('client_id', clientId)
+        .lte('expires_at', new Date().toISOString());
+
+    const { data: client } = await supabase
+        .from('clients')
+        .select('render_cache_budget_mb')
+        .eq('id', clientId)
+        .maybeSingle();
+
+    const budgetBytes = (client?.render_cache_budget_mb ?? DEFAULT_CACHE_BUDGET_MB) * 1024 * 1024;
+
+    const { data: entries } = await supabase
+        .from('render_cache')
+        .select('cache_key, bytes')
+        .eq('client_id', clientId)
+        .order('last_used_at', { ascending: false });
+
+    let total = 0;
+    const evict = [];
+    for (const entry of entries || []) {
+        total += entry.bytes || 0;
+        if (total > budgetBytes) evict.push(entry.cache_key);
+    }
+    if (evict.length === 0) return;
+
+    const { error } = await supabase
+        .from('render_cache')
+        .delete()
+        .in('cache_key', evict);
+
+    if (error) console.error("   ⚠️ Render cache eviction failed:", error.message);
+    else console.log(`🧹 Render cache: evicted ${evict.length} entr${evict.length === 1 ? 'y' : 'ies'} for client ${clientId}`);
+}
+
+// ==================================================================
+// 3. SETTINGS ROUTES
+// ==================================================================
+export function setupRenderCacheRoutes(app, supabase) {
+    const adminKey = requireAdminKey(supabase);
+
+    app.get('/render-cache', adminKey, async (req, res) => {
+        try {
+            const [{ data: entries, error }, { data: client }] = await Promise.all([
+                supabase
+                    .from('render_cache')
+                    .select('bytes, hits')
+                    .eq('client_id', req.client.id)
+                    .gt('expires_at', new Date().toISOString()),
+                supabase
+                    .from('clients')
+                    .select('render_cache_budget_mb')
+                    .eq('id', req.client.id)
+                    .maybeSingle()
+            ]);
+
+            if (error) throw error;
+
+            const bytes = (entries || []).reduce((sum, e) => sum + (e.bytes || 0), 0);
+            res.json({
+                entries: entries?.length || 0,
+                hits: (entries || []).reduce((sum, e) => sum + (e.hits || 0), 0),
+                usedMb: Math.round(bytes / 1024 / 1024 * 10) / 10,
+                budgetMb: client?.render_cache_budget_mb ?? DEFAULT_CACHE_BUDGET_MB,
+                ttlDays: CACHE_TTL_DAYS
+            });
+
+        } catch (err) {
+            console.error("Render Cache Stats Error:", err.message);
+            res.status(500).json({ error: "Failed to load render cache" });
+        }
+    });
+
+    // budgetMb: cached render storage for this client (null restores the default, 0 turns caching off)
+    app.post('/update-render-cache', adminKey, async (req, res) => {
+        try {
+            const { budgetMb } = req.body;
+
+            if (budgetMb !== null && (!Number.isInteger(budgetMb) || budgetMb < 0 || budgetMb > MAX_CACHE_BUDGET_MB)) {
+                return res.status(400).json({ error: `budgetMb must be a whole number from 0 to ${MAX_CACHE_BUDGET_MB}, or null` });
+            }
+
+            const { error } = await supabase
+                .from('clients')
+                .update({ render_cache_budget_mb: budgetMb })
+                .eq('id', req.client.id);
+
+            if (error) throw error;
+
+            await enforceCacheBudget(supabase, req.client.id);
+            res.json({ success: true, budgetMb: budgetMb ?? DEFAULT_CACHE_BUDGET_MB });
+
+        } catch (err) {
+            console.error("Render Cache Update Error:", err.message);
+            res.status(500).json({ error: "Update failed" });
+        }
+    });
+}
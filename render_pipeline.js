@@ -0,0 +1,258 @@
+// render_pipeline.js
+import { getAIProvider } from './ai_provider.js';
+import { DEFAULT_PROMPT_TEMPLATES, fillTemplate } from './client_ai_config.js';
+import { verifyRendering } from './render_verifier.js';
+import { analyzeScene, describeSceneForRender } from './scene_analyzer.js';
+import { downloadAndConvertImage, compressForRendering, composeBeforeAfter, cropRegion, compositeRegion } from './image_utils.js';
+
+// Renders per job - each variant costs one credit
+export const MAX_RENDER_VARIANTS = 4;
+
+// Per-window mode: smallest selectable window, and how much surrounding room the crop keeps
+const MIN_REGION_SIZE = 0.03;
+const REGION_PADDING = 0.15;
+
+// ==================================================================
+// RENDER PROMPTS
+// ==================================================================
+
+/**
+ * Work out which renders one visualize request produces
+ * - Visitor picked a color: one render in that color
+ * - Otherwise: up to `count` renders in different colors from the product's palette
+ *   (a single render lets the model pick a color that suits the room)
+ * @param {Object} product - product_gallery row
+ * @param {Object} options
+ * @param {string|null} options.selectedColor - Color the visitor chose
+ * @param {number} options.count - Variants the client wants per render
+ * @returns {Array<{label: string, color: string|null, prompt: string}>}
+ */
+export function planRenderVariants(product, { selectedColor = null, count = 1 } = {}) {
+    const desc = product.ai_description || product.description;
+    const base = `Install ${product.name} (${desc}) on the windows.`;
+
+    // M3: Stronger wording for specific colors
+    const colorPrompt = (color) => `${base} IMPORTANT: Use ${color} color for the blinds. If the reference product image shows a different color, you MUST override it to ${color}.`;
+
+    if (selectedColor) {
+        return [{ label: selectedColor, color: selectedColor, prompt: colorPrompt(selectedColor) }];
+    }
+
+    const colors = (product.var_colors || '').split(',').map(c => c.trim()).filter(c => c);
+    const wanted = Math.min(Math.max(parseInt(count) || 1, 1), MAX_RENDER_VARIANTS);
+
+    if (wanted > 1 && colors.length > 1) {
+        return colors.slice(0, wanted).map(color => ({ label: color, color, prompt: colorPrompt(color) }));
+    }
+
+    return [{
+        label: product.name,
+        color: null,
+        prompt: `${base} Choose the most suitable color from available options: ${product.var_colors || 'standard colors'}. Pick one that complements the room.`
+    }];
+}
+
+/**
+ * Validate a window selection sent by the widget
+ * @param {Object} input - { imageUrl, x, y, w, h } with x/y/w/h as fractions (0-1) of the photo
+ * @param {string} sourceImageUrl - Photo being rendered; a selection made on another photo is ignored
+ * @returns {{x: number, y: number, w: number, h: number}|null}
+ */
+export function normalizeRegion(input, sourceImageUrl) {
+    if (!input || typeof input !== 'object' || !sourceImageUrl || input.imageUrl !== sourceImageUrl) return null;
+
+    const values = ['x', 'y', 'w', 'h'].map(k => Number(input[k]));
+    if (values.some(v => !Number.isFinite(v))) return null;
+
+    const x = Math.min(Math.max(values[0], 0), 1);
+    const y = Math.min(Math.max(values[1], 0), 1);
+    const w = Math.min(values[2], 1 - x);
+    const h = Math.min(values[3], 1 - y);
+    if (w < MIN_REGION_SIZE || h < MIN_REGION_SIZE) return null;
+
+    const round = (v) => Math.round(v * 10000) / 10000;
+    return { x: round(x), y: round(y), w: round(w), h: round(h) };
+}
+
+// Added to the prompt when retrying a render that failed verification
+const STRICT_RENDER_RULES = `
+           STRICT RULES (a previous attempt was rejected):
+           - Output the SAME photo: identical camera angle, crop and zoom. Do not re-frame.
+           - Do NOT move, add or remove any furniture, decor, doors or walls.
+           - The window treatment MUST be clearly visible on the window(s).`;
+
+function buildRegionPrompt(promptText, strict = false) {
+    return `This is a close-up of ONE window cut out of a larger room photo.
+           Apply the following window treatment strictly to the window in the center of this image: ${promptText}.
+           Do NOT change the walls, trim, furniture or anything outside that window's frame.
+           Keep the exact framing, perspective and lighting - do not zoom, crop or re-frame the image.
+           High resolution, photorealistic.${strict ? STRICT_RENDER_RULES : ''}`;
+}
+
+// scene: from analyzeScene() (null = unknown room, no fire added)
+// template: the client's render prompt (client_ai_config.js) with {{treatment}}, {{scene}}, {{fireplace}}
+function buildFullPrompt(promptText, scene, strict = false, template = DEFAULT_PROMPT_TEMPLATES.render_prompt) {
+    return fillTemplate(template, {
+        treatment: promptText,
+        scene: describeSceneForRender(scene),
+        fireplace: scene?.has_fireplace ? 'Add a subtle, realistic fire with soft flames and warm glow to the fireplace.' : ''
+    }) + (strict ? STRICT_RENDER_RULES : '');
+}
+
+// ==================================================================
+// RENDERING
+// ==================================================================
+
+// One image-to-image call (Nano Banana Pro on Gemini) -> PNG buffer
+function renderImage(imagePart, fullPrompt, model) {
+    return getAIProvider().editImage({
+        task: 'render',
+        model,
+        prompt: fullPrompt,
+        image: imagePart,
+        priority: true // High priority - user interaction
+    });
+}
+
+// Per-window mode: render only a crop around the selected window, then blend it back
+// into the original photo so the rest of the room (and any other window) stays untouched
+async function renderRegion(beforeBuffer, region, promptText, strict = false, model) {
+    const { crop, box, inner } = await cropRegion(beforeBuffer, region, { padding: REGION_PADDING });
+    const cropPart = { inlineData: { data: crop.toString('base64'), mimeType: 'image/jpeg' } };
+
+    const patch = await renderImage(cropPart, buildRegionPrompt(promptText, strict), model);
+    return compositeRegion(beforeBuffer, patch, box, inner);
+}
+
+async function uploadRenderFile(supabase, fileName, buffer, contentType) {
+    const path = `renderings/${fileName}`;
+    const { error } = await supabase.storage.from('chat-uploads').upload(path, buffer, { contentType });
+
+    if (error) throw error;
+    const { data: urlData } = supabase.storage.from('chat-uploads').getPublicUrl(path);
+    return urlData.publicUrl;
+}
+
+/**
+ * Render one or more variants of a window treatment into the visitor's room photo,
+ * each with an optional before/after comparison image
+ * @param {Object} supabase - Supabase client (for storage upload)
+ * @param {string} sourceImageUrl - URL of the uploaded room image
+ * @param {Array<{label?: string, color?: string, prompt: string}>} variants - From planRenderVariants()
+ * @param {Object} [options]
+ * @param {boolean} [options.comparison] - Also build before/after images
+ * @param {string} [options.logoUrl] - Client logo watermarked on the comparison
+ * @param {Object} [options.region] - Only treat this window (from normalizeRegion)
+ * @param {string} [options.model] - Client's render model (default: provider's)
+ * @param {string} [options.promptTemplate] - Client's render prompt template
+ * @returns {Promise<{before_url: string|null, variants: Array}|null>} - One entry per variant
+ *          ({label, color, url, comparison_url, bytes, verification} or {label, color, url: null, error, verification});
+ *          null if nothing could run. A variant that fails verification twice has no url.
+ */
+export async function generateRenderSet(supabase, sourceImageUrl, variants, { comparison = true, logoUrl = null, region = null, model, promptTemplate } = {}) {
+    try {
+        console.log(`🎨 Generating ${variants.length} render(s) with ${getAIProvider().name}${region ? ' for one window' : ''}...`);
+
+        // 1. Scene analysis first (two-stage approach; usually cached from the chat turn).
+        //    Not needed when only one window changes.
+        const scene = region ? null : await analyzeScene(supabase, sourceImageUrl);
+
+        // 2. Download the room image and downscale it once - the same photo goes to
+        //    the model and into the comparison
+        const source = await downloadAndConvertImage(sourceImageUrl);
+        if (!source) throw new Error("Could not download source image.");
+
+        const originalBuffer = Buffer.from(source.inlineData.data, 'base64');
+        const beforeBuffer = await compressForRendering(originalBuffer);
+        const imagePart = {
+            inlineData: {
+                data: beforeBuffer.toString('base64'),
+                mimeType: beforeBuffer === originalBuffer ? source.inlineData.mimeType : 'image/jpeg'
+            }
+        };
+
+        const logo = comparison && logoUrl ? await downloadAndConvertImage(logoUrl) : null;
+        const logoBuffer = logo ? Buffer.from(logo.inlineData.data, 'base64') : null;
+
+        // 3. Generate all variants (the rate limiter paces the calls)
+        const stamp = Date.now();
+        let fittedBefore = null;
+
+        const results = await Promise.all(variants.map(async (variant, index) => {
+            const entry = { label: variant.label || null, color: variant.color || null };
+
+            try {
+                // Render, verify, and retry once with a stricter prompt if rejected
+                entry.verification = [];
+                let rendered = null;
+
+                for (const strict of [false, true]) {
+                    const candidate = region
+                        ? await renderRegion(beforeBuffer, region, variant.prompt, strict, model)
+                        : await renderImage(imagePart, buildFullPrompt(variant.prompt, scene, strict, promptTemplate), model);
+
+                    const verdict = { ...await verifyRendering(beforeBuffer, candidate, { promptText: variant.prompt, region }), strict };
+                    entry.verification.push(verdict);
+
+                    if (verdict.accepted) {
+                        rendered = candidate;
+                        break;
+                    }
+
+                    // Keep the rejected image for review
+                    verdict.rejected_url = await uploadRenderFile(supabase, `${stamp}_${index}_rejected${strict ? '_strict' : ''}.png`, candidate, 'image/png')
+                        .catch(() => null);
+                }
+
+                if (!rendered) return { ...entry, url: null, error: 'Rejected by verification' };
+
+                entry.url = await uploadRenderFile(supabase, `${stamp}_${index}_render.png`, rendered, 'image/png');
+                entry.comparison_url = null;
+                entry.bytes = rendered.length; // Storage used, for the render cache budget
+
+                // 4. Before/after - a failure here still leaves a usable render
+                if (comparison) {
+                    try {
+                        const composed = await composeBeforeAfter(beforeBuffer, rendered, { logoBuffer });
+                        entry.comparison_url = await uploadRenderFile(supabase, `${stamp}_${index}_compare.jpg`, composed.comparison, 'image/jpeg');
+                        entry.bytes += composed.comparison.length;
+                        fittedBefore = fittedBefore || composed.before;
+                    } catch (err) {
+                        console.error(`   ⚠️ Comparison image failed (variant ${index + 1}):`, err.message);
+                    }
+                }
+                return entry;
+
+            } catch (err) {
+                console.error(`Render Error (variant ${index + 1}):`, err.message);
+                return { ...entry, url: null, error: err.message };
+            }
+        }));
+
+        // 5. Original at the render's size, for the widget's before/after slider
+        const beforeUrl = fittedBefore
+            ? await uploadRenderFile(supabase, `${stamp}_before.jpg`, fittedBefore, 'image/jpeg').catch(err => {
+                console.error("   ⚠️ Could not upload before image:", err.message);
+                return null;
+            })
+            : null;
+
+        return { before_url: beforeUrl, variants: results };
+
+    } catch (err) {
+        console.error("Render Error:", err.message);
+        return null;
+    }
+}
+
+/**
+ * Image-to-image render of a window treatment into the visitor's room photo
+ * @param {Object} supabase - Supabase client (for storage upload)
+ * @param {string} sourceImageUrl - URL of the uploaded room image
+ * @param {string} promptText - Product + color instruction
+ * @returns {Promise<string|null>} - Public URL of the render, or null on failure
+ */
+export async function generateRendering(supabase, sourceImageUrl, promptText) {
+    const set = await generateRenderSet(supabase, sourceImageUrl, [{ prompt: promptText }], { comparison: false });
+    return set?.variants[0]?.url || null;
+}
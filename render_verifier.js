@@ -0,0 +1,107 @@
+// render_verifier.js
+import { getAIProvider } from './ai_provider.js';
+import { computeStructuralSimilarity } from './image_utils.js';
+
+// Post-render check (second stage, like the scene analysis before the render):
+//   1. Structural similarity (sharp) - catches re-cropped, zoomed or rearranged rooms
+//   2. Vision model comparing source and render - catches moved furniture and
+//      renders with no visible window treatment
+// A render must pass both. If the vision model is unreachable we go by the
+// similarity score alone, so an outage on our side doesn't reject good renders.
+// If neither check could run the render is unverified, and rejected.
+//
+// Credits are only charged for accepted renders (render_worker.js charges after this).
+
+const MIN_STRUCTURAL_SIMILARITY = 0.5;  // Tune against real renders; window-only changes score well above this
+
+// ==================================================================
+// VERIFICATION PROMPTS
+// ==================================================================
+const VERIFY_SYSTEM_PROMPT = `You are a strict quality checker for AI-generated window treatment previews.
+You receive two images of the same room: the ORIGINAL photo and the RENDER, which should be identical except that window treatments (blinds, shades, shutters or curtains) were added.
+Judge only what you can see. Do not guess.`;
+
+function buildVerifyUserPrompt(promptText, region) {
+    const scope = region
+        ? `Only ONE window should have changed: the one in the area from ${Math.round(region.x * 100)}% to ${Math.round((region.x + region.w) * 100)}% across and ${Math.round(region.y * 100)}% to ${Math.round((region.y + region.h) * 100)}% down the image. Other windows must look exactly as in the original.`
+        : `Window treatments should be added to the windows.`;
+
+    return `Image 1 is the ORIGINAL. Image 2 is the RENDER.
+The render was asked to: ${promptText}
+${scope}
+
+Check the RENDER against the ORIGINAL:
+- treatment_visible: a window treatment is clearly visible on the window(s) that should have changed.
+- layout_preserved: furniture, doors, walls and decor are in the same places; nothing was added, removed or moved apart from the window treatment.
+- same_framing: same camera angle and crop; the render is not zoomed, cropped, rotated or re-composed.
+
+Output format (STRICT): return only JSON:
+{ "treatment_visible": true|false, "layout_preserved": true|false, "same_framing": true|false, "reason": "one short sentence" }`;
+}
+
+/**
+ * Ask the vision model whether a render is faithful to the source photo
+ * @returns {Promise<Object|null>} - { treatment_visible, layout_preserved, same_framing, reason }, or null on error
+ */
+async function checkWithVisionModel(beforeBuffer, renderBuffer, promptText, region) {
+    try {
+        const parsed = await getAIProvider().analyzeImages({
+            task: 'render_verification',
+            system: VERIFY_SYSTEM_PROMPT,
+            parts: [
+                buildVerifyUserPrompt(promptText, region),
+                { inlineData: { data: beforeBuffer.toString('base64'), mimeType: 'image/jpeg' } },
+                { inlineData: { data: renderBuffer.toString('base64'), mimeType: 'image/png' } }
+            ],
+            priority: true // High priority - the visitor is waiting on this render
+        });
+
+        return {
+            treatment_visible: parsed.treatment_visible === true,
+            layout_preserved: parsed.layout_preserved === true,
+            same_framing: parsed.same_framing === true,
+            reason: String(parsed.reason || '').substring(0, 200)
+        };
+
+    } catch (err) {
+        console.error("❌ Render vision check failed:", err.message);
+        return null;
+    }
+}
+
+/**
+ * Decide whether a render is good enough to show (and charge for) - never accepted unchecked
+ * @param {Buffer} beforeBuffer - Source photo as sent to the model (from compressForRendering)
+ * @param {Buffer} renderBuffer - Generated image
+ * @param {Object} options
+ * @param {string} options.promptText - What the render was asked to do
+ * @param {Object} [options.region] - Per-window mode selection
+ * @returns {Promise<{accepted: boolean, unverified: boolean, ssim: number|null, vision: Object|null, reasons: string[], checked_at: string}>}
+ *          unverified: neither check could run
+ */
+export async function verifyRendering(beforeBuffer, renderBuffer, { promptText, region = null }) {
+    const reasons = [];
+
+    let ssim = null;
+    try {
+        ssim = Math.round(await computeStructuralSimilarity(beforeBuffer, renderBuffer) * 1000) / 1000;
+        if (ssim < MIN_STRUCTURAL_SIMILARITY) reasons.push(`structure changed (ssim ${ssim})`);
+    } catch (err) {
+        console.error("❌ Structural similarity failed:", err.message);
+    }
+
+    const vision = await checkWithVisionModel(beforeBuffer, renderBuffer, promptText, region);
+    if (vision) {
+        if (!vision.treatment_visible) reasons.push('no window treatment visible');
+        if (!vision.layout_preserved) reasons.push('room layout changed');
+        if (!vision.same_framing) reasons.push('image re-framed');
+    }
+
+    const unverified = ssim === null && !vision;
+    if (unverified) reasons.push('not verified (similarity and vision checks both failed)');
+
+    const accepted = reasons.length === 0;
+    console.log(`🔎 Render verification: ${accepted ? 'PASS' : 'FAIL'} (ssim ${ssim ?? 'n/a'}${vision ? '' : ', vision check skipped'})${accepted ? '' : ` - ${reasons.join(', ')}`}`);
+
+    return { accepted, unverified, ssim, vision, reasons, checked_at: new Date().toISOString() };
+}
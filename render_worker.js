@@ -0,0 +1,476 @@
+// render_worker.js
+import { generateRenderSet, MAX_RENDER_VARIANTS } from './render_pipeline.js';
+import { deductImageCredit, refundImageCredit } from './subscription_manager.js';
+import { appendLeadRendering } from './leads_manager.js';
+import { requireAdminKey } from './api_key_manager.js';
+import { requireAdminSecret } from './admin_auth.js';
+import { storeCachedRenders } from './render_cache.js';
+import { getClientModel, getPromptTemplate } from './client_ai_config.js';
+
+// Renders run as durable jobs so a dropped connection doesn't lose a paid render.
+//
+// Supabase table render_jobs:
+//   id (uuid), client_id, conversation_id, status ('queued'|'running'|'done'|'failed'),
+//   source_image_url, prompt, product_name, color_info (json), result_url, error,
+//   credit_refunded (bool), created_at, started_at, heartbeat_at, finished_at,
+//   variants (json: [{label, color, prompt}] queued -> [{label, color, url, comparison_url}] done),
+//   credits_charged (0 until the job is done, then one per accepted variant), before_url, comparison_url,
+//   region (json {x, y, w, h} fractions of the photo - only that window is treated, null = whole room),
+//   rejected_count (renders rejected by verification; their verdicts are in variants[].verification)
+//   cache_hit (bool - served from render_cache.js, nothing rendered or charged)
+//
+// Credits are charged when a job finishes, one per variant that passed verification
+// (render_verifier.js) - failed, rejected and crashed renders cost nothing. Queuing only
+// checks that the balance covers the job on top of the client's other unfinished jobs.
+// Jobs queued before charge-on-accept were paid up front (credits_charged > 0 while
+// running): they keep the old refund path.
+//
+// Client settings: clients.render_variants (renders per request, default 1),
+//                  clients.render_comparison (build before/after images, default true),
+//                  clients.ai_models / prompt_templates (render model and prompt, client_ai_config.js)
+
+const POLL_INTERVAL_MS = 2000;
+const MAX_CONCURRENT_JOBS = 3;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;  // Running jobs refresh heartbeat_at this often
+const STALE_JOB_MS = 3 * 60 * 1000;        // No heartbeat for this long = the process died (however long the job is)
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let worker = null; // { supabase, conversationStore, activeJobs, ticking }
+
+// ==================================================================
+// 1. JOB RECORDS
+// ==================================================================
+export async function enqueueRenderJob(supabase, job) {
+    const { data, error } = await supabase
+        .from('render_jobs')
+        .insert({ ...job, status: 'queued', credit_refunded: false, created_at: new Date().toISOString() })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    console.log(`🧾 Render job queued: ${data.id} (${job.product_name})`);
+    if (worker) processQueue(); // Don't wait for the next poll
+    return data;
+}
+
+/**
+ * Whether the client's balance covers `credits` more renders, after the renders
+ * of their jobs that are still queued or running (charged when those finish)
+ * @returns {Promise<boolean>}
+ */
+export async function canAffordRenders(supabase, clientId, credits) {
+    try {
+        const [{ data: client, error }, { data: pending, error: pendingError }] = await Promise.all([
+            supabase.from('clients').select('image_credits').eq('id', clientId).single(),
+            supabase.from('render_jobs').select('variants').eq('client_id', clientId).eq('credits_charged', 0).in('status', ['queued', 'running'])
+        ]);
+
+        if (error) throw error;
+        if (pendingError) throw pendingError;
+
+        const promised = (pending || []).reduce((n, job) => n + (job.variants?.length || 1), 0);
+        return (client?.image_credits || 0) - promised >= credits;
+
+    } catch (err) {
+        console.error("Credit Check Error:", err.message);
+        return false;
+    }
+}
+
+export async function getRenderJob(supabase, jobId) {
+    if (!UUID_REGEX.test(jobId || '')) return null;
+
+    const { data, error } = await supabase
+        .from('render_jobs')
+        .select('*')
+        .eq('id', jobId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Public shape of a job (no prompt or internal fields)
+export function formatRenderJob(job) {
+    const done = job.status === 'done';
+    return {
+        id: job.id,
+        status: job.status,
+        url: job.result_url || null,
+        product_name: job.product_name,
+        color_info: done ? job.color_info : null,
+        before_url: done ? job.before_url || null : null,
+        comparison_url: done ? job.comparison_url || null : null,
+        // Successful variants only (the first one is `url`)
+        variants: done
+            ? (job.variants || []).filter(v => v.url).map(v => ({ label: v.label, color: v.color, url: v.url, comparison_url: v.comparison_url || null }))
+            : [],
+        error: job.status === 'failed' ? 'Preview could not be generated. No credit was used.' : null
+    };
+}
+
+/**
+ * Record a render served from the cache as an already finished job (no credits),
+ * so the widget picks it up the same way as a fresh render
+ * @param {Object} job - Same fields as enqueueRenderJob()
+ * @param {Object} cached - From findCachedRenders()
+ */
+export async function recordCachedRenderJob(supabase, job, cached) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from('render_jobs')
+        .insert({
+            ...job,
+            status: 'done',
+            cache_hit: true,
+            credits_charged: 0,
+            credit_refunded: false,
+            result_url: cached.variants[0].url,
+            comparison_url: cached.variants[0].comparison_url,
+            before_url: cached.before_url,
+            variants: cached.variants,
+            rejected_count: 0,
+            created_at: now,
+            started_at: now,
+            finished_at: now
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    console.log(`♻️ Render served from cache: ${data.id} (${job.product_name})`);
+    await recordRenders(supabase, job.conversation_id, cached.variants);
+    return data;
+}
+
+/**
+ * Poll a job until it finishes (used by /chat/stream to push the result)
+ * @returns {Promise<Object|null>} - Final job record, or null on timeout/cancel
+ */
+export async function waitForRenderJob(supabase, jobId, { timeoutMs = 120000, isCancelled = () => false } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline && !isCancelled()) {
+        const job = await getRenderJob(supabase, jobId);
+        if (!job) return null;
+        if (job.status === 'done' || job.status === 'failed') return job;
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    return null;
+}
+
+// ==================================================================
+// 2. WORKER
+// ==================================================================
+export function startRenderWorker(supabase, conversationStore) {
+    console.log("🎨 Render Worker: Started.");
+    worker = { supabase, conversationStore, activeJobs: 0, ticking: false };
+
+    setInterval(processQueue, POLL_INTERVAL_MS);
+}
+
+async function processQueue() {
+    if (!worker || worker.ticking) return;
+    worker.ticking = true;
+
+    try {
+        await failStaleJobs();
+
+        while (worker.activeJobs < MAX_CONCURRENT_JOBS) {
+            const job = await claimNextJob();
+            if (!job) break;
+
+            worker.activeJobs++;
+            runJob(job).finally(() => { worker.activeJobs--; });
+        }
+    } catch (err) {
+        console.error("Render Worker Error:", err.message);
+    } finally {
+        worker.ticking = false;
+    }
+}
+
+// Take the oldest queued job. The status check in the update makes the claim safe
+// if two server instances poll at the same time.
+async function claimNextJob() {
+    const { supabase } = worker;
+
+    const { data: candidates, error } = await supabase
+        .from('render_jobs')
+        .select('id')
+        .eq('status', 'queued')
+        .order('created_at', { ascending: true })
+        .limit(1);
+
+    if (error) throw error;
+    if (!candidates || candidates.length === 0) return null;
+
+    const now = new Date().toISOString();
+    const { data: claimed } = await supabase
+        .from('render_jobs')
+        .update({ status: 'running', started_at: now, heartbeat_at: now })
+        .eq('id', candidates[0].id)
+        .eq('status', 'queued')
+        .select();
+
+    return claimed && claimed.length > 0 ? claimed[0] : null;
+}
+
+async function runJob(job) {
+    const { supabase } = worker;
+    console.log(`🎨 Render job ${job.id} running...`);
+
+    // Multi-variant jobs with verification retries can run for minutes - keep proving we're alive
+    const heartbeat = setInterval(() => {
+        supabase
+            .from('render_jobs')
+            .update({ heartbeat_at: new Date().toISOString() })
+            .eq('id', job.id)
+            .eq('status', 'running')
+            .then(({ error }) => { if (error) console.error(`   ⚠️ Render job ${job.id} heartbeat failed:`, error.message); });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    try {
+        const { data: client } = await supabase
+            .from('clients')
+            .select('logo_url, render_comparison, ai_models, prompt_templates')
+            .eq('id', job.client_id)
+            .maybeSingle();
+
+        // Jobs queued before variants existed only have a prompt
+        const variants = job.variants?.length ? job.variants : [{ label: job.product_name, prompt: job.prompt }];
+
+        const set = await generateRenderSet(supabase, job.source_image_url, variants, {
+            comparison: client?.render_comparison !== false,
+            logoUrl: client?.logo_url || null,
+            region: job.region || null,
+            model: getClientModel(client, 'render'),
+            promptTemplate: getPromptTemplate(client, 'render_prompt')
+        });
+        let rendered = (set?.variants || []).filter(v => v.url);
+        const rejectedCount = (set?.variants || [])
+            .reduce((n, v) => n + (v.verification || []).filter(attempt => !attempt.accepted).length, 0);
+
+        if (rendered.length === 0) {
+            // Keep the verdicts for review; nothing is charged (failJob refunds prepaid jobs)
+            if (set) {
+                await supabase
+                    .from('render_jobs')
+                    .update({ variants: set.variants, rejected_count: rejectedCount })
+                    .eq('id', job.id);
+            }
+            throw new Error(rejectedCount > 0 ? "All renders rejected by verification" : "Rendering returned no image");
+        }
+
+        // Charge for the accepted renders. If the balance no longer covers all of them, one is still worth showing.
+        const prepaid = job.credits_charged || 0;
+        let charged = 0;
+        if (prepaid === 0) {
+            if (await deductImageCredit(supabase, job.client_id, job.id, rendered.length)) {
+                charged = rendered.length;
+            } else if (rendered.length > 1 && await deductImageCredit(supabase, job.client_id, job.id, 1)) {
+                charged = 1;
+            } else {
+                throw new Error("Not enough credits for the finished render");
+            }
+
+            if (charged < rendered.length) {
+                // Unpaid variants are dropped (not shown, not cached)
+                const unpaid = new Set(rendered.slice(charged));
+                set.variants = set.variants.map(v => unpaid.has(v) ? { ...v, url: null, comparison_url: null, error: 'Not enough credits' } : v);
+                rendered = rendered.slice(0, charged);
+            }
+        }
+
+        let finished = null;
+        try {
+            ({ data: finished } = await supabase
+                .from('render_jobs')
+                .update({
+                    status: 'done',
+                    result_url: rendered[0].url,
+                    comparison_url: rendered[0].comparison_url,
+                    before_url: set.before_url,
+                    variants: set.variants,
+                    rejected_count: rejectedCount,
+                    credits_charged: prepaid || charged,
+                    finished_at: new Date().toISOString()
+                })
+                .eq('id', job.id)
+                .eq('status', 'running') // A stale sweep may already have failed it
+                .select('id'));
+        } catch (updateErr) {
+            console.error(`   ⚠️ Could not mark render job ${job.id} done:`, updateErr.message);
+        }
+
+        // Already failed by the stale sweep (or not saved): the visitor doesn't get these renders
+        if (!finished || finished.length === 0) {
+            console.warn(`   ⚠️ Render job ${job.id} was no longer running, discarding its renders`);
+            if (charged > 0) await refundImageCredit(supabase, job.client_id, job.id, charged);
+            return;
+        }
+
+        console.log(`   ✅ Render job ${job.id} done (${rendered.length}/${variants.length} variants${charged ? `, ${charged} credit(s) charged` : ''})`);
+
+        // Prepaid jobs get the credit back for variants that failed; the rest of the job stands
+        const failedVariants = prepaid - rendered.length;
+        if (failedVariants > 0) {
+            await refundImageCredit(supabase, job.client_id, job.id, failedVariants);
+        }
+
+        await recordRenders(supabase, job.conversation_id, rendered);
+        await storeCachedRenders(supabase, job, set);
+
+    } catch (err) {
+        console.error(`   ❌ Render job ${job.id} failed:`, err.message);
+        await failJob(job, err.message);
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+// Record renders in the transcript and the lead gallery (plus the shareable comparison)
+async function recordRenders(supabase, conversationId, rendered) {
+    if (!conversationId) return;
+
+    if (worker) {
+        try {
+            await worker.conversationStore.appendMessages(conversationId, [
+                { role: 'model', content: rendered.map(v => `[RENDER_URL: ${v.url}]`).join('\n') }
+            ]);
+        } catch (err) {
+            console.error(`   ⚠️ Could not add render to conversation ${conversationId}:`, err.message);
+        }
+    }
+    for (const url of [...rendered.map(v => v.url), rendered[0].comparison_url]) {
+        if (url) await appendLeadRendering(supabase, conversationId, url);
+    }
+}
+
+async function failJob(job, message) {
+    const { supabase } = worker;
+
+    // Only a job that is still running can fail - one already done (or failed by the stale
+    // sweep) keeps its status. Nothing was charged, except for prepaid jobs: the refund flag
+    // is set in the same update, so one refund at most.
+    const { data: failed, error } = await supabase
+        .from('render_jobs')
+        .update({ status: 'failed', error: message, finished_at: new Date().toISOString(), credit_refunded: true })
+        .eq('id', job.id)
+        .eq('status', 'running')
+        .eq('credit_refunded', false)
+        .select('id');
+
+    if (error) {
+        console.error(`   ⚠️ Could not mark render job ${job.id} failed:`, error.message);
+        return;
+    }
+
+    if (failed && failed.length > 0 && job.credits_charged > 0) {
+        await refundImageCredit(supabase, job.client_id, job.id, job.credits_charged);
+    }
+}
+
+// Jobs left 'running' by a crashed/restarted process stop sending heartbeats - fail them
+async function failStaleJobs() {
+    const { supabase } = worker;
+    const cutoff = new Date(Date.now() - STALE_JOB_MS).toISOString();
+
+    const { data: running } = await supabase
+        .from('render_jobs')
+        .select('*')
+        .eq('status', 'running')
+        .lt('started_at', cutoff);
+
+    // Jobs claimed before heartbeats existed only have started_at
+    const stale = (running || []).filter(job => (job.heartbeat_at || job.started_at) < cutoff);
+
+    for (const job of stale) {
+        console.warn(`⚠️ Render job ${job.id} stalled, failing it`);
+        await failJob(job, 'Render timed out');
+    }
+}
+
+// ==================================================================
+// 3. ROUTES
+// ==================================================================
+export function setupRenderJobRoutes(app, supabase) {
+    app.get('/render-jobs/:id', async (req, res) => {
+        try {
+            const job = await getRenderJob(supabase, req.params.id);
+            if (!job) return res.status(404).json({ error: "Render job not found" });
+
+            res.json(formatRenderJob(job));
+
+        } catch (err) {
+            console.error("Render Job Status Error:", err.message);
+            res.status(500).json({ error: "Failed to fetch render job" });
+        }
+    });
+
+    // Operator review of renders the verifier rejected (newest first)
+    app.get('/admin/render-reviews', requireAdminSecret, async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+            const { data, error } = await supabase
+                .from('render_jobs')
+                .select('id, client_id, status, product_name, source_image_url, result_url, rejected_count, variants, created_at')
+                .gt('rejected_count', 0)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+
+            res.json({
+                reviews: (data || []).map(job => ({
+                    id: job.id,
+                    client_id: job.client_id,
+                    status: job.status,
+                    product_name: job.product_name,
+                    source_image_url: job.source_image_url,
+                    result_url: job.result_url,
+                    rejected_count: job.rejected_count,
+                    variants: (job.variants || []).map(v => ({ label: v.label, url: v.url || null, verification: v.verification || [] })),
+                    created_at: job.created_at
+                }))
+            });
+
+        } catch (err) {
+            console.error("Render Reviews Error:", err.message);
+            res.status(500).json({ error: "Failed to load render reviews" });
+        }
+    });
+
+    // variants: renders per request (1 = single render); comparison: before/after images on/off
+    app.post('/update-render-settings', requireAdminKey(supabase), async (req, res) => {
+        try {
+            const { variants, comparison } = req.body;
+            const updates = {};
+
+            if (variants !== undefined) {
+                if (!Number.isInteger(variants) || variants < 1 || variants > MAX_RENDER_VARIANTS) {
+                    return res.status(400).json({ error: `variants must be a whole number from 1 to ${MAX_RENDER_VARIANTS}` });
+                }
+                updates.render_variants = variants;
+            }
+            if (comparison !== undefined) updates.render_comparison = !!comparison;
+
+            if (Object.keys(updates).length === 0) return res.status(400).json({ error: "Nothing to update" });
+
+            const { error } = await supabase
+                .from('clients')
+                .update(updates)
+                .eq('id', req.client.id);
+
+            if (error) throw error;
+            res.json({ success: true });
+
+        } catch (err) {
+            console.error("Render Settings Error:", err.message);
+            res.status(500).json({ error: "Update failed" });
+        }
+    });
+}
@@ -0,0 +1,189 @@
+// scene_analyzer.js
+import { getAIProvider } from './ai_provider.js';
+import { downloadAndConvertImage } from './image_utils.js';
+
+// Structured description of a visitor's room photo: windows, room type, lighting,
+// existing treatments, fireplace. Used by /chat (product advice) and the render
+// prompts. Uploaded photos never change, so results are cached per image URL:
+// in memory, and in Supabase so other instances and later sessions reuse them.
+//
+// Supabase table scene_analyses:
+//   image_url (text, primary key), analysis (json), created_at
+
+const MEMORY_CACHE_LIMIT = 500;
+
+export const WINDOW_TYPES = ['standard', 'bay', 'sliding_door', 'french_door', 'skylight', 'picture', 'arched', 'corner', 'other'];
+export const ROOM_TYPES = ['living_room', 'bedroom', 'kitchen', 'dining_room', 'bathroom', 'office', 'nursery', 'hallway', 'other'];
+const LIGHTING_LEVELS = ['bright', 'moderate', 'dim'];
+const TREATMENT_TYPES = ['none', 'blinds', 'shades', 'curtains', 'drapes', 'shutters', 'sheers', 'other'];
+
+const memoryCache = new Map(); // imageUrl -> analysis
+const pending = new Map();     // imageUrl -> Promise (one model call per photo, even if asked twice at once)
+
+// ==================================================================
+// 1. ANALYSIS PROMPTS
+// ==================================================================
+const SCENE_SYSTEM_PROMPT = `You are a strict visual surveyor for a window treatment company. You describe ONLY what is clearly visible in a room photo.
+Fireplace rule (strict): a "fireplace" means an actual built-in fireplace with a clearly visible firebox opening, or an unmistakable hearth + mantel + firebox. Do NOT confuse fireplaces with TVs, media consoles, shelves, cabinets, niches, radiators, vents, windows, mirrors or pictures. If you are not completely sure, has_fireplace is false.`;
+
+const SCENE_USER_PROMPT = `Analyze the provided room image.
+
+Output format (STRICT): return only JSON:
+{
+  "window_count": number of windows and glass doors visible (0 if none),
+  "window_types": list, one entry per distinct type seen, from: ${WINDOW_TYPES.join(', ')},
+  "room_type": one of: ${ROOM_TYPES.join(', ')},
+  "lighting": one of: ${LIGHTING_LEVELS.join(', ')} (how much natural light comes in),
+  "existing_treatments": list from: ${TREATMENT_TYPES.join(', ')},
+  "has_fireplace": true or false,
+  "notes": "one short sentence about anything that matters for fitting blinds (e.g. very tall windows, door handles, obstructions)"
+}
+
+Rules:
+- "sliding_door" = sliding glass patio door. "french_door" = hinged glass door(s). "bay" = three or more windows angled out from the wall.
+- Count only what you can see. Do not guess.`;
+
+// Keep only known values so prompts and rules can rely on the shape
+function normalizeScene(raw) {
+    const pickList = (values, allowed) => [...new Set((Array.isArray(values) ? values : [])
+        .map(v => String(v).toLowerCase().trim().replace(/[\s-]+/g, '_'))
+        .filter(v => allowed.includes(v)))];
+
+    const count = parseInt(raw?.window_count);
+    const roomType = String(raw?.room_type || '').toLowerCase().replace(/[\s-]+/g, '_');
+    const lighting = String(raw?.lighting || '').toLowerCase();
+
+    return {
+        window_count: Number.isFinite(count) && count >= 0 ? Math.min(count, 50) : null,
+        window_types: pickList(raw?.window_types, WINDOW_TYPES),
+        room_type: ROOM_TYPES.includes(roomType) ? roomType : 'other',
+        lighting: LIGHTING_LEVELS.includes(lighting) ? lighting : null,
+        existing_treatments: pickList(raw?.existing_treatments, TREATMENT_TYPES).filter(t => t !== 'none'),
+        has_fireplace: raw?.has_fireplace === true,
+        notes: String(raw?.notes || '').substring(0, 300)
+    };
+}
+
+async function runSceneModel(imageUrl) {
+    const imagePart = await downloadAndConvertImage(imageUrl);
+    if (!imagePart) return null;
+
+    const raw = await getAIProvider().analyzeImages({
+        task: 'scene_analysis',
+        system: SCENE_SYSTEM_PROMPT,
+        parts: [SCENE_USER_PROMPT, imagePart]
+    });
+
+    return normalizeScene(raw);
+}
+
+// ==================================================================
+// 2. CACHED LOOKUP
+// ==================================================================
+function remember(imageUrl, analysis) {
+    memoryCache.set(imageUrl, analysis);
+    if (memoryCache.size > MEMORY_CACHE_LIMIT) {
+        memoryCache.delete(memoryCache.keys().next().value); // Oldest first
+    }
+}
+
+/**
+ * Describe the room in an uploaded photo (cached per image URL)
+ * Fail-safe: returns null on any error - callers treat that as "unknown"
+ * @param {Object} supabase - Supabase client (persistent cache)
+ * @param {string} imageUrl - URL of the room image
+ * @returns {Promise<Object|null>} - { window_count, window_types, room_type, lighting, existing_treatments, has_fireplace, notes }
+ */
+export async function analyzeScene(supabase, imageUrl) {
+    if (!imageUrl) return null;
+    if (memoryCache.has(imageUrl)) return memoryCache.get(imageUrl);
+    if (pending.has(imageUrl)) return pending.get(imageUrl);
+
+    const lookup = (async () => {
+        try {
+            const { data: stored } = await supabase
+                .from('scene_analyses')
+                .select('analysis')
+                .eq('image_url', imageUrl)
+                .maybeSingle();
+
+            if (stored?.analysis) {
+                remember(imageUrl, stored.analysis);
+                return stored.analysis;
+            }
+
+            const analysis = await runSceneModel(imageUrl);
+            if (!analysis) {
+                console.log("🏠 Scene analysis: skipped (no image)");
+                return null;
+            }
+
+            console.log(`🏠 Scene analysis: ${analysis.room_type}, ${analysis.window_count ?? '?'} window(s) [${analysis.window_types.join(', ') || 'unknown'}], fireplace: ${analysis.has_fireplace ? 'YES' : 'NO'}`);
+            remember(imageUrl, analysis);
+
+            const { error } = await supabase
+                .from('scene_analyses')
+                .upsert({ image_url: imageUrl, analysis, created_at: new Date().toISOString() });
+            if (error) console.error("   ⚠️ Could not store scene analysis:", error.message);
+
+            return analysis;
+
+        } catch (err) {
+            console.error("❌ Scene analysis failed:", err.message);
+            return null;
+        } finally {
+            pending.delete(imageUrl);
+        }
+    })();
+
+    pending.set(imageUrl, lookup);
+    return lookup;
+}
+
+// ==================================================================
+// 3. PROMPT HELPERS
+// ==================================================================
+const label = (value) => value.replace(/_/g, ' ');
+
+/**
+ * Room facts for the chat system prompt
+ * @returns {string} - Empty when there is no analysis
+ */
+export function formatSceneForPrompt(scene) {
+    if (!scene) return '';
+
+    return `
+    ROOM ANALYSIS (automatic, from the visitor's latest photo):
+    - Room: ${label(scene.room_type)}
+    - Windows: ${scene.window_count ?? 'unknown'}${scene.window_types.length ? ` (${scene.window_types.map(label).join(', ')})` : ''}
+    - Natural light: ${scene.lighting || 'unknown'}
+    - Existing treatments: ${scene.existing_treatments.length ? scene.existing_treatments.join(', ') : 'none'}
+    - Fireplace: ${scene.has_fireplace ? 'yes' : 'no'}${scene.notes ? `\n    - Notes: ${scene.notes}` : ''}
+    Use this when recommending: respect each product's CRITICAL RESTRICTIONS for these window types
+    (e.g. do not suggest a product for a sliding door if its restrictions exclude sliding doors),
+    and mention it naturally ("For your bay window...").
+    `;
+}
+
+/**
+ * Room facts for the render prompt, so the treatment is fitted to each opening
+ * @returns {string} - Empty when there is no analysis
+ */
+export function describeSceneForRender(scene) {
+    if (!scene) return '';
+
+    const parts = [`The photo shows a ${label(scene.room_type)}`];
+    if (scene.window_types.length) parts.push(`with ${scene.window_types.map(label).join(', ')} window(s)`);
+    let text = parts.join(' ') + '.';
+
+    if (scene.window_types.some(t => ['sliding_door', 'french_door'].includes(t))) {
+        text += ' Fit the treatment to the glass doors so they can still open.';
+    }
+    if (scene.window_types.includes('bay')) {
+        text += ' Treat each panel of the bay window separately, following its angle.';
+    }
+    if (scene.existing_treatments.length) {
+        text += ` The windows already have ${scene.existing_treatments.join(' and ')}; the new treatment must be clearly visible on the glass.`;
+    }
+    return text;
+}
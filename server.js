@@ -1,61 +1,78 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { createClient } from '@supabase/supabase-js';
 import axios from 'axios';
 import FormData from 'form-data';
 import sharp from 'sharp'; 
 import { createRequire } from 'module'; 
+import { randomUUID } from 'crypto';
 import { TaskType } from "@google/generative-ai";
 import { startProductWorker } from './product_worker.js';
-import { validateClientAccess, deductImageCredit } from './subscription_manager.js'; 
+import { validateClientAccess } from './subscription_manager.js'; 
 import { startPersonaWorker, forceRetrainClient } from './persona_worker.js';
 import { setupStripeWebhook, createPortalSession } from './stripe_handler.js';
 import { handleLeadData } from './leads_manager.js';
 import { setupPreviewRoutes } from './preview_handler.js';
 import { scrapeAndSaveProducts } from './product_scraper.js';
 import { setupStatsRoutes } from './stats_handler.js';
+import { setupCreditRoutes } from './credit_ledger.js';
+import { getClientPlan, getPlanLimit } from './plan_catalog.js';
+import { setupAutoRefillRoutes } from './auto_refill_manager.js';
+import { setupApiKeyRoutes, requireAdminKey, authenticateAdminKey } from './api_key_manager.js';
+import { setupDomainRoutes, requireAllowedOrigin } from './domain_guard.js';
+import { limitVisitorRequests, reserveVisitorRenders, releaseVisitorRenders, setupVisitorLimitRoutes } from './visitor_limiter.js';
 import { Resend } from 'resend';
 import { testEmailConfiguration } from './email_handler.js';
-import { wrapGeminiCall } from './rate_limiter.js';
+import { getAIProvider } from './ai_provider.js';
+import { getClientModel, getPromptTemplate, setupAIConfigRoutes } from './client_ai_config.js';
+import { resolveChatResponse, setupChatValidationRoutes } from './chat_response_schema.js';
+import { setupLeadRoutes } from './lead_pipeline.js';
+import { setupLeadWebhookRoutes, startLeadWebhookWorker } from './lead_webhooks.js';
+import { UNTRUSTED_CONTENT_RULES, delimitUntrusted, verifyUIAction } from './prompt_guard.js';
+import { setupAppointmentRoutes, getOpenSlots, pickSlotsToOffer, formatSlotsForPrompt, findSlot, bookAppointment } from './appointment_scheduler.js';
 import { downloadAndConvertImage, ensureBrowserCompatible, compressForRendering } from './image_utils.js';
 import { processPDFPipeline } from './services/pdf/pipeline.js';
+import { enqueueRenderJob, canAffordRenders, recordCachedRenderJob, waitForRenderJob, formatRenderJob, startRenderWorker, setupRenderJobRoutes } from './render_worker.js';
+import { keyRenderVariants, findCachedRenders, setupRenderCacheRoutes } from './render_cache.js';
+import { planRenderVariants, normalizeRegion } from './render_pipeline.js';
+import { analyzeScene, formatSceneForPrompt } from './scene_analyzer.js';
+import { checkProducts, buildRoomFacts, explainExclusions, formatExclusionsForPrompt } from './product_compatibility.js';
+import { openEventStream, createJsonStringFieldStreamer } from './sse_utils.js';
+import { createSupabaseConversationStore, createMemoryConversationStore, openConversation, buildUserMessage, toGeminiHistory } from './conversation_manager.js';
 
 const require = createRequire(import.meta.url);
 
 dotenv.config();
 const app = express();
+// Hosted behind one proxy hop (Render) - needed for real visitor IPs in req.ip
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? 1));
 app.use(cors());
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 setupStripeWebhook(app, supabase);
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static('public'));
+setupApiKeyRoutes(app, supabase);
 setupStatsRoutes(app, supabase);
-const resend = new Resend(process.env.RESEND_API_KEY);
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+setupCreditRoutes(app, supabase);
+setupAutoRefillRoutes(app, supabase);
+setupDomainRoutes(app, supabase);
+setupVisitorLimitRoutes(app, supabase);
 
-// ==================================================================
-// FIREPLACE DETECTION PROMPTS (Two-stage detection)
-// ==================================================================
-const FIREPLACE_DETECTION_SYSTEM_PROMPT = `You are a strict visual verifier. Your job is to decide whether a real fireplace is present in the provided room image.
-A "fireplace" means an actual built-in fireplace structure with a clearly visible firebox opening (a cavity meant for fire) or unmistakable hearth + mantel + firebox opening.
-Do NOT confuse fireplaces with: TVs, media consoles, shelves, cabinets, bookcases, wall niches, recessed shelves, radiators, vents, windows, mirrors, pictures, or decorative wall panels.
-If you are not completely sure, you must answer NO_FIREPLACE.`;
+// Privileged dashboard routes need a secret admin key, not the public widget key
+const adminKey = requireAdminKey(supabase);
 
-const FIREPLACE_DETECTION_USER_PROMPT = `Analyze the provided room image and classify ONLY whether a real fireplace is clearly visible.
+// Visitor-facing routes only answer pages on the client's allowed domains
+const allowedOrigin = requireAllowedOrigin(supabase);
+const resend = new Resend(process.env.RESEND_API_KEY);
 
-Output format (STRICT):
-Return EXACTLY ONE token on a single line, with no punctuation and no extra words:
-HAS_FIREPLACE
-or
-NO_FIREPLACE
+// Conversation sessions: CONVERSATION_STORE=memory runs without the Supabase tables (local testing)
+const conversationStore = process.env.CONVERSATION_STORE === 'memory'
+    ? createMemoryConversationStore()
+    : createSupabaseConversationStore(supabase);
 
-Decision rules (STRICT):
-- Only output HAS_FIREPLACE if you see an unmistakable built-in fireplace with a clearly visible firebox opening.
-- If the image is ambiguous, partially occluded, low-quality, or could be a TV / cabinet / niche, output NO_FIREPLACE.
-- Do not guess. Default to NO_FIREPLACE unless certain.`;
+// Only images uploaded through /upload-image may be attached to a chat turn
+const UPLOAD_URL_PREFIX = supabase.storage.from('chat-uploads').getPublicUrl('uploads/').data.publicUrl;
 
 // ==================================================================
 // 1. HELPER FUNCTIONS
@@ -66,116 +83,38 @@ async function urlToGenerativePart(url) {
     return await downloadAndConvertImage(url);
 }
 
-/**
- * Detect if a fireplace is present in the image using Flash model
- * Fail-safe: returns false on any error (no fireplace = no fire added)
- * @param {string} imageUrl - URL of the room image
- * @returns {Promise<boolean>} - true if fireplace detected
- */
-async function detectFireplace(imageUrl) {
-    try {
-        const flashModel = genAI.getGenerativeModel({ model: "gemini-3-flash-preview" });
-        const imagePart = await urlToGenerativePart(imageUrl);
-
-        if (!imagePart) {
-            console.log("🔥 Fireplace detection: skipped (no image)");
-            return false;
-        }
-
-        const result = await wrapGeminiCall(() =>
-            flashModel.generateContent([
-                FIREPLACE_DETECTION_SYSTEM_PROMPT,
-                FIREPLACE_DETECTION_USER_PROMPT,
-                imagePart
-            ])
-        );
-
-        const response = result.response.text().trim().toUpperCase();
-        // Use includes() to handle "HAS_FIREPLACE." or extra whitespace
-        const hasFireplace = response.includes('HAS_FIREPLACE') && !response.includes('NO_FIREPLACE');
-
-        console.log(`🔥 Fireplace detection: ${response} → ${hasFireplace ? 'YES' : 'NO'}`);
-        return hasFireplace;
-
-    } catch (err) {
-        console.error("❌ Fireplace detection failed:", err.message);
-        return false; // Fail-safe: error → no fireplace
-    }
-}
-
-async function generateRendering(sourceImageUrl, promptText) {
-    try {
-        console.log("🎨 Generating with Nano Banana Pro (Gemini 3 Pro Image)...");
-
-        // 1. Detect fireplace first (two-stage approach)
-        const hasFireplace = await detectFireplace(sourceImageUrl);
-
-        // 2. Prepare the model (Nano Banana Pro)
-        const imageModel = genAI.getGenerativeModel({ model: "gemini-3-pro-image-preview" });
-
-        // 3. Download the room image
-        const imagePart = await urlToGenerativePart(sourceImageUrl);
-        if (!imagePart) throw new Error("Could not download source image.");
-
-        // 4. Construct Prompt based on fireplace detection
-        const fullPrompt = hasFireplace
-            ? `Turn this room image into a professional interior design photo.
-               Apply the following window treatment strictly: ${promptText}.
-               Keep the original room layout, furniture, and lighting.
-               Add a subtle, realistic fire with soft flames and warm glow to the fireplace.
-               High resolution, photorealistic, 8k.`
-            : `Turn this room image into a professional interior design photo.
-               Apply the following window treatment strictly: ${promptText}.
-               Keep the original room layout, furniture, and lighting.
-               High resolution, photorealistic, 8k.`;
-
-        // 5. Generate (Image-to-Image) - with rate limiting
-        const result = await wrapGeminiCall(
-            () => imageModel.generateContent([fullPrompt, imagePart]),
-            true // High priority - user interaction
-        );
-        const response = result.response;
-        
-        // 6. Extract Image
-        if (!response.candidates || !response.candidates[0].content.parts) {
-            throw new Error("No image generated.");
-        }
-        const generatedPart = response.candidates[0].content.parts.find(p => p.inlineData);
-        if (!generatedPart) throw new Error("API returned text but no image.");
-
-        const base64Image = generatedPart.inlineData.data;
-
-        // 7. Upload to Supabase
-        const fileName = `renderings/${Date.now()}_render.png`;
-        const { error } = await supabase.storage.from('chat-uploads').upload(fileName, Buffer.from(base64Image, 'base64'), { contentType: 'image/png' });
-        
-        if (error) throw error;
-        const { data: urlData } = supabase.storage.from('chat-uploads').getPublicUrl(fileName);
-        return urlData.publicUrl;
-
-    } catch (err) {
-        console.error("Nano Banana Error:", err.message);
-        return null;
-    }
+// Product menu card for the widget; id is the index into the client's products (UI actions send it back)
+function toProductCard(product, index) {
+    return {
+        name: product.name,
+        image: (product.image_url || '').split(/[,;\n|]/)[0].trim(), // First URL only
+        id: index,
+        // M1: Return colors as array for frontend color selector
+        colors: (product.var_colors || '').split(',').map(c => c.trim()).filter(c => c)
+    };
 }
 
 // ==================================================================
 // 4. NEW: CLIENT CONFIG ENDPOINT
 // ==================================================================
-app.get('/client-config/:apiKey', async (req, res) => {
+app.get('/client-config/:apiKey', requireAllowedOrigin(supabase, { allowSelf: true }), async (req, res) => {
     try {
         const { apiKey } = req.params;
         // FIX 1: We added the new columns to the select list
         const { data: client, error } = await supabase
             .from('clients')
-            .select('primary_color, logo_url, company_name, greeting_override, widget_alignment, widget_side_margin, widget_bottom_margin, widget_height, notification_emails, email, website_url') 
+            .select('id, primary_color, logo_url, company_name, greeting_override, widget_alignment, widget_side_margin, widget_bottom_margin, widget_height, notification_emails, email, website_url') 
             .eq('api_key', apiKey)
             .single();
 
         if (error || !client) return res.status(404).json({ error: "Client not found" });
 
+        // The public key only gets widget settings; notification emails need the admin key
+        const auth = await authenticateAdminKey(supabase, req);
+        const isOwner = auth?.client.id === client.id;
+
         // LOGIC: Send the text string. If null, send the main email as a string.
-        const defaultEmails = client.notification_emails || client.email || "";
+        const defaultEmails = isOwner ? (client.notification_emails || client.email || "") : undefined;
 
         res.json({
             // ... (other fields) ...
@@ -197,9 +136,9 @@ app.get('/client-config/:apiKey', async (req, res) => {
     }
 }); // FIX 3: Closed the function properly
 
-app.post('/update-widget-settings', async (req, res) => {
+app.post('/update-widget-settings', adminKey, async (req, res) => {
     try {
-        const { clientApiKey, alignment, sideMargin, bottomMargin, height } = req.body;
+        const { alignment, sideMargin, bottomMargin, height } = req.body;
 
         // Validation
         if (!['left', 'right'].includes(alignment)) return res.status(400).json({ error: "Invalid alignment" });
@@ -212,7 +151,7 @@ app.post('/update-widget-settings', async (req, res) => {
                 widget_bottom_margin: bottomMargin,
                 widget_height: height
             })
-            .eq('api_key', clientApiKey);
+            .eq('id', req.client.id);
 
         if (error) throw error;
         res.json({ success: true });
@@ -223,254 +162,393 @@ app.post('/update-widget-settings', async (req, res) => {
     }
 });
 // ==================================================================
-// 3. CHAT ENDPOINT (Unchanged)
+// 3. CHAT ENDPOINT
 // ==================================================================
-app.post('/chat', async (req, res) => {
-    try {
-        const { history, clientApiKey } = req.body;
-        const accessCheck = await validateClientAccess(supabase, clientApiKey);
+/**
+ * Run one visitor turn: load the session, ask the model, render if requested, save the lead.
+ * `emit(event, data)` reports progress to /chat/stream; plain /chat ignores it.
+ * Bad input throws an Error with `status` set.
+ */
+async function processChatTurn(body, emit = () => {}, visitor = null) {
+    const { sessionId, message, imageUrls, clientApiKey, region, action } = body;
+    const accessCheck = await validateClientAccess(supabase, clientApiKey);
 
-        if (!accessCheck.allowed) {
-            return res.json({ reply: accessCheck.error || "Service Suspended." });
-        }
-        
-        const client = accessCheck.client;
-        const { data: products } = await supabase
-            .from('product_gallery')
-            .select('name, description, ai_description, image_url, var_transparency, var_control, var_structure, var_hardware, var_extras, var_colors, var_restrictions')
-            .eq('client_id', client.id);
-
-        const productContext = products 
-            ? products.map(p => {
-                return `
-                Product: "${p.name}"
-                - Summary: ${p.ai_description || p.description}
-                - Transparency: ${p.var_transparency || "N/A"}
-                - Control/Lift: ${p.var_control || "Standard"}
-                - Structure/Size: ${p.var_structure || "Standard"}
-                - Hardware: ${p.var_hardware || "Standard"}
-                - Extras: ${p.var_extras || "None"}
-                - Colors: ${p.var_colors || "Various"}
-                - CRITICAL RESTRICTIONS: ${p.var_restrictions || "None"}
-                `; 
-              }).join("\n----------------\n") 
-            : "Standard Blinds";
-
-        const productNames = products ? products.map(p => p.name).join(", ") : "Standard Blinds";
-        
-        const finalSystemPrompt = `
-        CRITICAL: You DO NOT speak plain text. You ONLY speak JSON.
-        Structure:
-        {
-          "reply": "text",
-          "product_suggestions": [ { "name": "Exact Name From List", "image": "URL", "id": "index" } ],
-          "visualize": boolean,
-          "selected_product_name": "Exact Name From List" 
-          "lead_data": {
-              "name": "User Name (or null)",
-              "phone": "Phone (or null)",
-              "email": "Email (or null)",
-              "address": "Address (or null)",
-              "project_summary": "Brief summary of what they want (e.g. '3 zebra blinds for living room')",
-              "appointment_request": "Requested time (or null)",
-              "preferred_method": "text/call/email",
-              "quality_score": 1-10 (judge their purchase intent),
-              "ai_summary": "2 sentence summary of conversation so far"
-          }
-        }
+    if (!accessCheck.allowed) {
+        return { reply: accessCheck.error || "Service Suspended." };
+    }
+    
+    const client = accessCheck.client;
+
+    // A. Load the server-side transcript (the visitor only sends the new message)
+    const attachedImages = (Array.isArray(imageUrls) ? imageUrls : [])
+        .filter(url => typeof url === 'string' && url.startsWith(UPLOAD_URL_PREFIX));
+    const typedText = buildUserMessage(message, attachedImages);
+    if (!typedText && !action) {
+        const inputError = new Error("Please type a message or upload a photo.");
+        inputError.status = 400;
+        throw inputError;
+    }
 
-        YOUR IDENTITY AND RULE:
-        ${client.bot_persona || "You are a sales assistant."}
-        
-        AVAILABLE PRODUCTS: ${productNames}
+    const session = await openConversation(conversationStore, client, sessionId);
+    emit('session', { session_id: session.conversation.id });
 
-        BEHAVIOR RULES:
+    const { data: products } = await supabase
+        .from('product_gallery')
+        .select('id, name, description, ai_description, image_url, var_transparency, var_control, var_structure, var_hardware, var_extras, var_colors, var_restrictions')
+        .eq('client_id', client.id);
 
-        1. SALES GOAL (HIGH PRIORITY):
-           - Your ultimate goal is to BOOK AN IN-HOME CONSULTATION.
-           - Once the user shows interest or has seen a visualization, you MUST pivot to asking for contact details.
-           - Key phrase to work towards: "I can have a designer bring these samples to your home. What is your Name and Phone Number to schedule a visit?"
-           - If they ask for price, give a rough idea but say "Exact price depends on measurements. Can we stop by to measure?"
-        
-        2. WHEN TO SHOW PRODUCT MENU (product_suggestions):
-           - DEFAULT: Keep "product_suggestions": [] (Empty Array). Do NOT show the menu for general chat, greetings, or when asking for contact info.
-           - SHOW ONLY IF:
-             A) The user explicitly asks to see options (e.g. "What styles do you have?", "Show me blinds").
-             B) The user has uploaded an image but has NOT selected a product style yet (e.g. "Here is my room, what do you suggest?").
-           - TO TRIGGER MENU: Return "product_suggestions": [{ "name": "trigger" }] in your JSON. The system will fill the real data.
-
-        3. UNAVAILABLE PRODUCTS:
-           If the user asks for a product NOT in the "AVAILABLE PRODUCTS" list (e.g., they ask for shutters but you only have rollers), you MUST reply:
-           "Unfortunately we don't offer that option right now."
-
-        4. VISUALIZATION LOGIC (The 2-Step Requirement):
-           You can ONLY set "visualize": true if you have BOTH: (A) A User Uploaded Image in history, AND (B) A specific product selection.
-
-           CASE A: User uploads an image but has NOT selected a product yet.
-           - Action: You must ask for the product.
-           - Reply: "I see your room! Please select a style below so I can generate a preview."
-           - "product_suggestions": [List all items from AVAILABLE PRODUCTS]
-           - "visualize": false
-
-           CASE B: User selects a product (e.g. "I want Zebra Blinds") but has NOT uploaded an image.
-           - Action: You must ask for the image.
-           - Reply: "Great choice! Please upload a photo of your window so I can show you how it looks."
-           - "product_suggestions": []
-           - "visualize": false
-
-           CASE C: User has BOTH (An image is in the chat history AND they just selected a product).
-           - Action: Start generation.
-           - Reply: "Generating a preview of [Product Name] in your room now..."
-           - "visualize": true
-           - "selected_product_name": "[Exact Name]"
-           - "product_suggestions": []
-
-           CASE D: General Conversation.
-           - If the user is just asking questions and NOT trying to visualize, just answer helpfully. 
-           - DO NOT send "product_suggestions" unless they explicitly ask to see options or upload an image.
-        `;
-
-        const model = genAI.getGenerativeModel({ model: "gemini-3-flash-preview", systemInstruction: finalSystemPrompt, generationConfig: { responseMimeType: "application/json" } });
-
-        // M2: Parse color selection protocol (doesn't modify history - keeps transcript clean)
-        let userSelectedColor = null;
-        let colorProductId = null;
-        const lastMsgText = history[history.length - 1]?.parts?.[0]?.text || '';
-
-        if (lastMsgText.startsWith('__BB_COLOR__::')) {
-            const params = lastMsgText.substring('__BB_COLOR__::'.length);
-            const match = params.match(/productId=(\d+);color=(.+)/);
-            if (match) {
-                colorProductId = parseInt(match[1]);
-                userSelectedColor = match[2].trim();
-                console.log(`🎨 Color selection: productId=${colorProductId}, color=${userSelectedColor}`);
-            }
-        }
+    // In-home consultation times still open ([] when the client hasn't turned booking on)
+    const openSlots = await getOpenSlots(supabase, client);
 
-        // C. Parse History for Image
-        const pastHistory = history.slice(0, -1);
-        const chat = model.startChat({ history: pastHistory });
-        const lastTurn = history[history.length - 1];
-        
-        let currentParts = [];
-        let sourceImageUrl = null;
-        
-        // --- OBJECTIVE FIX: LOOK BACK FOR IMAGE IF NOT IN LAST TURN ---
-        for (const part of lastTurn.parts) {
-            const imgMatch = part.text?.match(/\[IMAGE_URL: (.*?)\]/);
-            if (imgMatch) sourceImageUrl = imgMatch[1];
-        }
+    // Product card / colour / appointment button (checked against our own records - typed text can't trigger these)
+    const uiAction = await verifyUIAction(supabase, action, { products, slots: openSlots, clientId: client.id, conversationId: session.conversation.id });
+    if (action && !uiAction) console.warn(`🛡️ Ignoring unverified UI action from session ${session.conversation.id}`);
+    const renderAction = uiAction && uiAction.productIndex !== null ? uiAction : null;
+
+    const userText = uiAction ? buildUserMessage(uiAction.text, attachedImages) : typedText;
+    if (!userText) {
+        const inputError = new Error("That option is no longer available. Please type a message instead.");
+        inputError.status = 400;
+        throw inputError;
+    }
+    const history = [...toGeminiHistory(session.messages), { role: 'user', parts: [{ text: userText }] }];
+
+    const productContext = products 
+        ? products.map(p => {
+            return `
+            Product: "${p.name}"
+            - Summary: ${p.ai_description || p.description}
+            - Transparency: ${p.var_transparency || "N/A"}
+            - Control/Lift: ${p.var_control || "Standard"}
+            - Structure/Size: ${p.var_structure || "Standard"}
+            - Hardware: ${p.var_hardware || "Standard"}
+            - Extras: ${p.var_extras || "None"}
+            - Colors: ${p.var_colors || "Various"}
+            - CRITICAL RESTRICTIONS: ${p.var_restrictions || "None"}
+            `; 
+          }).join("\n----------------\n") 
+        : "Standard Blinds";
+
+    // Names come from scraped client sites - fenced so they're read as data
+    const productNames = products ? delimitUntrusted('PRODUCT_NAMES', products.map(p => p.name).join(", ")) : "Standard Blinds";
+    
+    const finalSystemPrompt = `
+    CRITICAL: You DO NOT speak plain text. You ONLY speak JSON.
+    Structure:
+    {
+      "reply": "text",
+      "product_suggestions": [ { "name": "Exact Name From List", "image": "URL", "id": "index" } ],
+      "visualize": boolean,
+      "selected_product_name": "Exact Name From List" 
+      "show_slots": boolean (see APPOINTMENTS, otherwise false),
+      "booking_slot": "[slot: ...] value of the time the visitor picked (see APPOINTMENTS), or null",
+      "lead_data": {
+          "name": "User Name (or null)",
+          "phone": "Phone (or null)",
+          "email": "Email (or null)",
+          "address": "Address (or null)",
+          "project_summary": "Brief summary of what they want (e.g. '3 zebra blinds for living room')",
+          "appointment_request": "Requested time (or null)",
+          "preferred_method": "text/call/email",
+          "quality_score": 1-10 (judge their purchase intent),
+          "ai_summary": "2 sentence summary of conversation so far"
+      },
+      "window_specs": {
+          "width_in": "Window width in inches the user stated (convert cm/feet to inches), or null",
+          "height_in": "Window height in inches the user stated, or null",
+          "mount_depth_in": "Available mounting depth in inches the user stated, or null",
+          "room_type": "Room the user said the window is in (living_room, bedroom, kitchen, dining_room, bathroom, office, nursery, hallway), or null"
+      }
+    }
 
-        if (!sourceImageUrl && history.length > 1) {
-            for (let i = history.length - 2; i >= 0; i--) {
-                const turn = history[i];
-                if (turn.role === 'user') {
-                    for (const part of turn.parts) {
-                        const imgMatch = part.text?.match(/\[IMAGE_URL: (.*?)\]/);
-                        if (imgMatch) {
-                            sourceImageUrl = imgMatch[1];
-                            break;
-                        }
+    YOUR IDENTITY AND RULE:
+    ${client.bot_persona || "You are a sales assistant."}
+    
+    AVAILABLE PRODUCTS: ${productNames}
+
+    BEHAVIOR RULES:
+
+    1. SALES GOAL (HIGH PRIORITY):
+       ${getPromptTemplate(client, 'sales_rules')}
+    
+    2. WHEN TO SHOW PRODUCT MENU (product_suggestions):
+       - DEFAULT: Keep "product_suggestions": [] (Empty Array). Do NOT show the menu for general chat, greetings, or when asking for contact info.
+       - SHOW ONLY IF:
+         A) The user explicitly asks to see options (e.g. "What styles do you have?", "Show me blinds").
+         B) The user has uploaded an image but has NOT selected a product style yet (e.g. "Here is my room, what do you suggest?").
+       - TO TRIGGER MENU: Return "product_suggestions": [{ "name": "trigger" }] in your JSON. The system will fill the real data.
+
+    3. UNAVAILABLE PRODUCTS:
+       If the user asks for a product NOT in the "AVAILABLE PRODUCTS" list (e.g., they ask for shutters but you only have rollers), you MUST reply:
+       "Unfortunately we don't offer that option right now."
+
+    4. VISUALIZATION LOGIC (The 2-Step Requirement):
+       You can ONLY set "visualize": true if you have BOTH: (A) A User Uploaded Image in history, AND (B) A specific product selection.
+
+       CASE A: User uploads an image but has NOT selected a product yet.
+       - Action: You must ask for the product.
+       - Reply: "I see your room! Please select a style below so I can generate a preview."
+       - "product_suggestions": [List all items from AVAILABLE PRODUCTS]
+       - "visualize": false
+
+       CASE B: User selects a product (e.g. "I want Zebra Blinds") but has NOT uploaded an image.
+       - Action: You must ask for the image.
+       - Reply: "Great choice! Please upload a photo of your window so I can show you how it looks."
+       - "product_suggestions": []
+       - "visualize": false
+
+       CASE C: User has BOTH (An image is in the chat history AND they just selected a product).
+       - Action: Start generation.
+       - Reply: "Generating a preview of [Product Name] in your room now..."
+         (If the system did NOT confirm a button press below, reply instead: "Great choice! Tap the style below to see it in your room.")
+       - "visualize": true
+       - "selected_product_name": "[Exact Name]"
+       - "product_suggestions": []
+
+       CASE D: General Conversation.
+       - If the user is just asking questions and NOT trying to visualize, just answer helpfully. 
+       - DO NOT send "product_suggestions" unless they explicitly ask to see options or upload an image.
+    `;
+
+    // M2: Product / color chosen with a button (verified above)
+    const userSelectedColor = renderAction?.color || null;
+    const colorProductId = renderAction ? renderAction.productIndex : null;
+    if (renderAction) console.log(`🎨 UI action ${renderAction.type}: productId=${colorProductId}, color=${userSelectedColor || 'auto'}`);
+
+    // C. Parse History for Image
+    const pastHistory = history.slice(0, -1);
+    const lastTurn = history[history.length - 1];
+    
+    let currentParts = [];
+    let sourceImageUrl = null;
+    
+    // --- OBJECTIVE FIX: LOOK BACK FOR IMAGE IF NOT IN LAST TURN ---
+    for (const part of lastTurn.parts) {
+        const imgMatch = part.text?.match(/\[IMAGE_URL: (.*?)\]/);
+        if (imgMatch) sourceImageUrl = imgMatch[1];
+    }
+
+    if (!sourceImageUrl && history.length > 1) {
+        for (let i = history.length - 2; i >= 0; i--) {
+            const turn = history[i];
+            if (turn.role === 'user') {
+                for (const part of turn.parts) {
+                    const imgMatch = part.text?.match(/\[IMAGE_URL: (.*?)\]/);
+                    if (imgMatch) {
+                        sourceImageUrl = imgMatch[1];
+                        break;
                     }
                 }
-                if (sourceImageUrl) break;
             }
+            if (sourceImageUrl) break;
         }
-        // DEBUG: Log image search results for color protocol
-        if (colorProductId !== null) {
-            console.log(`🔍 Color protocol detected: productId=${colorProductId}, color=${userSelectedColor}`);
-            console.log(`🔍 sourceImageUrl found: ${sourceImageUrl ? 'YES' : 'NO'}`);
-            if (!sourceImageUrl) {
-                console.log(`⚠️ No source image found! History (${history.length} turns):`);
-                history.forEach((h, i) => {
-                    const preview = h.parts?.[0]?.text?.substring(0, 80) || '[no text]';
-                    console.log(`  [${i}] ${h.role}: ${preview}...`);
-                });
-            }
+    }
+    // DEBUG: Log image search results for UI actions
+    if (colorProductId !== null) {
+        console.log(`🔍 UI action: productId=${colorProductId}, color=${userSelectedColor}`);
+        console.log(`🔍 sourceImageUrl found: ${sourceImageUrl ? 'YES' : 'NO'}`);
+        if (!sourceImageUrl) {
+            console.log(`⚠️ No source image found! History (${history.length} turns):`);
+            history.forEach((h, i) => {
+                const preview = h.parts?.[0]?.text?.substring(0, 80) || '[no text]';
+                console.log(`  [${i}] ${h.role}: ${preview}...`);
+            });
         }
-        // -------------------------------------------------------------
+    }
+    // -------------------------------------------------------------
 
-        for (const part of lastTurn.parts) {
-             if (part.text && !part.text.includes('[IMAGE_URL:')) {
-                  currentParts.push({ text: part.text });
-             }
-        }
-        if (sourceImageUrl) {
-             const imagePart = await urlToGenerativePart(sourceImageUrl);
-             if (imagePart) currentParts.push(imagePart);
-             currentParts.push({ text: "Analyze this image context." });
+    // Room facts from the photo (usually cached - analysis starts at upload time)
+    const scene = await analyzeScene(supabase, sourceImageUrl);
+
+    // Products whose restrictions rule out the room in the photo (measurements come from the reply below)
+    const sceneCheck = checkProducts(products, buildRoomFacts(scene, null));
+
+    let buttonNote = '';
+    if (renderAction) {
+        // Name and colour come from the catalog - fenced like the product list
+        const pressed = `${products[renderAction.productIndex].name}${renderAction.color ? ` in ${renderAction.color}` : ''}`;
+        buttonNote = `\n    SYSTEM: The visitor pressed the button for this product. This is a confirmed selection.\n    ${delimitUntrusted('SELECTED_PRODUCT', pressed)}\n`;
+    } else if (uiAction?.type === 'book_slot') {
+        buttonNote = `\n    SYSTEM: The visitor tapped the appointment time ${uiAction.slot.label}. The system books it and adds the confirmation (or asks for missing contact details) after your reply - keep your reply short and don't confirm or refuse the time yourself.\n`;
+    }
+    const systemInstruction = UNTRUSTED_CONTENT_RULES + finalSystemPrompt + buttonNote + formatSlotsForPrompt(pickSlotsToOffer(openSlots)) +
+        formatSceneForPrompt(scene) + formatExclusionsForPrompt(sceneCheck.excluded, delimitUntrusted);
+
+    for (const part of lastTurn.parts) {
+         if (part.text && !part.text.includes('[IMAGE_URL:')) {
+              currentParts.push({ text: part.text });
+         }
+    }
+    if (sourceImageUrl) {
+         const imagePart = await urlToGenerativePart(sourceImageUrl);
+         if (imagePart) currentParts.push(imagePart);
+         currentParts.push({ text: "Analyze this image context." });
+    }
+
+    const result = await getAIProvider().streamChat({
+        task: 'chat',
+        model: getClientModel(client, 'chat'),
+        system: systemInstruction,
+        history: pastHistory,
+        parts: currentParts,
+        json: true,
+        priority: true // High priority - user chat interaction
+    });
+
+    // Forward the "reply" field as it is generated (the rest of the JSON is only used once complete)
+    const replyStreamer = createJsonStringFieldStreamer('reply');
+    for await (const text of result.stream) {
+        const delta = replyStreamer.push(text);
+        if (delta) emit('token', { text: delta });
+    }
+    // Schema check: coerce small mistakes, one repair request for unusable output, else a fallback reply
+    const jsonResponse = await resolveChatResponse(supabase, client.id, await result.text, (repairPrompt) =>
+        getAIProvider().extractJson({
+            task: 'chat',
+            model: getClientModel(client, 'chat'),
+            system: systemInstruction,
+            parts: [repairPrompt],
+            priority: true
+        })
+    );
+
+    // What the visitor told us (window_specs) overrides what the photo suggests
+    const compatibility = checkProducts(products, buildRoomFacts(scene, jsonResponse.window_specs));
+
+    // Renders cost credits: only a product/colour button press starts one. If the model wants to
+    // visualize from typed text, show that product's card for the visitor to tap instead.
+    let pickCard = null;
+    if (jsonResponse.visualize && !renderAction) {
+        jsonResponse.visualize = false;
+        const named = (products || []).findIndex(p => p.name.toLowerCase() === (jsonResponse.selected_product_name || '').toLowerCase());
+        if (named !== -1 && sourceImageUrl) {
+            pickCard = toProductCard(products[named], named);
+            if (!/\btap\b/i.test(jsonResponse.reply)) jsonResponse.reply += "\n\nTap the style below to see it in your room.";
         }
+    }
 
-        const result = await wrapGeminiCall(
-            () => chat.sendMessage(currentParts),
-            true // High priority - user chat interaction
-        );
-        const jsonResponse = JSON.parse(result.response.text());
-        
-        if (jsonResponse.product_suggestions && jsonResponse.product_suggestions.length > 0 && products) {
-            jsonResponse.product_suggestions = products.map((p, idx) => ({
-                name: p.name,
-                image: (p.image_url || '').split(/[,;\n|]/)[0].trim(), // First URL only
-                id: idx,
-                // M1: Return colors as array for frontend color selector
-                colors: (p.var_colors || '').split(',').map(c => c.trim()).filter(c => c)
-            }));
-        } else {
-            jsonResponse.product_suggestions = [];
+    if (pickCard) {
+        jsonResponse.product_suggestions = [pickCard];
+        emit('products', { product_suggestions: jsonResponse.product_suggestions });
+    } else if (jsonResponse.product_suggestions && jsonResponse.product_suggestions.length > 0 && products) {
+        // Only products that fit; id stays the index into products (UI actions rely on it)
+        jsonResponse.product_suggestions = compatibility.compatible.map(({ product: p, index: idx }) => toProductCard(p, idx));
+        if (compatibility.excluded.length > 0) {
+            console.log(`🧩 Hiding ${compatibility.excluded.length} incompatible product(s): ${compatibility.excluded.map(e => e.product.name).join(', ')}`);
+            jsonResponse.reply += explainExclusions(compatibility.excluded);
         }
-    let renderUrl = null;
+        emit('products', { product_suggestions: jsonResponse.product_suggestions });
+    } else {
+        jsonResponse.product_suggestions = [];
+    }
     let selectedProductIndex = null;
 
-    // M2 continued: If color selection protocol, force visualize and use product by ID
+    // M2 continued: A verified product/color button forces visualize and uses the product by ID
     if (colorProductId !== null && products && products[colorProductId]) {
         jsonResponse.visualize = true;
         jsonResponse.selected_product_name = products[colorProductId].name;
     }
 
     if (jsonResponse.visualize && jsonResponse.selected_product_name && sourceImageUrl) {
-        // Find product - prefer ID from color protocol, fallback to name matching
-        let selectedProduct;
-        if (colorProductId !== null && products && products[colorProductId]) {
-            selectedProduct = products[colorProductId];
-            selectedProductIndex = colorProductId;
-        } else {
-            selectedProduct = products.find(p => p.name.toLowerCase() === jsonResponse.selected_product_name.toLowerCase());
-            selectedProductIndex = products ? products.indexOf(selectedProduct) : null;
-        }
+        // Product from the verified UI action (the only way visualize stays true)
+        const selectedProduct = products[colorProductId];
+        selectedProductIndex = colorProductId;
 
         if (selectedProduct) {
-            // --- NEW CHARGING LOGIC ---
-            // We only charge IF we are about to generate
-            const canGenerate = await deductImageCredit(supabase, client.id);
-
-            if (canGenerate) {
-                // 1. Success: Generate the Image
-                const desc = selectedProduct.ai_description || selectedProduct.description;
-
-                // M3: Build color instruction - stronger wording for user-selected colors
-                const colorInstruction = userSelectedColor
-                    ? `IMPORTANT: Use ${userSelectedColor} color for the blinds. If the reference product image shows a different color, you MUST override it to ${userSelectedColor}.`
-                    : `Choose the most suitable color from available options: ${selectedProduct.var_colors || 'standard colors'}. Pick one that complements the room.`;
-
-                const combinedPrompt = `Install ${selectedProduct.name} (${desc}) on the windows. ${colorInstruction}`;
-
-                console.log(`🎨 Generating with prompt: ${combinedPrompt}`);
-
-                renderUrl = await generateRendering(sourceImageUrl, combinedPrompt);
-                if (renderUrl) jsonResponse.reply += `\n\n[RENDER_URL: ${renderUrl}]`;
-
-                // M4: Add color_info for "Change Color" button
-                if (renderUrl) {
-                    jsonResponse.color_info = {
-                        product_id: selectedProductIndex,
-                        product_name: selectedProduct.name,
-                        used_color: userSelectedColor || 'auto-selected',
-                        available_colors: (selectedProduct.var_colors || '').split(',').map(c => c.trim()).filter(c => c)
-                    };
+            // The visitor picked it themselves - still render, but say why it may not fit
+            const conflict = compatibility.excluded.find(e => e.index === selectedProductIndex);
+            if (conflict) {
+                jsonResponse.reply += `\n\n(Heads up: ${selectedProduct.name} may not suit your window - ${conflict.reasons.join('; ')}. A designer can confirm when they measure.)`;
+            }
+
+            // One render per visitor-chosen color, else the client's variant count (one credit each)
+            const windowRegion = normalizeRegion(region, sourceImageUrl); // Window the visitor marked (null = whole room)
+            let variants = await keyRenderVariants(
+                client.id, sourceImageUrl, selectedProduct,
+                planRenderVariants(selectedProduct, { selectedColor: userSelectedColor, count: client.render_variants }),
+                {
+                    region: windowRegion,
+                    comparison: client.render_comparison !== false,
+                    model: getClientModel(client, 'render') || null,
+                    promptTemplate: getPromptTemplate(client, 'render_prompt')
+                }
+            );
+
+            // Already rendered (e.g. switching back to a color) - free, and doesn't count against the visitor
+            const cached = await findCachedRenders(supabase, client.id, variants);
+
+            // Per-visitor daily cap (one per variant), so one visitor can't spend the client's credits.
+            // Reserved up front; whatever isn't charged and queued below is given back.
+            const quota = cached ? null : await reserveVisitorRenders(client, visitor, variants.length);
+            const quotaAllowed = cached || quota.granted > 0;
+            if (!cached && quotaAllowed && variants.length > quota.granted) variants = variants.slice(0, quota.granted);
+
+            // Credits are charged by the render worker, only for renders that pass verification -
+            // here we only check the balance covers them (the ledger entry references the render job)
+            const renderJobId = randomUUID();
+            let canGenerate = !cached && quotaAllowed && await canAffordRenders(supabase, client.id, variants.length);
+
+            // Not enough credits for every variant - a single render is still worth showing
+            if (!cached && !canGenerate && quotaAllowed && variants.length > 1) {
+                variants = variants.slice(0, 1);
+                canGenerate = await canAffordRenders(supabase, client.id, 1);
+            }
+            if (quota) await releaseVisitorRenders(quota, quota.granted - (canGenerate ? variants.length : 0));
+
+            const jobDetails = {
+                id: renderJobId,
+                client_id: client.id,
+                conversation_id: session.conversation.id,
+                source_image_url: sourceImageUrl,
+                prompt: variants[0].prompt,
+                variants,
+                credits_charged: 0, // Set when the job is done
+                region: windowRegion,
+                product_name: selectedProduct.name,
+                // M4: color_info for the "Change Color" button, returned with the finished render
+                color_info: {
+                    product_id: selectedProductIndex,
+                    product_name: selectedProduct.name,
+                    used_color: variants.length === 1 ? (variants[0].color || 'auto-selected') : 'auto-selected',
+                    available_colors: (selectedProduct.var_colors || '').split(',').map(c => c.trim()).filter(c => c)
+                }
+            };
+
+            if (cached) {
+                // 0. Cache hit: finished job right away, no credit
+                try {
+                    const job = await recordCachedRenderJob(supabase, jobDetails, cached);
+                    jsonResponse.render_job = { id: job.id, status: job.status };
+                    emit('render_started', { job_id: job.id, product_name: selectedProduct.name, color: userSelectedColor || 'auto-selected', variants: variants.length });
+
+                } catch (cacheErr) {
+                    console.error("❌ Could not record cached render:", cacheErr.message);
+                    jsonResponse.reply += "\n\n(System: Preview generation is temporarily unavailable. Please try again in a moment.)";
+                    jsonResponse.visualize = false;
                 }
 
+            } else if (canGenerate) {
+                // 1. Success: Queue the render (charged when it passes verification)
+                console.log(`🎨 Generating ${variants.length} variant(s), first prompt: ${variants[0].prompt}`);
+
+                try {
+                    const job = await enqueueRenderJob(supabase, jobDetails);
+                    jsonResponse.render_job = { id: job.id, status: job.status };
+                    emit('render_started', { job_id: job.id, product_name: selectedProduct.name, color: userSelectedColor || 'auto-selected', variants: variants.length });
+
+                } catch (queueErr) {
+                    console.error("❌ Could not queue render:", queueErr.message);
+                    await releaseVisitorRenders(quota, variants.length);
+                    jsonResponse.reply += "\n\n(System: Preview generation is temporarily unavailable. Please try again in a moment.)";
+                    jsonResponse.visualize = false;
+                }
+
+            } else if (!quotaAllowed) {
+                // 2. Failure: Visitor used up today's previews
+                jsonResponse.reply += `\n\n(System: You've reached today's limit of ${quota.limit} previews. Please come back tomorrow, or ask us for a free in-home consultation!)`;
+                jsonResponse.visualize = false;
             } else {
-                // 2. Failure: No Credits
+                // 3. Failure: No Credits
                 console.log(`🚫 Generation blocked: Insufficient credits for ${client.company_name}`);
                 jsonResponse.reply += "\n\n(System: Preview generation skipped. Insufficient image credits. Please top up in Settings.)";
                 // We turn off visualize so the UI doesn't try to show a broken image
@@ -478,62 +556,136 @@ app.post('/chat', async (req, res) => {
             }
         }
     }
-        if (jsonResponse.lead_data) {
-            const d = jsonResponse.lead_data;
-            d.full_transcript = history;
-            // Inject images into the data payload
-            if (sourceImageUrl) d.new_customer_image = sourceImageUrl;
-            if (renderUrl) d.new_ai_rendering = renderUrl; // Defined in the scope above
-
-            // Only save if we have contact info or if we just generated valuable data
-            if (d.name || d.phone || d.email) {
-                const savedLead = await handleLeadData(supabase, client.id, d);
-
-                if (!savedLead) {
-                    // Lead save failed, notify user
-                    console.error('⚠️ Lead save failed for client:', client.id);
-                    jsonResponse.reply += "\n\n⚠️ We encountered a technical issue saving your information. Please contact us directly at: " + (client.email || "our support team") + ".";
-                }
+    const modelTurn = { role: 'model', parts: [{ text: jsonResponse.reply }] };
+    let savedLead = null;
+
+    if (jsonResponse.lead_data) {
+        const d = jsonResponse.lead_data;
+        d.full_transcript = [...history, modelTurn];
+        // Inject images into the data payload
+        if (sourceImageUrl) d.new_customer_image = sourceImageUrl;
+        // Renders finish later; the render worker appends them to the lead via conversation_id
+        d.conversation_id = session.conversation.id;
+
+        // Only save if we have contact info or if we just generated valuable data
+        if (d.name || d.phone || d.email) {
+            savedLead = await handleLeadData(supabase, client.id, d);
+
+            if (!savedLead) {
+                // Lead save failed, notify user
+                console.error('⚠️ Lead save failed for client:', client.id);
+                jsonResponse.reply += "\n\n⚠️ We encountered a technical issue saving your information. Please contact us directly at: " + (client.email || "our support team") + ".";
             }
         }
-        res.json(jsonResponse);
+    }
+
+    // Appointment: a tapped time (verified above), or one of the offered times the model picked from typed text
+    const requestedSlot = uiAction?.slot || findSlot(openSlots, jsonResponse.booking_slot);
+    let slotsToShow = openSlots;
+    if (requestedSlot) {
+        const booking = await bookAppointment(supabase, client, { start: requestedSlot.start, lead: savedLead, conversationId: session.conversation.id });
+
+        if (booking.appointment) {
+            const { id, starts_at, ends_at } = booking.appointment;
+            jsonResponse.appointment = { id, starts_at, ends_at, label: booking.slot.label };
+            jsonResponse.reply += `\n\n📅 You're booked for ${booking.slot.label}.` +
+                (booking.appointment.customer_email ? " We've emailed you a calendar invite." : " We look forward to seeing you!");
+            jsonResponse.show_slots = false;
+        } else if (booking.error === 'contact') {
+            jsonResponse.reply += `\n\nTo hold ${requestedSlot.label} for you, I just need your name and a phone number or email.`;
+        } else if (booking.error === 'already_booked') {
+            jsonResponse.reply += `\n\n📅 You already have a consultation booked for ${booking.existing.label}. ` +
+                `To change it, please contact ${client.company_name || 'us'}${client.email ? ` at ${client.email}` : ''} and we'll move it for you.`;
+            jsonResponse.show_slots = false;
+        } else if (booking.error === 'unavailable') {
+            jsonResponse.reply += "\n\nSorry, that time was just taken. Here are the times still open:";
+            jsonResponse.show_slots = true;
+            slotsToShow = await getOpenSlots(supabase, client);
+        } else {
+            jsonResponse.reply += "\n\n(System: We couldn't book that time just now. Please try again, or leave your number and we'll call you to schedule.)";
+        }
+    }
+
+    jsonResponse.appointment_slots = jsonResponse.show_slots ? pickSlotsToOffer(slotsToShow) : [];
+    if (jsonResponse.appointment_slots.length > 0) emit('slots', { appointment_slots: jsonResponse.appointment_slots });
 
+    // Persist both turns only after a successful reply, so history stays user/model alternating
+    await conversationStore.appendMessages(session.conversation.id, [
+        { role: 'user', content: userText },
+        { role: 'model', content: jsonResponse.reply }
+    ]);
+
+    jsonResponse.session_id = session.conversation.id;
+    return jsonResponse;
+}
+
+app.post('/chat', limitVisitorRequests('chat'), allowedOrigin, async (req, res) => {
+    try {
+        res.json(await processChatTurn(req.body, undefined, req.visitor));
     } catch (err) {
         console.error(err);
+        if (err.status) return res.status(err.status).json({ reply: err.message });
         res.status(500).json({ reply: "Error processing request." });
     }
 });
-app.get('/create-portal-session/:apiKey', async (req, res) => {
+
+// Same turn as /chat, streamed as Server-Sent Events:
+// session → token* → products? → render_started? → slots? → done → render_done|render_failed? (or error)
+// The render itself runs as a job, so it still completes if the visitor disconnects.
+app.post('/chat/stream', limitVisitorRequests('chat'), allowedOrigin, async (req, res) => {
+    const stream = openEventStream(res);
+    try {
+        const jsonResponse = await processChatTurn(req.body, stream.send, req.visitor);
+        stream.send('done', jsonResponse);
+
+        if (jsonResponse.render_job) {
+            const job = await waitForRenderJob(supabase, jsonResponse.render_job.id, { isCancelled: stream.isClosed });
+            if (job) stream.send(job.status === 'done' ? 'render_done' : 'render_failed', formatRenderJob(job));
+        }
+    } catch (err) {
+        console.error(err);
+        stream.send('error', { reply: err.status ? err.message : "Error processing request." });
+    } finally {
+        stream.close();
+    }
+});
+// Returns the portal URL as JSON (the dashboard fetches it with the admin key, then navigates)
+app.get('/create-portal-session/:apiKey', adminKey, async (req, res) => {
     try {
-        const { apiKey } = req.params;
         const { data: client } = await supabase
             .from('clients')
             .select('stripe_customer_id')
-            .eq('api_key', apiKey)
+            .eq('id', req.client.id)
             .single();
 
         if (!client || !client.stripe_customer_id) {
-            return res.status(404).send("No active subscription found. Please contact support.");
+            return res.status(404).json({ error: "No active subscription found. Please contact support." });
         }
 
         const url = await createPortalSession(client.stripe_customer_id);
-        res.redirect(url);
+        res.json({ url });
 
     } catch (err) {
         console.error("Portal Error:", err);
-        res.status(500).send("Error accessing subscription settings.");
+        res.status(500).json({ error: "Error accessing subscription settings." });
     }
 });
 setupPreviewRoutes(app, supabase);
+setupRenderJobRoutes(app, supabase);
+setupRenderCacheRoutes(app, supabase);
+setupAIConfigRoutes(app, supabase);
+setupChatValidationRoutes(app, supabase);
+setupLeadRoutes(app, supabase);
+setupLeadWebhookRoutes(app, supabase);
+setupAppointmentRoutes(app, supabase);
 startPersonaWorker();
 startProductWorker();
-app.post('/train-agent', async (req, res) => {
+startRenderWorker(supabase, conversationStore);
+startLeadWebhookWorker(supabase);
+app.post('/train-agent', adminKey, async (req, res) => {
     try {
-        const { clientApiKey } = req.body;
-        if (!clientApiKey) return res.status(400).json({ error: "Missing API Key" });
-
         // Trigger the manual retrain
-        await forceRetrainClient(clientApiKey);
+        await forceRetrainClient(req.client.api_key);
 
         res.json({ success: true });
 
@@ -542,24 +694,26 @@ app.post('/train-agent', async (req, res) => {
         res.status(500).json({ error: "Training failed. Please try again." });
     }
 });
-app.post('/scrape-products', async (req, res) => {
+app.post('/scrape-products', adminKey, async (req, res) => {
     try {
-        const { clientApiKey, websiteUrl } = req.body;
+        const { websiteUrl } = req.body;
 
         if (!websiteUrl) return res.status(400).json({ error: "Missing Website URL" });
 
-        // 1. Verify Client
+        // 1. Load Client (already authenticated by the admin key)
         const { data: client } = await supabase
             .from('clients')
-            .select('id')
-            .eq('api_key', clientApiKey)
+            .select('id, plan_id')
+            .eq('id', req.client.id)
             .single();
 
-        if (!client) return res.status(401).json({ error: "Invalid API Key" });
+        if (!client) return res.status(404).json({ error: "Client not found" });
 
-        // 2. Run Scraper
+        // 2. Run Scraper (capped at the plan's product limit)
         // We await this so the user knows when it's done
-        const result = await scrapeAndSaveProducts(supabase, client.id, websiteUrl);
+        const plan = await getClientPlan(supabase, client);
+        const maxProducts = getPlanLimit(plan, 'max_products');
+        const result = await scrapeAndSaveProducts(supabase, client.id, websiteUrl, { maxProducts });
 
         res.json(result);
 
@@ -568,16 +722,16 @@ app.post('/scrape-products', async (req, res) => {
         res.status(500).json({ error: "Scraping failed." });
     }
 });
-app.post('/update-notification-emails', async (req, res) => {
+app.post('/update-notification-emails', adminKey, async (req, res) => {
     try {
-        const { clientApiKey, emails } = req.body;
+        const { emails } = req.body;
 
         if (!Array.isArray(emails)) return res.status(400).json({ error: "Invalid format" });
 
         const { error } = await supabase
             .from('clients')
             .update({ notification_emails: emails })
-            .eq('api_key', clientApiKey);
+            .eq('id', req.client.id);
 
         if (error) throw error;
         res.json({ success: true });
@@ -591,7 +745,7 @@ app.post('/update-notification-emails', async (req, res) => {
 // ==================================================================
 // IMAGE UPLOAD ENDPOINT (with HEIC/HEIF conversion)
 // ==================================================================
-app.post('/upload-image', async (req, res) => {
+app.post('/upload-image', limitVisitorRequests('upload'), allowedOrigin, async (req, res) => {
     try {
         const { imageBase64, fileName, mimeType } = req.body;
 
@@ -635,6 +789,9 @@ app.post('/upload-image', async (req, res) => {
 
         console.log(`✅ Image uploaded: ${safeFileName} (${finalMimeType})`);
 
+        // Start the room analysis now so it's ready when the visitor sends the message
+        analyzeScene(supabase, urlData.publicUrl);
+
         res.json({
             success: true,
             url: urlData.publicUrl
@@ -700,15 +857,11 @@ app.post('/compress-for-rendering-test', async (req, res) => {
 // ==================================================================
 // 4.5. TRAINING PDF UPLOAD (Multiple PDFs)
 // ==================================================================
-app.post('/upload-training-pdfs', async (req, res) => {
+app.post('/upload-training-pdfs', adminKey, async (req, res) => {
     try {
-        const { apiKey, pdfFiles } = req.body;
+        const { pdfFiles } = req.body;
 
         // 1. Validate input
-        if (!apiKey) {
-            return res.status(400).json({ error: "Missing API key" });
-        }
-
         if (!pdfFiles || !Array.isArray(pdfFiles) || pdfFiles.length === 0) {
             return res.status(400).json({ error: "Missing PDF files or invalid format" });
         }
@@ -716,8 +869,8 @@ app.post('/upload-training-pdfs', async (req, res) => {
         // 2. Validate client exists
         const { data: client, error: clientError } = await supabase
             .from('clients')
-            .select('id, company_name')
-            .eq('api_key', apiKey)
+            .select('id, company_name, plan_id')
+            .eq('id', req.client.id)
             .single();
 
         if (clientError || !client) {
@@ -726,10 +879,12 @@ app.post('/upload-training-pdfs', async (req, res) => {
 
         console.log(`📚 Processing ${pdfFiles.length} PDFs for ${client.company_name}`);
 
-        // 3. Validate PDF count (max 5)
-        if (pdfFiles.length > 5) {
+        // 3. Validate PDF count (plan limit, 5 if the plan doesn't set one)
+        const plan = await getClientPlan(supabase, client);
+        const maxPdfs = getPlanLimit(plan, 'max_training_pdfs') ?? 5;
+        if (pdfFiles.length > maxPdfs) {
             return res.status(400).json({
-                error: `Too many PDFs. Maximum 5 allowed, received ${pdfFiles.length}`
+                error: `Too many PDFs. Maximum ${maxPdfs} allowed on the ${plan?.name || 'current'} plan, received ${pdfFiles.length}`
             });
         }
 
@@ -882,9 +1037,8 @@ app.post('/upload-training-pdfs', async (req, res) => {
 });
 
 // Query endpoint to get training PDFs
-app.get('/training-pdfs/:apiKey', async (req, res) => {
+app.get('/training-pdfs/:apiKey', adminKey, async (req, res) => {
     try {
-        const { apiKey } = req.params;
 
         // Try to get client - handle case where training_pdfs field may not exist
         let client = null;
@@ -894,7 +1048,7 @@ app.get('/training-pdfs/:apiKey', async (req, res) => {
         const { data: clientData1, error: error1 } = await supabase
             .from('clients')
             .select('id, company_name, training_pdf, training_pdfs')
-            .eq('api_key', apiKey)
+            .eq('id', req.client.id)
             .single();
 
         if (error1 && error1.message && error1.message.includes('training_pdfs')) {
@@ -902,7 +1056,7 @@ app.get('/training-pdfs/:apiKey', async (req, res) => {
             const { data: clientData2, error: error2 } = await supabase
                 .from('clients')
                 .select('id, company_name, training_pdf')
-                .eq('api_key', apiKey)
+                .eq('id', req.client.id)
                 .single();
 
             client = clientData2;
@@ -0,0 +1,99 @@
+// sse_utils.js
+// Helpers for Server-Sent Events responses (used by /chat/stream)
+
+/**
+ * Switch an Express response into an SSE stream
+ * @param {Object} res - Express response
+ * @returns {{send: Function, close: Function, isClosed: Function}}
+ */
+export function openEventStream(res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop proxies (Render/nginx) from buffering the stream
+    });
+    res.flushHeaders?.();
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    // Comment line keeps idle connections alive during long renders
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': ping\n\n');
+    }, 15000);
+
+    return {
+        send(event, data) {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close() {
+            clearInterval(heartbeat);
+            if (!closed) res.end();
+            closed = true;
+        },
+        isClosed() {
+            return closed;
+        }
+    };
+}
+
+/**
+ * Incrementally extract one string field from a JSON document that arrives in chunks.
+ * The chat model answers in JSON, so this lets us forward "reply" text as it is generated.
+ * @param {string} field - Top-level string field to follow (e.g. 'reply')
+ * @returns {{push: Function}} push(chunk) returns the newly decoded text ('' if none)
+ */
+export function createJsonStringFieldStreamer(field) {
+    const keyRegex = new RegExp(`"${field}"\\s*:\\s*"`);
+    let buffer = '';
+    let start = -1;     // Index of the first char of the string value
+    let cursor = 0;     // How far into the value we have decoded
+    let finished = false;
+
+    return {
+        push(chunk) {
+            buffer += chunk;
+            if (finished) return '';
+
+            if (start === -1) {
+                const match = keyRegex.exec(buffer);
+                if (!match) return '';
+                start = match.index + match[0].length;
+                cursor = start;
+            }
+
+            let out = '';
+            while (cursor < buffer.length) {
+                const ch = buffer[cursor];
+
+                if (ch === '"') {
+                    finished = true;
+                    break;
+                }
+
+                if (ch === '\\') {
+                    // Wait for the full escape sequence before decoding it
+                    const next = buffer[cursor + 1];
+                    if (next === undefined) break;
+                    if (next === 'u') {
+                        const hex = buffer.substring(cursor + 2, cursor + 6);
+                        if (hex.length < 4) break;
+                        out += String.fromCharCode(parseInt(hex, 16));
+                        cursor += 6;
+                        continue;
+                    }
+                    const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+                    out += escapes[next] !== undefined ? escapes[next] : next;
+                    cursor += 2;
+                    continue;
+                }
+
+                out += ch;
+                cursor++;
+            }
+            return out;
+        }
+    };
+}
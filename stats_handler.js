@@ -1,4 +1,6 @@
 import express from 'express';
+import { requireAdminKey } from './api_key_manager.js';
+import { getDomainViolationStats } from './domain_guard.js';
 
 export function setupStatsRoutes(app, supabase) {
 
@@ -13,15 +15,13 @@ export function setupStatsRoutes(app, supabase) {
     // ==================================================
     // 2. Client Stats (Specific Dashboard Data)
     // ==================================================
-    app.get('/stats/client/:apiKey', async (req, res) => {
+    app.get('/stats/client/:apiKey', requireAdminKey(supabase), async (req, res) => {
         try {
-            const { apiKey } = req.params;
-
-            // 1. Get Client ID
+            // 1. Get Client (authenticated by the admin key)
             const { data: client, error: clientError } = await supabase
                 .from('clients')
                 .select('id')
-                .eq('api_key', apiKey)
+                .eq('id', req.client.id)
                 .single();
 
             if (clientError || !client) {
@@ -40,10 +40,14 @@ export function setupStatsRoutes(app, supabase) {
                 .select('*', { count: 'exact', head: true })
                 .eq('client_id', client.id);
 
+            // Blocked attempts to use the widget key on other websites
+            const domainViolations = await getDomainViolationStats(supabase, client.id);
+
             res.json({
                 leads: leadCount || 0,
                 conversations: chatCount || 0,
-                credits: client.image_credits || 0
+                credits: client.image_credits || 0,
+                domainViolations
             });
 
         } catch (err) {
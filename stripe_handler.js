@@ -1,53 +1,72 @@
 // stripe_handler.js
 import Stripe from 'stripe';
 import express from 'express';
+import { applyCreditTransaction, getCreditEntriesForReference, CREDIT_REASONS } from './credit_ledger.js';
+import { requireAdminSecret } from './admin_auth.js';
+import { getPlanCatalog, findPlanByProduct, getLineItemProductId } from './plan_catalog.js';
+import { markAutoRefillPaid, markAutoRefillFailed } from './auto_refill_manager.js';
 
 // --- CONFIGURATION ---
-// CRITICAL: You need the PRICE ID (starts with 'price_...'), not the Product ID.
-// Go to Stripe Dashboard > Products > Click the 300 Credits Product > Look for the Pricing ID.
-const CREDITS_PRICE_ID = 'price_1SpTgAQh2fQ2r8jEPRLQtZ4T'; 
-
-const CREDITS_PRODUCT_ID = 'prod_Tn3n7Rv1dsonQn';      
-const SUBSCRIPTION_PRODUCT_ID = 'prod_Tn4FHxNAnhesep'; 
+// Products, prices and credit amounts live in the plan catalog (plan_catalog.js).
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 // ==================================================================
 // 1. HELPER: TRIGGER AUTO-REFILL
 // ==================================================================
-export async function triggerAutoRefill(stripeCustomerId) {
-    if (!stripeCustomerId) return;
+// Charges one credit pack right away. Deduping, caps and state live in
+// auto_refill_manager.js - call maybeAutoRefill() rather than this directly.
+// Throws if the charge fails.
+export async function triggerAutoRefill(stripeCustomerId, { refillId, pack }) {
+    console.log(`⚡ Triggering Auto-Replenish for ${stripeCustomerId} (${pack.name})...`);
 
-    try {
-        console.log(`⚡ Triggering Auto-Replenish for ${stripeCustomerId}...`);
+    // Idempotency keys make a retried call reuse the same invoice instead of charging twice
+    const idempotencyKey = (step) => `auto-refill-${refillId}-${step}`;
 
-        // A. Add the Credits Item to their "Tab"
-        await stripe.invoiceItems.create({
-            customer: stripeCustomerId,
-            price: CREDITS_PRICE_ID, // Must be the 'price_...' ID
-        });
+    // A. Create the Invoice, tagged so the webhooks can find the refill
+    const invoice = await stripe.invoices.create({
+        customer: stripeCustomerId,
+        auto_advance: false, // We pay it ourselves below
+        collection_method: 'charge_automatically',
+        metadata: { auto_refill_id: refillId }
+    }, { idempotencyKey: idempotencyKey('invoice') });
 
-        // B. Create an Invoice and Charge it IMMEDIATELY
-        const invoice = await stripe.invoices.create({
-            customer: stripeCustomerId,
-            auto_advance: true, // Auto-finalize
-            collection_method: 'charge_automatically'
-        });
+    // B. Add the Credits Item to it
+    await stripe.invoiceItems.create({
+        customer: stripeCustomerId,
+        invoice: invoice.id,
+        pricing: { price: pack.stripe_price_id } // Must be the 'price_...' ID
+    }, { idempotencyKey: idempotencyKey('item') });
 
-        // C. Pay it (Stripe sometimes waits an hour, so we force pay now)
-        await stripe.invoices.pay(invoice.id);
+    // C. Charge it IMMEDIATELY (Stripe sometimes waits an hour otherwise)
+    const paid = await stripe.invoices.pay(invoice.id, {}, { idempotencyKey: idempotencyKey('pay') });
 
-        console.log(`   ✅ Auto-Refill Successful! Invoice: ${invoice.id}`);
-        // NOTE: We don't need to update Supabase here manually. 
-        // The webhook below (invoice.payment_succeeded) will catch this payment 
-        // and add the 300 credits automatically!
+    console.log(`   ✅ Auto-Refill Charged! Invoice: ${paid.id}`);
+    // NOTE: The webhook below (invoice.payment_succeeded) adds the pack's credits.
+    return paid;
+}
 
-    } catch (err) {
-        console.error("❌ Auto-Refill Failed:", err.message);
+// Amount of a price in the smallest currency unit (cached - prices are immutable in Stripe)
+const priceCache = new Map();
+export async function getStripePriceAmount(priceId) {
+    if (!priceCache.has(priceId)) {
+        const price = await stripe.prices.retrieve(priceId);
+        priceCache.set(priceId, { amount: price.unit_amount || 0, currency: price.currency });
     }
+    return priceCache.get(priceId);
 }
+
 // ==================================================================
 // 2. THE WEBHOOK
+// ==================================================================
+// Every event is logged in stripe_events before it is processed, so Stripe's
+// retries (and duplicate deliveries) never grant credits twice.
+//
+// Supabase table stripe_events (SupaBase Code/stripe_events.sql):
+//   id (text, Stripe event id), type, payload (json), status ('processing'|'processed'|'failed'),
+//   error, attempts, received_at, processed_at
+const STALE_EVENT_MS = 5 * 60 * 1000; // A 'processing' event older than this died with its process
+
 export function setupStripeWebhook(app, supabase) {
     console.log("💳 Stripe Webhook Module Loaded.");
 
@@ -62,125 +81,446 @@ export function setupStripeWebhook(app, supabase) {
             return res.status(400).send(`Webhook Error: ${err.message}`);
         }
 
-        // ====================================================
-        // 1. ONE-TIME PURCHASES (Credits & New Signups)
-        // ====================================================
-        if (event.type === 'checkout.session.completed') {
-            const session = event.data.object;
-            const customerEmail = session.customer_details?.email;
-            const stripeCustomerId = session.customer;
-
-            if (customerEmail) {
-                // 1. Link the Stripe Customer ID to the user
-                await supabase.from('clients')
-                    .update({ stripe_customer_id: stripeCustomerId })
-                    .eq('email', customerEmail);
-                
-                // 2. Add Credits or Activate
-                await handleCheckout(session, customerEmail, stripe, supabase);
-            }
+        let claimed;
+        try {
+            claimed = await claimStripeEvent(supabase, event);
+        } catch (err) {
+            // Without the log we can't guarantee idempotency - let Stripe retry later
+            console.error(`❌ Could not record Stripe event ${event.id}:`, err.message);
+            return res.status(500).json({ error: "Event log unavailable" });
+        }
+
+        if (!claimed) {
+            console.log(`↩️ Stripe event ${event.id} (${event.type}) already handled, skipping.`);
+            return res.json({ received: true, duplicate: true });
+        }
+
+        const ok = await runStripeEvent(supabase, event);
+
+        // A 500 makes Stripe retry with backoff; the event stays 'failed' until then
+        if (!ok) return res.status(500).json({ error: "Event processing failed" });
+        res.json({ received: true });
+    });
+
+    // --- ADMIN: inspect and replay logged events ---
+    app.get('/admin/stripe-events', requireAdminSecret, async (req, res) => {
+        try {
+            let query = supabase
+                .from('stripe_events')
+                .select('id, type, status, error, attempts, received_at, processed_at')
+                .order('received_at', { ascending: false })
+                .limit(Math.min(parseInt(req.query.limit) || 50, 200));
+
+            if (req.query.status) query = query.eq('status', req.query.status);
+
+            const { data, error } = await query;
+            if (error) throw error;
+            res.json({ events: data || [] });
+
+        } catch (err) {
+            console.error("Stripe Events List Error:", err.message);
+            res.status(500).json({ error: "Failed to list Stripe events" });
         }
+    });
+
+    app.post('/admin/stripe-events/:id/replay', requireAdminSecret, async (req, res) => {
+        try {
+            const { data: logged, error } = await supabase
+                .from('stripe_events')
+                .select('id, status, attempts, payload')
+                .eq('id', req.params.id)
+                .maybeSingle();
 
-        // ====================================================
-        // 2. SUBSCRIPTION RENEWALS (Add 100 Credits)
-        // ====================================================
-        if (event.type === 'invoice.payment_succeeded') {
-            const invoice = event.data.object;
-            const customerEmail = invoice.customer_email;
-            if (customerEmail) {
-                await handleInvoicePaid(invoice, customerEmail, supabase);
+            if (error) throw error;
+            if (!logged) return res.status(404).json({ error: "Event not found" });
+            if (logged.status !== 'failed') {
+                return res.status(409).json({ error: `Only failed events can be replayed (status: ${logged.status})` });
             }
+
+            // Same conditional claim as a webhook retry, so a replay can't race one
+            const { data: reclaimed } = await supabase
+                .from('stripe_events')
+                .update({ status: 'processing', attempts: (logged.attempts || 0) + 1, error: null, received_at: new Date().toISOString() })
+                .eq('id', logged.id)
+                .eq('status', 'failed')
+                .select('id');
+
+            if (!reclaimed || reclaimed.length === 0) {
+                return res.status(409).json({ error: "Event is already being processed" });
+            }
+
+            console.log(`🔁 Replaying Stripe event ${logged.id}...`);
+            const ok = await runStripeEvent(supabase, logged.payload);
+
+            const { data: result } = await supabase
+                .from('stripe_events')
+                .select('id, type, status, error, attempts, processed_at')
+                .eq('id', logged.id)
+                .single();
+
+            res.status(ok ? 200 : 500).json({ success: ok, event: result });
+
+        } catch (err) {
+            console.error("Stripe Event Replay Error:", err.message);
+            res.status(500).json({ error: "Failed to replay event" });
         }
+    });
+}
+
+// ==================================================================
+// 3. EVENT LOG
+// ==================================================================
 
-        // ====================================================
-        // 3. THE "SOURCE OF TRUTH" (Sync Status)
-        // ====================================================
-        // Fires on: Renewal Success, Payment Failure, Cancellation, Upgrades
-        if (event.type === 'customer.subscription.updated' || event.type === 'customer.subscription.deleted') {
-            const subscription = event.data.object;
-            const stripeCustomerId = subscription.customer;
-            const stripeStatus = subscription.status; // active, past_due, canceled, unpaid
+/**
+ * Record an event and decide whether this delivery should process it
+ * @returns {Promise<boolean>} - false if it was already processed (or is in progress elsewhere)
+ * @throws {Error} - If the event log can't be read or written
+ */
+async function claimStripeEvent(supabase, event) {
+    const now = new Date().toISOString();
 
-            console.log(`🔄 Syncing Subscription Status: ${stripeStatus} for ${stripeCustomerId}`);
+    const { error: insertError } = await supabase
+        .from('stripe_events')
+        .insert({ id: event.id, type: event.type, payload: event, status: 'processing', attempts: 1, received_at: now });
 
-            // MAP STRIPE STATUS TO OUR DB STATUS
-            // We treat 'active' and 'trialing' as ALLOWED. Everything else is BLOCKED.
-            let newDbStatus = 'inactive';
-            if (stripeStatus === 'active' || stripeStatus === 'trialing') {
-                newDbStatus = 'active';
+    if (!insertError) return true;
+    if (insertError.code !== '23505') throw insertError; // Anything but "already logged"
+
+    const { data: logged, error } = await supabase
+        .from('stripe_events')
+        .select('status, attempts, received_at')
+        .eq('id', event.id)
+        .single();
+
+    if (error) throw error;
+    if (logged.status === 'processed') return false;
+
+    const isStale = Date.now() - new Date(logged.received_at).getTime() > STALE_EVENT_MS;
+    if (logged.status === 'processing' && !isStale) return false;
+
+    // Failed (or abandoned) earlier - retry it. The status check stops two deliveries both claiming it.
+    const { data: reclaimed } = await supabase
+        .from('stripe_events')
+        .update({ status: 'processing', attempts: (logged.attempts || 0) + 1, error: null, received_at: now })
+        .eq('id', event.id)
+        .eq('status', logged.status)
+        .select('id');
+
+    return !!(reclaimed && reclaimed.length > 0);
+}
+
+// Process a claimed event and store the outcome. Returns true on success.
+async function runStripeEvent(supabase, event) {
+    try {
+        await dispatchStripeEvent(event, supabase);
+
+        // The event is applied now - never let it look failed (a replay would apply it twice)
+        const markProcessed = () => supabase
+            .from('stripe_events')
+            .update({ status: 'processed', error: null, processed_at: new Date().toISOString() })
+            .eq('id', event.id);
+
+        const { error } = await markProcessed();
+        if (error) {
+            const { error: retryError } = await markProcessed();
+            if (retryError) {
+                console.error(`❌ Stripe event ${event.id} was applied but could not be marked processed - do not replay it:`, retryError.message);
             }
+        }
+        return true;
+
+    } catch (err) {
+        console.error(`❌ Stripe event ${event.id} (${event.type}) failed:`, err.message);
+
+        await supabase
+            .from('stripe_events')
+            .update({ status: 'failed', error: err.message, processed_at: new Date().toISOString() })
+            .eq('id', event.id);
+        return false;
+    }
+}
 
-            // Update DB using the Stripe Customer ID
-            await supabase.from('clients')
-                .update({ status: newDbStatus })
-                .eq('stripe_customer_id', stripeCustomerId);
+// ==================================================================
+// 4. EVENT HANDLERS (throw on failure so the event is marked failed)
+// ==================================================================
+async function dispatchStripeEvent(event, supabase) {
+
+    // ====================================================
+    // 1. ONE-TIME PURCHASES (Credits & New Signups)
+    // ====================================================
+    if (event.type === 'checkout.session.completed') {
+        const session = event.data.object;
+        const customerEmail = session.customer_details?.email;
+        const stripeCustomerId = session.customer;
+
+        if (customerEmail) {
+            // 1. Link the Stripe Customer ID to the user
+            const { error } = await supabase.from('clients')
+                .update({ stripe_customer_id: stripeCustomerId })
+                .eq('email', customerEmail);
+            if (error) throw error;
+
+            // 2. Add Credits or Activate
+            await handleCheckout(session, customerEmail, stripe, supabase);
         }
+    }
 
-        res.json({ received: true });
-    });
+    // ====================================================
+    // 2. SUBSCRIPTION RENEWALS (Add the plan's monthly allowance)
+    // ====================================================
+    if (event.type === 'invoice.payment_succeeded') {
+        const invoice = event.data.object;
+        const customerEmail = invoice.customer_email;
+
+        if (invoice.metadata?.auto_refill_id) {
+            await markAutoRefillPaid(supabase, invoice.metadata.auto_refill_id, invoice.id);
+        }
+        if (customerEmail) {
+            await handleInvoicePaid(invoice, customerEmail, supabase);
+        }
+    }
+
+    // ====================================================
+    // 3. FAILED PAYMENTS (Renewals & Auto-Refills)
+    // ====================================================
+    if (event.type === 'invoice.payment_failed') {
+        await handleInvoiceFailed(event.data.object, supabase);
+    }
+
+    // ====================================================
+    // 4. REFUNDS (Claw back the credits that were granted)
+    // ====================================================
+    if (event.type === 'charge.refunded') {
+        await handleChargeRefunded(event.data.object, stripe, supabase);
+    }
+
+    // ====================================================
+    // 5. THE "SOURCE OF TRUTH" (Sync Status)
+    // ====================================================
+    // Fires on: Renewal Success, Payment Failure, Cancellation, Upgrades
+    if (event.type === 'customer.subscription.updated' || event.type === 'customer.subscription.deleted') {
+        const subscription = event.data.object;
+        const stripeCustomerId = subscription.customer;
+        const stripeStatus = subscription.status; // active, past_due, canceled, unpaid
+
+        console.log(`🔄 Syncing Subscription Status: ${stripeStatus} for ${stripeCustomerId}`);
+
+        // MAP STRIPE STATUS TO OUR DB STATUS
+        // We treat 'active' and 'trialing' as ALLOWED. Everything else is BLOCKED.
+        let newDbStatus = 'inactive';
+        if (stripeStatus === 'active' || stripeStatus === 'trialing') {
+            newDbStatus = 'active';
+        }
+
+        const updates = { status: newDbStatus };
+
+        // Upgrades/downgrades: follow the plan of the subscribed product
+        if (newDbStatus === 'active') {
+            const catalog = await getPlanCatalog(supabase);
+            const plan = (subscription.items?.data || [])
+                .map(item => findPlanByProduct(catalog, getLineItemProductId(item)))
+                .find(p => p && p.kind === 'subscription');
+            if (plan) updates.plan_id = plan.id;
+        }
+
+        // Update DB using the Stripe Customer ID
+        const { error } = await supabase.from('clients')
+            .update(updates)
+            .eq('stripe_customer_id', stripeCustomerId);
+        if (error) throw error;
+    }
 }
+
 // --- INTERNAL HELPERS ---
 
+// Add credits for a Stripe object at most once per reason, so a retry after a
+// partial failure doesn't grant the part that already succeeded again.
+async function grantCreditsOnce(supabase, { clientId, delta, reason, referenceType, referenceId }) {
+    const existing = await getCreditEntriesForReference(supabase, referenceType, referenceId);
+    if (existing.some(tx => tx.reason === reason)) {
+        console.log(`   ↩️ ${reason} for ${referenceType} ${referenceId} already applied.`);
+        return null;
+    }
+    return applyCreditTransaction(supabase, { clientId, delta, reason, referenceType, referenceId });
+}
+
 async function handleCheckout(session, email, stripe, supabase) {
-    try {
-        const lineItems = await stripe.checkout.sessions.listLineItems(session.id);
-        const { data: client } = await supabase.from('clients').select('id, image_credits').eq('email', email).single();
-
-        if (client) {
-            let updateData = {};
-            for (const item of lineItems.data) {
-                if (item.price.product === CREDITS_PRODUCT_ID) {
-                    const qty = item.quantity || 1;
-                    const current = client.image_credits || 0;
-                    // Fix: Ensure we don't overwrite if multiple packs bought
-                    const base = updateData.image_credits !== undefined ? updateData.image_credits : current;
-                    updateData.image_credits = base + (300 * qty);
-                }
-                if (item.price.product === SUBSCRIPTION_PRODUCT_ID) {
-                    updateData.status = 'active';
-                }
+    const lineItems = await stripe.checkout.sessions.listLineItems(session.id);
+    const { data: client } = await supabase.from('clients').select('id').eq('email', email).single();
+
+    if (client) {
+        const catalog = await getPlanCatalog(supabase);
+        let creditsToAdd = 0;
+        let subscribedPlan = null;
+        for (const item of lineItems.data) {
+            const plan = findPlanByProduct(catalog, getLineItemProductId(item));
+            if (!plan) continue;
+
+            if (plan.kind === 'credit_pack') {
+                const qty = item.quantity || 1;
+                creditsToAdd += plan.credits_per_unit * qty; // Multiple packs add up
             }
-            if (Object.keys(updateData).length > 0) {
-                await supabase.from('clients').update(updateData).eq('id', client.id);
+            if (plan.kind === 'subscription') {
+                subscribedPlan = plan;
             }
         }
-    } catch (err) { console.error(err); }
+        if (creditsToAdd > 0) {
+            const result = await grantCreditsOnce(supabase, {
+                clientId: client.id,
+                delta: creditsToAdd,
+                reason: CREDIT_REASONS.REFILL_PURCHASE,
+                referenceType: 'stripe_checkout_session',
+                referenceId: session.id
+            });
+            if (result) console.log(`   ✅ Added ${creditsToAdd} credits to ${email} (balance ${result.balance}).`);
+        }
+        if (subscribedPlan) {
+            const { error } = await supabase.from('clients')
+                .update({ status: 'active', plan_id: subscribedPlan.id })
+                .eq('id', client.id);
+            if (error) throw error;
+        }
+    }
 }
 
 async function handleInvoicePaid(invoice, email, supabase) {
-    try {
-        const lines = invoice.lines.data;
-        const { data: client } = await supabase.from('clients').select('id, image_credits').eq('email', email).single();
-        if (!client) return;
+    const lines = invoice.lines.data;
+    const { data: client } = await supabase.from('clients').select('id').eq('email', email).single();
+    if (!client) return;
 
-        let creditsToAdd = 0;
-        let shouldActivate = false;
-
-        lines.forEach(line => {
-            // 1. Subscription Renewal (+100 Credits)
-            if (line.price.product === SUBSCRIPTION_PRODUCT_ID) {
-                creditsToAdd += 100;
-                shouldActivate = true;
-                console.log(`   🔄 Subscription Renewal Detected.`);
-            }
-            // 2. Auto-Refill Item (+300 Credits)
-            // Note: We check Product ID because Price ID might change
-            if (line.price.product === CREDITS_PRODUCT_ID) {
-                const qty = line.quantity || 1;
-                creditsToAdd += (300 * qty);
-                console.log(`   ⚡ Auto-Refill Payment Detected.`);
-            }
-        });
+    const catalog = await getPlanCatalog(supabase);
+    let grantCredits = 0;
+    let refillCredits = 0;
+    let subscribedPlan = null;
 
-        if (creditsToAdd > 0 || shouldActivate) {
-            const updateData = { image_credits: (client.image_credits || 0) + creditsToAdd };
-            if (shouldActivate) updateData.status = 'active';
+    lines.forEach(line => {
+        // Note: We match on Product ID because Price ID might change
+        const plan = findPlanByProduct(catalog, getLineItemProductId(line));
+        if (!plan) return;
 
-            await supabase.from('clients').update(updateData).eq('id', client.id);
-            console.log(`   ✅ Added ${creditsToAdd} credits to ${email}.`);
+        // 1. Subscription Renewal (+ monthly allowance)
+        if (plan.kind === 'subscription') {
+            grantCredits += plan.monthly_allowance;
+            subscribedPlan = plan;
+            console.log(`   🔄 Subscription Renewal Detected (${plan.name}).`);
         }
-    } catch (err) { console.error(err); }
+        // 2. Auto-Refill / Credit Pack Item
+        if (plan.kind === 'credit_pack') {
+            const qty = line.quantity || 1;
+            refillCredits += plan.credits_per_unit * qty;
+            console.log(`   ⚡ Auto-Refill Payment Detected (${plan.name}).`);
+        }
+    });
+
+    // Separate ledger rows so clients can tell their allowance from purchases
+    if (grantCredits > 0) {
+        await grantCreditsOnce(supabase, {
+            clientId: client.id,
+            delta: grantCredits,
+            reason: CREDIT_REASONS.SUBSCRIPTION_GRANT,
+            referenceType: 'stripe_invoice',
+            referenceId: invoice.id
+        });
+    }
+    if (refillCredits > 0) {
+        await grantCreditsOnce(supabase, {
+            clientId: client.id,
+            delta: refillCredits,
+            reason: CREDIT_REASONS.REFILL_PURCHASE,
+            referenceType: 'stripe_invoice',
+            referenceId: invoice.id
+        });
+    }
+    if (subscribedPlan) {
+        const { error } = await supabase.from('clients')
+            .update({ status: 'active', plan_id: subscribedPlan.id })
+            .eq('id', client.id);
+        if (error) throw error;
+    }
+    if (grantCredits + refillCredits > 0) {
+        console.log(`   ✅ Credited invoice ${invoice.id} for ${email}.`);
+    }
 }
+
+// Status changes for failed renewals arrive via customer.subscription.updated;
+// here we just remember the failure so the dashboard can flag it.
+async function handleInvoiceFailed(invoice, supabase) {
+    if (!invoice.customer) return;
+
+    console.log(`   ⚠️ Payment failed for invoice ${invoice.id} (${invoice.customer}).`);
+
+    const { error } = await supabase.from('clients')
+        .update({ last_payment_failed_at: new Date().toISOString(), last_failed_invoice_id: invoice.id })
+        .eq('stripe_customer_id', invoice.customer);
+    if (error) throw error;
+
+    // Usually already handled when invoices.pay() threw, but async failures (3DS, bank) land here
+    if (invoice.metadata?.auto_refill_id) {
+        await markAutoRefillFailed(supabase, invoice.metadata.auto_refill_id, invoice.last_finalization_error?.message || 'Payment failed', invoice.id);
+    }
+}
+
+// Take back the credits a refunded charge paid for (exported for tests/stripe_refund.test.js)
+export async function handleChargeRefunded(charge, stripe, supabase) {
+    const reference = await findCreditReferenceForCharge(charge, stripe);
+    if (!reference) {
+        console.log(`   ℹ️ Refunded charge ${charge.id} isn't linked to a credit purchase.`);
+        return;
+    }
+
+    const entries = await getCreditEntriesForReference(supabase, reference.type, reference.id);
+    const granted = entries
+        .filter(tx => tx.reason === CREDIT_REASONS.REFILL_PURCHASE || tx.reason === CREDIT_REASONS.SUBSCRIPTION_GRANT)
+        .reduce((sum, tx) => sum + tx.delta, 0);
+    const alreadyClawedBack = entries
+        .filter(tx => tx.reason === CREDIT_REASONS.CLAWBACK)
+        .reduce((sum, tx) => sum - tx.delta, 0);
+
+    if (granted <= 0) return;
+
+    // Partial refunds take back a matching share. amount_refunded is cumulative,
+    // so subtracting earlier clawbacks keeps repeated refunds from double-counting.
+    const refundedShare = charge.amount > 0 ? charge.amount_refunded / charge.amount : 1;
+    const owed = Math.round(granted * refundedShare) - alreadyClawedBack;
+    if (owed <= 0) return;
+
+    // Credits may already be spent - the balance is allowed to go negative
+    const { applied, balance } = await applyCreditTransaction(supabase, {
+        clientId: entries[0].client_id,
+        delta: -owed,
+        reason: CREDIT_REASONS.CLAWBACK,
+        referenceType: reference.type,
+        referenceId: reference.id,
+        note: `Refund of charge ${charge.id}`,
+        allowNegative: true
+    });
+
+    // Fail the event so a replay can retry it (the clawback above is the only write)
+    if (!applied) throw new Error(`Clawback of ${owed} credits for charge ${charge.id} was not applied`);
+
+    console.log(`   ↩️ Clawed back ${owed} credits for refunded charge ${charge.id} (balance ${balance}).`);
+}
+
+// Find the invoice or checkout session whose credits a charge paid for
+async function findCreditReferenceForCharge(charge, stripe) {
+    // Older API versions put the invoice on the charge itself
+    if (typeof charge.invoice === 'string') return { type: 'stripe_invoice', id: charge.invoice };
+
+    if (!charge.payment_intent) return null;
+
+    const invoicePayments = await stripe.invoicePayments.list({
+        payment: { type: 'payment_intent', payment_intent: charge.payment_intent },
+        limit: 1
+    });
+    const invoiceId = invoicePayments.data[0]?.invoice;
+    if (invoiceId) return { type: 'stripe_invoice', id: typeof invoiceId === 'string' ? invoiceId : invoiceId.id };
+
+    const sessions = await stripe.checkout.sessions.list({ payment_intent: charge.payment_intent, limit: 1 });
+    if (sessions.data[0]) return { type: 'stripe_checkout_session', id: sessions.data[0].id };
+
+    return null;
+}
+
 export async function createPortalSession(stripeCustomerId) {
     // This creates a temporary, secure link that logs the user into Stripe
     const session = await stripe.billingPortal.sessions.create({
@@ -1,5 +1,7 @@
 // subscription_manager.js
-import { triggerAutoRefill } from './stripe_handler.js'; 
+import { maybeAutoRefill } from './auto_refill_manager.js';
+import { applyCreditTransaction, CREDIT_REASONS } from './credit_ledger.js';
+import { getClientPlan } from './plan_catalog.js';
 
 // 1. ACCESS CHECK (Run at start of Chat)
 // This only checks if the subscription is Active. It DOES NOT charge a credit.
@@ -18,8 +20,11 @@ export async function validateClientAccess(supabase, apiKey) {
 
         // Note: We do NOT check for >0 credits here anymore. 
         // Users can chat for free even with 0 credits.
-        
-        return { allowed: true, client: client };
+
+        // Attach the plan so callers can check tier / feature limits
+        const plan = await getClientPlan(supabase, client);
+
+        return { allowed: true, client: client, plan: plan };
 
     } catch (err) {
         console.error(err);
@@ -28,41 +33,49 @@ export async function validateClientAccess(supabase, apiKey) {
 }
 
 // 2. DEDUCTION CHECK (Run only when Generating)
-// This checks for credits, deducts 1, and triggers auto-refill if low.
-export async function deductImageCredit(supabase, clientId) {
+// Takes 1 credit per render (variants) through the ledger (atomic: fails instead
+// of going below zero) and triggers auto-refill if low.
+export async function deductImageCredit(supabase, clientId, renderJobId = null, credits = 1) {
     try {
-        // Fetch fresh balance
-        const { data: client } = await supabase
-            .from('clients')
-            .select('id, image_credits, auto_replenish, stripe_customer_id')
-            .eq('id', clientId)
-            .single();
+        const { applied, balance } = await applyCreditTransaction(supabase, {
+            clientId,
+            delta: -credits,
+            reason: CREDIT_REASONS.RENDER_DEBIT,
+            referenceType: renderJobId ? 'render_job' : null,
+            referenceId: renderJobId
+        });
 
-        if (!client) return false;
+        if (!applied) return false; // Block generation
 
-        // CHECK: Do they have credits?
-        if (!client.image_credits || client.image_credits <= 0) {
-            return false; // Block generation
-        }
+        // AUTO-REFILL LOGIC (deduped, capped and cooled down inside the manager)
+        maybeAutoRefill(supabase, clientId, balance)
+            .catch(err => console.error("Auto-Refill Error:", err.message));
 
-        // CALCULATE
-        const newBalance = client.image_credits - 1;
+        return true; // Success
 
-        // AUTO-REFILL LOGIC (Moved here)
-        if (newBalance <= 5 && client.auto_replenish && client.stripe_customer_id) {
-            triggerAutoRefill(client.stripe_customer_id);
-        }
+    } catch (err) {
+        console.error("Credit Deduction Error:", err);
+        return false;
+    }
+}
 
-        // DEDUCT
-        await supabase
-            .from('clients')
-            .update({ image_credits: newBalance })
-            .eq('id', clientId);
+// 3. REFUND (Run when a paid render fails)
+// Gives back credits taken by deductImageCredit.
+export async function refundImageCredit(supabase, clientId, renderJobId = null, credits = 1) {
+    try {
+        await applyCreditTransaction(supabase, {
+            clientId,
+            delta: credits,
+            reason: CREDIT_REASONS.REFUND,
+            referenceType: renderJobId ? 'render_job' : null,
+            referenceId: renderJobId
+        });
 
-        return true; // Success
+        console.log(`↩️ Refunded ${credits} image credit(s) to client ${clientId}`);
+        return true;
 
     } catch (err) {
-        console.error("Credit Deduction Error:", err);
+        console.error("Credit Refund Error:", err);
         return false;
     }
-}
\ No newline at end of file
+}
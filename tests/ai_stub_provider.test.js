@@ -0,0 +1,62 @@
+// tests/ai_stub_provider.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { getAIProvider } from '../ai_provider.js';
+import { createStubProvider } from '../ai_stub_provider.js';
+import { resolveChatResponse } from '../chat_response_schema.js';
+import { verifyRendering } from '../render_verifier.js';
+
+// Records chat_validation_events inserts
+function fakeSupabase() {
+    const db = { events: [] };
+    db.from = () => ({ insert: async (row) => { db.events.push(row); return { error: null }; } });
+    return db;
+}
+
+// A "room": light walls with a darker window, so the similarity check has structure to compare
+async function roomPhoto() {
+    const width = 64, height = 48;
+    const pixels = Buffer.alloc(width * height * 3, 220);
+    for (let y = 12; y < 36; y++) {
+        for (let x = 20; x < 44; x++) pixels.fill(60, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+    return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg().toBuffer();
+}
+
+test('the stub is the registered "stub" provider', () => {
+    assert.equal(getAIProvider('stub').name, 'stub');
+});
+
+test('streamed stub chat replies pass validation without repair', async () => {
+    const supabase = fakeSupabase();
+    const provider = createStubProvider();
+
+    const { stream, text } = await provider.streamChat({ parts: ['Can you show me your options?'] });
+    let streamed = '';
+    for await (const chunk of stream) streamed += chunk;
+    assert.equal(streamed, await text);
+
+    const response = await resolveChatResponse(supabase, 'client-1', streamed, async () => {
+        throw new Error('repair should not be needed');
+    });
+
+    assert.match(response.reply, /Here are our options/);
+    assert.equal(response.product_suggestions.length, 1);
+    assert.equal(response.lead_data.quality_score, 1);
+    assert.deepEqual(supabase.events, []);
+});
+
+test('a stub render passes verification with the stub vision check', async () => {
+    process.env.AI_PROVIDER = 'stub';
+    const provider = createStubProvider();
+    const before = await roomPhoto();
+
+    const render = await provider.editImage({ image: { inlineData: { data: before.toString('base64'), mimeType: 'image/jpeg' } } });
+    const verdict = await verifyRendering(before, render, { promptText: 'Add white roller shades' });
+
+    assert.equal(verdict.accepted, true);
+    assert.equal(verdict.unverified, false);
+    assert.ok(verdict.ssim >= 0.5);
+    assert.equal(verdict.vision.treatment_visible, true);
+});
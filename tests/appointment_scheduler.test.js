@@ -0,0 +1,219 @@
+// tests/appointment_scheduler.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_BOOKING_SETTINGS, bookAppointment, buildAppointmentIcs, getBookingSettings, getOpenSlots, validateBookingSettings
+} from '../appointment_scheduler.js';
+
+const CONVERSATION_ID = '3f1c2a9e-8d4b-4e6f-9a2b-1c3d5e7f9a0b';
+const NOW = new Date('2026-03-06T13:30:00Z'); // Friday 8:30 EST; DST starts Sunday March 8
+
+const SETTINGS = {
+    enabled: true,
+    timezone: 'America/New_York',
+    slot_minutes: 60,
+    buffer_minutes: 30,
+    min_notice_hours: 0,
+    days_ahead: 3,
+    weekly: { mon: [], tue: [], wed: [], thu: [], fri: [['09:00', '12:00']], sat: [['09:00', '10:00']], sun: [['09:00', '10:00']] },
+    blackout_dates: []
+};
+
+// Just enough of the Supabase client: `booked` is what the appointments query returns,
+// `rpc` answers book_appointment
+function fakeSupabase({ booked = [], rpc = null } = {}) {
+    const calls = { rpc: [] };
+
+    return {
+        calls,
+        from(table) {
+            const builder = {
+                then: (resolve) => resolve({ data: table === 'appointments' ? booked : null, error: null })
+            };
+            for (const method of ['select', 'eq', 'gte', 'lte', 'order', 'limit', 'single', 'maybeSingle', 'update', 'insert']) {
+                builder[method] = () => builder;
+            }
+            return builder;
+        },
+        async rpc(name, params) {
+            calls.rpc.push({ name, params });
+            return { data: rpc ? rpc(params) : null, error: null };
+        }
+    };
+}
+
+const slotsFor = (settings, options = {}) =>
+    getOpenSlots(fakeSupabase(options), { id: 1, booking_settings: { ...SETTINGS, ...settings } }, { now: options.now || NOW });
+
+const starts = (slots) => slots.map(s => s.start);
+
+// ==================================================================
+// SLOTS
+// ==================================================================
+test('slots follow wall-clock hours across the DST change', async () => {
+    assert.deepEqual(starts(await slotsFor({})), [
+        '2026-03-06T14:00:00.000Z', // Fri 9:00 EST
+        '2026-03-06T15:30:00.000Z', // Fri 10:30 (60 min + 30 min buffer)
+        '2026-03-07T14:00:00.000Z', // Sat 9:00 EST
+        '2026-03-08T13:00:00.000Z'  // Sun 9:00 EDT
+    ]);
+
+    // And back in November (DST ends Sunday November 1)
+    const fall = await slotsFor({}, { now: new Date('2026-10-30T12:00:00Z') });
+    assert.ok(starts(fall).includes('2026-10-31T13:00:00.000Z')); // Sat 9:00 EDT
+    assert.ok(starts(fall).includes('2026-11-01T14:00:00.000Z')); // Sun 9:00 EST
+});
+
+test('slot labels are in the client timezone', async () => {
+    const [first] = await slotsFor({});
+    assert.equal(first.label, 'Fri, Mar 6, 9:00 AM EST');
+    assert.equal(first.end, '2026-03-06T15:00:00.000Z');
+});
+
+test('blackout dates, minimum notice and the days_ahead horizon', async () => {
+    assert.ok(!starts(await slotsFor({ blackout_dates: ['2026-03-07'] })).some(s => s.startsWith('2026-03-07')));
+
+    // 2 hours from 13:30Z: 14:00 is too soon, 15:30 is just in time
+    assert.deepEqual(starts(await slotsFor({ min_notice_hours: 2 })).slice(0, 1), ['2026-03-06T15:30:00.000Z']);
+
+    // Today and tomorrow only
+    assert.deepEqual(starts(await slotsFor({ days_ahead: 1 })), [
+        '2026-03-06T14:00:00.000Z', '2026-03-06T15:30:00.000Z', '2026-03-07T14:00:00.000Z'
+    ]);
+});
+
+test('booked appointments block their slot plus the buffer on both sides', async () => {
+    // 14:30-15:30Z busy -> 14:00-16:00Z with the buffer: both Friday slots overlap it
+    const booked = [{ starts_at: '2026-03-06T14:30:00Z', ends_at: '2026-03-06T15:30:00Z' }];
+    assert.deepEqual(starts(await slotsFor({}, { booked })).slice(0, 1), ['2026-03-07T14:00:00.000Z']);
+
+    // Ends exactly where the buffer before 15:30 starts -> that slot stays open
+    const earlier = [{ starts_at: '2026-03-06T13:00:00Z', ends_at: '2026-03-06T14:00:00Z' }];
+    assert.deepEqual(starts(await slotsFor({}, { booked: earlier })).slice(0, 1), ['2026-03-06T15:30:00.000Z']);
+});
+
+test('no slots while booking is off', async () => {
+    assert.deepEqual(await slotsFor({ enabled: false }), []);
+});
+
+// ==================================================================
+// SETTINGS
+// ==================================================================
+test('validateBookingSettings accepts a partial update and keeps the rest', () => {
+    const current = getBookingSettings({});
+    const { error, settings } = validateBookingSettings({
+        enabled: true,
+        timezone: 'America/Chicago',
+        slot_minutes: 90,
+        weekly: { sat: [] },
+        blackout_dates: ['2026-12-25', '2026-01-01', '2026-12-25']
+    }, current);
+
+    assert.equal(error, null);
+    assert.equal(settings.timezone, 'America/Chicago');
+    assert.equal(settings.slot_minutes, 90);
+    assert.deepEqual(settings.weekly.sat, []);
+    assert.deepEqual(settings.weekly.mon, DEFAULT_BOOKING_SETTINGS.weekly.mon);
+    assert.deepEqual(settings.blackout_dates, ['2026-01-01', '2026-12-25']);
+    assert.equal(current.enabled, false); // Input settings aren't modified
+});
+
+test('validateBookingSettings rejects bad values', () => {
+    const current = getBookingSettings({});
+    const rejects = (input) => assert.notEqual(validateBookingSettings(input, current).error, null, JSON.stringify(input));
+
+    rejects({ colour: 'blue' });
+    rejects({ enabled: 'yes' });
+    rejects({ timezone: 'Mars/Olympus' });
+    rejects({ slot_minutes: 5 });
+    rejects({ buffer_minutes: 30.5 });
+    rejects({ days_ahead: 91 });
+    rejects({ weekly: { funday: [] } });
+    rejects({ weekly: { mon: [['17:00', '09:00']] } });
+    rejects({ weekly: { mon: [['9:00', '17:00']] } });
+    rejects({ weekly: { mon: [['08:00', '09:00'], ['10:00', '11:00'], ['12:00', '13:00'], ['14:00', '15:00'], ['16:00', '17:00']] } });
+    rejects({ blackout_dates: ['25/12/2026'] });
+    rejects({ blackout_dates: '2026-12-25' });
+});
+
+// ==================================================================
+// CALENDAR INVITE
+// ==================================================================
+test('invite text is escaped and lines are folded at 75 octets', () => {
+    const ics = buildAppointmentIcs({
+        id: 'appt-1',
+        created_at: '2026-03-01T10:00:00Z',
+        starts_at: '2026-03-06T14:00:00Z',
+        ends_at: '2026-03-06T15:00:00Z',
+        status: 'booked',
+        customer_name: 'Smith, Jo; "JJ" \\ test',
+        customer_phone: '555-0100',
+        customer_address: '12 Rue de l\'Église, Apartment 4, Montréal-Nord, Québec - ring twice at the side door\nthen wait'
+    }, { company_name: 'Acme Blinds', email: 'owner@acme.test' });
+
+    const lines = ics.split('\r\n');
+    assert.equal(lines.at(-1), '');
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75), 'every line fits in 75 octets');
+    assert.ok(lines.some(line => line.startsWith(' ')), 'long lines continue on the next line');
+
+    const unfolded = ics.replace(/\r\n /g, '');
+    assert.ok(unfolded.includes('DTSTART:20260306T140000Z'));
+    assert.ok(unfolded.includes('DESCRIPTION:In-home consultation with Acme Blinds.\\nCustomer: Smith\\, Jo\\; "JJ" \\\\ test\\nPhone: 555-0100'));
+    assert.ok(unfolded.includes('LOCATION:12 Rue de l\'Église\\, Apartment 4\\, Montréal-Nord\\, Québec - ring twice at the side door\\nthen wait'));
+    assert.ok(unfolded.includes('ORGANIZER;CN=Acme Blinds:mailto:owner@acme.test'));
+    assert.ok(unfolded.includes('STATUS:CONFIRMED'));
+});
+
+// ==================================================================
+// BOOKING
+// ==================================================================
+// Booking looks up slots from the real clock, so these use the default weekly hours
+const client = { id: 1, company_name: 'Acme Blinds', booking_settings: { enabled: true, min_notice_hours: 0 } };
+const lead = { id: 7, customer_name: 'Pat', customer_phone: '555-0100', stage: 'new' };
+const nextSlot = async () => (await getOpenSlots(fakeSupabase(), client))[0];
+
+test('a lead with an upcoming booking is not booked again', async () => {
+    const slot = await nextSlot();
+    const existing = { id: 'appt-1', lead_id: 7, status: 'booked', starts_at: slot.start, ends_at: slot.end };
+    const supabase = fakeSupabase({ rpc: () => ({ outcome: 'already_booked', appointment: existing }) });
+
+    const result = await bookAppointment(supabase, client, { start: slot.start, lead, conversationId: CONVERSATION_ID });
+
+    assert.equal(result.error, 'already_booked');
+    assert.equal(result.existing.id, 'appt-1');
+    assert.equal(result.existing.label, slot.label);
+    assert.equal(supabase.calls.rpc[0].name, 'book_appointment');
+    assert.equal(supabase.calls.rpc[0].params.p_lead_id, 7);
+    assert.equal(supabase.calls.rpc[0].params.p_conversation_id, CONVERSATION_ID);
+});
+
+test('a slot taken a moment ago is unavailable', async () => {
+    const slot = await nextSlot();
+    const supabase = fakeSupabase({ rpc: () => ({ outcome: 'unavailable' }) });
+
+    const result = await bookAppointment(supabase, client, { start: slot.start, lead, conversationId: CONVERSATION_ID });
+    assert.equal(result.error, 'unavailable');
+});
+
+test('without an upcoming booking the slot is booked', async () => {
+    const slot = await nextSlot();
+    const supabase = fakeSupabase({
+        rpc: (params) => ({ outcome: 'booked', appointment: { id: 'appt-new', lead_id: params.p_lead_id, starts_at: params.p_starts_at, ends_at: params.p_ends_at, status: 'booked' } })
+    });
+
+    const result = await bookAppointment(supabase, client, { start: slot.start, lead, conversationId: CONVERSATION_ID });
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.appointment.lead_id, 7);
+    assert.equal(result.appointment.starts_at, slot.start);
+    assert.deepEqual(supabase.calls.rpc[0].params.p_customer, { name: 'Pat', email: null, phone: '555-0100', address: null });
+});
+
+test('a lead without contact details is asked for them first', async () => {
+    const slot = await nextSlot();
+    const supabase = fakeSupabase();
+
+    const result = await bookAppointment(supabase, client, { start: slot.start, lead: { id: 8, customer_name: 'Sam' } });
+    assert.equal(result.error, 'contact');
+    assert.equal(supabase.calls.rpc.length, 0);
+});
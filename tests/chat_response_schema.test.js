@@ -0,0 +1,137 @@
+// tests/chat_response_schema.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FALLBACK_REPLY, resolveChatResponse, validateChatResponse } from '../chat_response_schema.js';
+
+// Records chat_validation_events inserts
+function fakeSupabase() {
+    const db = { events: [] };
+    db.from = () => ({ insert: async (row) => { db.events.push(row); return { error: null }; } });
+    return db;
+}
+
+const CLEAN = {
+    reply: 'Happy to help!',
+    product_suggestions: [],
+    visualize: false,
+    selected_product_name: null,
+    lead_data: { name: 'Pat', quality_score: 4 },
+    window_specs: null
+};
+
+test('a clean answer has no issues', () => {
+    const { value, issues, fatal } = validateChatResponse(JSON.stringify(CLEAN));
+
+    assert.equal(fatal, false);
+    assert.deepEqual(issues, []);
+    assert.equal(value.reply, 'Happy to help!');
+    assert.equal(value.lead_data.name, 'Pat');
+    assert.equal(value.lead_data.phone, null);
+});
+
+test('malformed JSON is fatal, fenced JSON is unwrapped', () => {
+    assert.deepEqual(validateChatResponse('{"reply": "Hi",'), { value: null, issues: ['invalid json'], fatal: true });
+    assert.equal(validateChatResponse('Sure!').fatal, true);
+    assert.equal(validateChatResponse('[1, 2]').fatal, true);
+
+    const fenced = validateChatResponse('```json\n' + JSON.stringify(CLEAN) + '\n```');
+    assert.equal(fenced.fatal, false);
+    assert.deepEqual(fenced.issues, ['json wrapped in extra text']);
+});
+
+test('a missing or empty reply is fatal', () => {
+    const { reply, ...noReply } = CLEAN;
+    assert.deepEqual(validateChatResponse(noReply).issues, ['missing reply']);
+    assert.equal(validateChatResponse({ ...CLEAN, reply: '   ' }).fatal, true);
+});
+
+test('wrong types are coerced and reported', () => {
+    const { value, issues, fatal } = validateChatResponse({
+        ...CLEAN,
+        reply: 42,
+        product_suggestions: { name: 'trigger' },
+        visualize: 'true',
+        show_slots: 'no',
+        selected_product_name: 7,
+        lead_data: { name: 'N/A', phone: ' 555-0100 ', quality_score: '7' },
+        window_specs: { width_in: '36 in', height_in: 'tall', room_type: 'null' }
+    });
+
+    assert.equal(fatal, false);
+    assert.equal(value.reply, '42');
+    assert.deepEqual(value.product_suggestions, [{ name: 'trigger' }]);
+    assert.equal(value.visualize, true);
+    assert.equal(value.show_slots, false);
+    assert.equal(value.selected_product_name, '7');
+    assert.equal(value.lead_data.name, null);
+    assert.equal(value.lead_data.phone, '555-0100');
+    assert.equal(value.lead_data.quality_score, 7);
+    assert.deepEqual(value.window_specs, { room_type: null, width_in: 36, height_in: null, mount_depth_in: null });
+    assert.deepEqual(issues, [
+        'reply not a string',
+        'product_suggestions not an array',
+        'visualize not a boolean',
+        'selected_product_name not a string',
+        'show_slots not a boolean',
+        'quality_score not a number'
+    ]);
+});
+
+test('quality_score is rounded and clamped to 1-10', () => {
+    const score = (quality_score) => validateChatResponse({ ...CLEAN, lead_data: { quality_score } }).value.lead_data.quality_score;
+
+    assert.equal(score(0), 1);
+    assert.equal(score(-3), 1);
+    assert.equal(score(6.6), 7);
+    assert.equal(score(42), 10);
+    assert.equal(score('high'), null);
+    assert.equal(score(null), null);
+});
+
+test('missing or malformed optional sections are reported, not fatal', () => {
+    const { lead_data, ...noLead } = CLEAN;
+    const missing = validateChatResponse(noLead);
+    assert.equal(missing.fatal, false);
+    assert.equal(missing.value.lead_data, null);
+    assert.deepEqual(missing.issues, ['missing lead_data']);
+
+    const wrong = validateChatResponse({ ...CLEAN, lead_data: 'Pat', window_specs: [36, 48] });
+    assert.equal(wrong.value.lead_data, null);
+    assert.equal(wrong.value.window_specs, null);
+    assert.deepEqual(wrong.issues, ['lead_data not an object', 'window_specs not an object']);
+
+    const defaults = validateChatResponse({ reply: 'Hi', lead_data: null });
+    assert.deepEqual(defaults.issues, []);
+    assert.deepEqual(defaults.value.product_suggestions, []);
+    assert.equal(defaults.value.visualize, false);
+    assert.equal(defaults.value.booking_slot, null);
+});
+
+test('an unusable answer is repaired once', async () => {
+    const supabase = fakeSupabase();
+    const prompts = [];
+
+    const response = await resolveChatResponse(supabase, 'client-1', 'not json', async (prompt) => {
+        prompts.push(prompt);
+        return JSON.stringify(CLEAN);
+    });
+
+    assert.equal(response.reply, 'Happy to help!');
+    assert.equal(prompts.length, 1);
+    assert.match(prompts[0], /invalid json/);
+    assert.equal(supabase.events[0].outcome, 'repaired');
+});
+
+test('the visitor gets the fallback reply when the repair fails too', async () => {
+    const supabase = fakeSupabase();
+
+    const response = await resolveChatResponse(supabase, 'client-1', '{"reply": ""}', async () => 'still not json');
+    assert.equal(response.reply, FALLBACK_REPLY);
+    assert.equal(response.lead_data, null);
+    assert.equal(response.visualize, false);
+    assert.deepEqual(supabase.events[0].issues, ['missing reply', 'invalid json']);
+
+    const thrown = await resolveChatResponse(supabase, 'client-1', 'nope', async () => { throw new Error('model down'); });
+    assert.equal(thrown.reply, FALLBACK_REPLY);
+    assert.deepEqual(supabase.events[1].issues, ['invalid json', 'repair request failed']);
+});
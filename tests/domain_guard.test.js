@@ -0,0 +1,44 @@
+// tests/domain_guard.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireAllowedOrigin } from '../domain_guard.js';
+
+// Counts client lookups; every key is unknown
+function fakeSupabase() {
+    const db = { lookups: 0 };
+    db.from = () => ({
+        select: () => ({
+            eq: () => ({
+                maybeSingle: async () => {
+                    db.lookups++;
+                    return { data: null };
+                }
+            })
+        })
+    });
+    return db;
+}
+
+async function request(middleware, apiKey) {
+    let passed = false;
+    await middleware({ params: { apiKey }, body: {} }, {}, () => { passed = true; });
+    assert.equal(passed, true);
+}
+
+test('unknown widget keys are cached, but only up to the limit', async () => {
+    const supabase = fakeSupabase();
+    const guard = requireAllowedOrigin(supabase);
+
+    await request(guard, 'random-key-0');
+    await request(guard, 'random-key-0');
+    assert.equal(supabase.lookups, 1);
+
+    for (let i = 1; i <= 1000; i++) await request(guard, `random-key-${i}`);
+    assert.equal(supabase.lookups, 1001);
+
+    await request(guard, 'random-key-1000'); // Newest is still cached
+    assert.equal(supabase.lookups, 1001);
+
+    await request(guard, 'random-key-0'); // Oldest was evicted
+    assert.equal(supabase.lookups, 1002);
+});
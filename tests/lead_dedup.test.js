@@ -0,0 +1,100 @@
+// tests/lead_dedup.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMatchingLead, nameSimilarity, normalizeEmail, normalizePhone } from '../lead_dedup.js';
+
+// leads table with the filters findMatchingLead uses (.gte on last_updated is ignored - every row is recent)
+function fakeSupabase(rows) {
+    const query = (filters = []) => ({
+        select: () => query(filters),
+        eq: (column, value) => query([...filters, row => row[column] === value]),
+        neq: (column, value) => query([...filters, row => row[column] !== value]),
+        gte: () => query(filters),
+        order: () => query(filters),
+        limit: async (n) => ({ data: rows.filter(row => filters.every(f => f(row))).slice(0, n), error: null }),
+        single: async () => ({ data: rows.find(row => filters.every(f => f(row))) || null, error: null })
+    });
+    return { from: () => query() };
+}
+
+test('phones are normalized to E.164', () => {
+    assert.equal(normalizePhone('(555) 123-4567'), '+15551234567');
+    assert.equal(normalizePhone('555.123.4567'), '+15551234567');
+    assert.equal(normalizePhone('1 555 123 4567'), '+15551234567');   // 11 digits with the country code
+    assert.equal(normalizePhone('+1 (555) 123-4567'), '+15551234567');
+    assert.equal(normalizePhone('+44 20 7946 0958'), '+442079460958');
+    assert.equal(normalizePhone('0044 20 7946 0958'), '+442079460958'); // 00 international prefix
+});
+
+test('phone extensions are dropped', () => {
+    assert.equal(normalizePhone('555-123-4567 ext 2'), '+15551234567');
+    assert.equal(normalizePhone('555-123-4567 ext. 12'), '+15551234567');
+    assert.equal(normalizePhone('(555) 123-4567 x305'), '+15551234567');
+    assert.equal(normalizePhone('555 123 4567 extension 9'), '+15551234567');
+});
+
+test('numbers that cannot be complete are rejected', () => {
+    assert.equal(normalizePhone('123-4567'), null);        // No area code
+    assert.equal(normalizePhone('2 555 123 4567'), null);  // 11 digits, not a +1 number
+    assert.equal(normalizePhone('+1234567'), null);        // Too short
+    assert.equal(normalizePhone('+1234567890123456'), null); // Too long
+    assert.equal(normalizePhone(''), null);
+    assert.equal(normalizePhone(null), null);
+});
+
+test('emails are trimmed and lowercased', () => {
+    assert.equal(normalizeEmail('  Pat.Lee@Example.COM '), 'pat.lee@example.com');
+    assert.equal(normalizeEmail('mailto:pat@example.com'), 'pat@example.com');
+    assert.equal(normalizeEmail('pat@example'), null);
+    assert.equal(normalizeEmail('pat lee@example.com'), null);
+    assert.equal(normalizeEmail(''), null);
+});
+
+test('name similarity tolerates typos, order and initials', () => {
+    assert.equal(nameSimilarity('John Smith', ' john  SMITH '), 1);
+    assert.equal(nameSimilarity('Smith, John', 'John Smith'), 1);
+    assert.equal(nameSimilarity('José Núñez', 'Jose Nunez'), 1);
+    assert.equal(nameSimilarity('J. Smith', 'John Smith'), 0.9);
+    assert.ok(nameSimilarity('Jon Smith', 'John Smith') >= 0.85);
+});
+
+test('different people stay below the match threshold', () => {
+    assert.ok(nameSimilarity('John Smith', 'Jane Smith') < 0.85);
+    assert.ok(nameSimilarity('J. Smith', 'John Smyth') < 0.85);
+    assert.equal(nameSimilarity('J. Smith', 'K. Smith'), 0); // Different initial
+    assert.equal(nameSimilarity('', 'John Smith'), 0);
+});
+
+test('a fuzzy match needs a similar name and a shared address or phone', async () => {
+    const supabase = fakeSupabase([
+        { id: 1, client_id: 'c1', customer_name: 'John Smith', customer_phone: '555-123-4567', customer_address: '12 Oak Street', email_normalized: null, phone_e164: null },
+        { id: 2, client_id: 'c1', customer_name: 'Kate Smith', customer_phone: null, customer_address: '40 Elm Road', email_normalized: 'kate@example.com', phone_e164: null }
+    ]);
+
+    const byAddress = await findMatchingLead(supabase, 'c1', { name: 'J. Smith', address: '12 oak st' });
+    assert.equal(byAddress.lead.id, 1);
+    assert.equal(byAddress.reason, 'name');
+
+    const byDigits = await findMatchingLead(supabase, 'c1', { name: 'Jon Smith', phone: '123-4567' });
+    assert.equal(byDigits.lead.id, 1);
+
+    assert.equal(await findMatchingLead(supabase, 'c1', { name: 'J. Smith', address: '99 Pine Ave' }), null); // Nothing else shared
+    assert.equal(await findMatchingLead(supabase, 'c1', { name: 'K. Smith', address: '12 Oak Street' }), null); // Different initial
+    assert.equal(await findMatchingLead(supabase, 'c1', { name: 'Kate Smith', address: '40 Elm Road', email: 'k@example.org' }), null); // Conflicting email
+});
+
+test('an exact email or phone match wins over the name', async () => {
+    const supabase = fakeSupabase([
+        { id: 1, client_id: 'c1', customer_name: 'Pat Lee', email_normalized: 'pat@example.com', phone_e164: null },
+        { id: 2, client_id: 'c1', customer_name: 'Someone Else', email_normalized: null, phone_e164: '+15551234567' },
+        { id: 3, client_id: 'c2', customer_name: 'Pat Lee', email_normalized: 'pat@example.com', phone_e164: null }
+    ]);
+
+    const byEmail = await findMatchingLead(supabase, 'c1', { name: 'Pat Lee', email: ' PAT@example.com' });
+    assert.deepEqual([byEmail.lead.id, byEmail.reason], [1, 'email']);
+
+    const byPhone = await findMatchingLead(supabase, 'c1', { name: 'Pat Lee', phone: '1 (555) 123-4567 ext 4' });
+    assert.deepEqual([byPhone.lead.id, byPhone.reason], [2, 'phone']);
+
+    assert.equal(await findMatchingLead(supabase, 'c1', { email: 'pat@example.com' }, { excludeId: 1 }), null);
+});
@@ -0,0 +1,77 @@
+// tests/lead_webhooks.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createGuardedLookup, isBlockedAddress, postWebhook, validateWebhookUrl } from '../lead_webhooks.js';
+
+// dns.lookup stand-in that answers every name with `address` (both callback shapes)
+const stubLookup = (address) => (hostname, options, callback) => {
+    const family = address.includes(':') ? 6 : 4;
+    if (options?.all) return callback(null, [{ address, family }]);
+    callback(null, address, family);
+};
+
+test('private, loopback, link-local and unspecified addresses are blocked', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+        '0.0.0.0', '::', '::1', 'fe80::1', 'fd00::1', 'ff02::1']) {
+        assert.equal(isBlockedAddress(address), true, address);
+    }
+});
+
+test('IPv4-mapped and NAT64 forms are checked as IPv4', () => {
+    for (const address of ['::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', '64:ff9b::a00:1', '::7f00:1']) {
+        assert.equal(isBlockedAddress(address), true, address);
+    }
+    assert.equal(isBlockedAddress('::ffff:8.8.8.8'), false);
+});
+
+test('public addresses pass', () => {
+    for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700::1111']) assert.equal(isBlockedAddress(address), false, address);
+    assert.equal(isBlockedAddress('example.com'), true); // Not an IP
+});
+
+test('validateWebhookUrl rejects IP literals in any notation', () => {
+    for (const url of ['https://[::ffff:127.0.0.1]/', 'https://[::]/', 'https://[fe80::1]/', 'https://0x7f000001/', 'https://localhost/']) {
+        assert.equal(validateWebhookUrl(url), 'url must be a public address', url);
+    }
+    assert.equal(validateWebhookUrl('https://hooks.example.com/leads'), null);
+});
+
+test('a name that resolves to a private address is refused when connecting', async () => {
+    for (const address of ['169.254.169.254', '10.0.0.5', '::ffff:127.0.0.1']) {
+        await assert.rejects(
+            postWebhook('https://hooks.example.com/leads', { headers: {}, body: '{}', lookup: createGuardedLookup(stubLookup(address)) }),
+            { message: `url resolves to a non-public address (${address})` }
+        );
+    }
+});
+
+test('the guarded lookup passes public answers through unchanged', async () => {
+    const lookup = createGuardedLookup(stubLookup('93.184.216.34'));
+    const answer = await new Promise((resolve, reject) => {
+        lookup('hooks.example.com', { all: true }, (err, addresses) => err ? reject(err) : resolve(addresses));
+    });
+    assert.deepEqual(answer, [{ address: '93.184.216.34', family: 4 }]);
+});
+
+test('the request connects to the address the lookup vetted', async () => {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => res.end(`got ${req.headers.host} ${body}`));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://hooks.example.com:${server.address().port}/leads`;
+
+    try {
+        // Same name, same server: refused when the answer is loopback...
+        await assert.rejects(postWebhook(url, { headers: {}, body: '{}', lookup: createGuardedLookup(stubLookup('127.0.0.1')) }));
+
+        // ...and delivered there when the lookup isn't guarded (ALLOW_LOCAL_WEBHOOKS)
+        const response = await postWebhook(url, { headers: {}, body: '{"ok":true}', lookup: stubLookup('127.0.0.1') });
+        assert.equal(response.status, 200);
+        assert.equal(response.text, `got hooks.example.com:${server.address().port} {"ok":true}`);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,63 @@
+// tests/leads_manager.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMergedLead } from '../leads_manager.js';
+
+const turn = (role, text) => ({ role, parts: [{ text }] });
+const FIRST = [turn('user', 'Hi'), turn('model', 'Hello! How can I help?')];
+const CONTINUED = [...FIRST, turn('user', 'Do you have blackout shades?'), turn('model', 'We do.')];
+const OTHER = [turn('user', 'Back again about my quote')];
+
+const lead = (fields) => ({ customer_name: null, stage: 'new', last_updated: '2026-01-01T00:00:00Z', ...fields });
+const transcriptOf = (merged) => JSON.parse(merged.full_transcript);
+
+test('the lead that got further keeps its stage', () => {
+    assert.equal(buildMergedLead(lead({ stage: 'new' }), lead({ stage: 'quoted' })).stage, 'quoted');
+    assert.equal(buildMergedLead(lead({ stage: 'booked' }), lead({ stage: 'quoted' })).stage, 'booked'); // keep wins once past 'new'
+    assert.equal(buildMergedLead(lead({ stage: null }), lead({ stage: 'contacted' })).stage, 'contacted');
+    assert.equal(buildMergedLead(lead({ stage: 'new' }), lead({ stage: null })).stage, 'new');
+});
+
+test('keep wins on conflicting contact fields, drop fills the gaps', () => {
+    const merged = buildMergedLead(
+        lead({ customer_name: 'Pat Lee', customer_email: null, customer_phone: '555-123-4567', quality_score: 3 }),
+        lead({ customer_name: 'Patricia Lee', customer_email: ' Pat@Example.com', customer_phone: '555-999-0000', quality_score: 8 })
+    );
+
+    assert.equal(merged.customer_name, 'Pat Lee');
+    assert.equal(merged.customer_email, ' Pat@Example.com');
+    assert.equal(merged.email_normalized, 'pat@example.com');
+    assert.equal(merged.phone_e164, '+15551234567');
+    assert.equal(merged.quality_score, 8);
+});
+
+test('a transcript that continues the other one replaces it', () => {
+    const older = lead({ full_transcript: JSON.stringify(FIRST), last_updated: '2026-01-01T00:00:00Z' });
+    const newer = lead({ full_transcript: CONTINUED, last_updated: '2026-01-02T00:00:00Z' });
+
+    assert.deepEqual(transcriptOf(buildMergedLead(newer, older)), CONTINUED);
+    assert.deepEqual(transcriptOf(buildMergedLead(older, newer)), CONTINUED);
+});
+
+test('separate conversations are joined oldest first', () => {
+    const older = lead({ full_transcript: FIRST, last_updated: '2026-01-01T00:00:00Z' });
+    const newer = lead({ full_transcript: OTHER, last_updated: '2026-01-02T00:00:00Z' });
+
+    assert.deepEqual(transcriptOf(buildMergedLead(newer, older)), [...FIRST, ...OTHER]);
+    assert.deepEqual(transcriptOf(buildMergedLead(older, newer)), [...FIRST, ...OTHER]);
+});
+
+test('unreadable or empty transcripts are skipped', () => {
+    assert.deepEqual(transcriptOf(buildMergedLead(lead({ full_transcript: 'not json' }), lead({ full_transcript: FIRST }))), FIRST);
+    assert.equal(buildMergedLead(lead({ full_transcript: null }), lead({ full_transcript: '' })).full_transcript, null);
+});
+
+test('galleries are merged without duplicates', () => {
+    const merged = buildMergedLead(
+        lead({ customer_images: ['https://cdn.example/a.jpg'], ai_rendering_url: null }),
+        lead({ customer_images: '["https://cdn.example/a.jpg","https://cdn.example/b.jpg"]', ai_rendering_url: 'https://cdn.example/r.png' })
+    );
+
+    assert.deepEqual(merged.customer_images, ['https://cdn.example/a.jpg', 'https://cdn.example/b.jpg']);
+    assert.deepEqual(merged.ai_rendering_url, ['https://cdn.example/r.png']);
+});
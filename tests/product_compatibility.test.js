@@ -0,0 +1,61 @@
+// tests/product_compatibility.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRestrictions } from '../product_compatibility.js';
+
+const limits = (text) => {
+    const { excluded_rooms, excluded_window_types, ...rest } = parseRestrictions(text);
+    return Object.fromEntries(Object.entries(rest).filter(([, value]) => value !== null));
+};
+
+test('abbreviated min/max keep their clause', () => {
+    assert.deepEqual(limits('Min. width 12 inches'), { min_width_in: 12 });
+    assert.deepEqual(limits('Max. width 96"'), { max_width_in: 96 });
+    assert.deepEqual(limits('Min. width 12 inches. Max. height 84 in.'), { min_width_in: 12, max_height_in: 84 });
+});
+
+test('over / wider than / under', () => {
+    assert.deepEqual(limits('Not suitable for windows over 120 inches wide'), { max_width_in: 120 });
+    assert.deepEqual(limits('Not for windows wider than 8 feet'), { max_width_in: 96 });
+    assert.deepEqual(limits('For windows under 96 inches tall'), { max_height_in: 96 });
+    assert.deepEqual(limits('Not for windows narrower than 18 inches'), { min_width_in: 18 });
+    assert.deepEqual(limits('Only for windows over 24 inches wide'), { min_width_in: 24 });
+    assert.deepEqual(limits('No more than 8 feet wide'), { max_width_in: 96 });
+    assert.deepEqual(limits('Height not to exceed 240 cm'), { max_height_in: 94.5 });
+});
+
+test('ranges set both ends', () => {
+    assert.deepEqual(limits('Width 24-96 inches'), { min_width_in: 24, max_width_in: 96 });
+    assert.deepEqual(limits('Heights from 2 to 8 feet'), { min_height_in: 24, max_height_in: 96 });
+    assert.deepEqual(limits('Available between 18 and 72 inches wide'), { min_width_in: 18, max_width_in: 72 });
+});
+
+test('existing forms still parse', () => {
+    assert.deepEqual(limits('Max width 96 inches'), { max_width_in: 96 });
+    assert.deepEqual(limits('Requires 3 inch depth'), { min_mount_depth_in: 3 });
+    assert.deepEqual(limits('Max size 120 x 96'), { max_width_in: 120, max_height_in: 96 });
+    assert.deepEqual(limits('Max width 10.5 ft'), { max_width_in: 126 });
+    assert.deepEqual(parseRestrictions('Not for humid areas').excluded_rooms, { bathroom: 'humid areas', kitchen: 'humid areas' });
+});
+
+test('a room is only excluded when the negation governs it', () => {
+    const excluded = (text) => parseRestrictions(text).excluded_rooms;
+
+    assert.deepEqual(excluded('Cordless, no cords - safe for nurseries'), {});
+    assert.deepEqual(excluded('No cords - safe for nurseries'), {});
+    assert.deepEqual(excluded('Not cordless - great for kitchens'), {});
+    assert.deepEqual(excluded('Not suitable for bathrooms'), { bathroom: 'bathrooms' });
+    assert.deepEqual(excluded('Not recommended for use in kitchens'), { kitchen: 'kitchens' });
+    assert.deepEqual(excluded('Avoid humid rooms'), { bathroom: 'humid areas', kitchen: 'humid areas' });
+    assert.deepEqual(excluded('Safe for nurseries, not for bathrooms'), { bathroom: 'bathrooms' });
+    assert.deepEqual(parseRestrictions('No cords, ideal for sliding doors').excluded_window_types, {});
+    assert.deepEqual(parseRestrictions('Not for sliding doors').excluded_window_types, { sliding_door: 'sliding doors' });
+});
+
+test('mixed fractions', () => {
+    assert.deepEqual(limits('Requires 2 1/2 inch depth'), { min_mount_depth_in: 2.5 });
+    assert.deepEqual(limits('Requires 2-1/2" mounting depth'), { min_mount_depth_in: 2.5 });
+    assert.deepEqual(limits('Minimum depth 3/4 inch'), { min_mount_depth_in: 0.8 });
+    assert.deepEqual(limits('Max width 96 1/4 inches'), { max_width_in: 96.3 });
+    assert.deepEqual(limits('Width 24-96 inches'), { min_width_in: 24, max_width_in: 96 });
+});
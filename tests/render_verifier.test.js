@@ -0,0 +1,21 @@
+// tests/render_verifier.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAIProvider } from '../ai_provider.js';
+import { verifyRendering } from '../render_verifier.js';
+
+test('a render neither check could look at is not accepted', async () => {
+    registerAIProvider('unreachable', () => ({
+        name: 'unreachable',
+        analyzeImages: async () => { throw new Error('vision model unreachable'); }
+    }));
+    process.env.AI_PROVIDER = 'unreachable';
+
+    // Not images, so the similarity check fails too
+    const verdict = await verifyRendering(Buffer.from('not an image'), Buffer.from('not a render'), { promptText: 'Add white blinds' });
+
+    assert.equal(verdict.accepted, false);
+    assert.equal(verdict.unverified, true);
+    assert.equal(verdict.ssim, null);
+    assert.equal(verdict.vision, null);
+});
@@ -0,0 +1,62 @@
+// tests/stripe_refund.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_dummy';
+const { handleChargeRefunded } = await import('../stripe_handler.js');
+
+// Ledger rows for one invoice + an apply_credit_transaction RPC with the SQL function's rules
+function fakeLedger({ balance, entries }) {
+    const state = { balance, calls: [] };
+    const query = {
+        select() { return query; },
+        eq() { return query; },
+        order() { return Promise.resolve({ data: entries, error: null }); }
+    };
+
+    state.supabase = {
+        from: () => query,
+        async rpc(name, params) {
+            state.calls.push(params);
+            if (!params.p_allow_negative && state.balance + params.p_delta < 0) {
+                return { data: [{ applied: false, balance: state.balance }], error: null };
+            }
+            state.balance += params.p_delta;
+            return { data: [{ applied: true, balance: state.balance }], error: null };
+        }
+    };
+    return state;
+}
+
+const grant = { id: 1, client_id: 7, delta: 50, reason: 'refill_purchase' };
+
+test('claws back a refund even when the credits were already spent', async () => {
+    const ledger = fakeLedger({ balance: 10, entries: [grant] });
+    const charge = { id: 'ch_1', invoice: 'in_1', amount: 5000, amount_refunded: 5000 };
+
+    await handleChargeRefunded(charge, null, ledger.supabase);
+
+    assert.equal(ledger.calls.length, 1);
+    assert.equal(ledger.calls[0].p_delta, -50);
+    assert.equal(ledger.calls[0].p_allow_negative, true);
+    assert.equal(ledger.balance, -40);
+});
+
+test('fails the event when the clawback is not applied', async () => {
+    const ledger = fakeLedger({ balance: 0, entries: [grant] });
+    ledger.supabase.rpc = async () => ({ data: [{ applied: false, balance: 0 }], error: null });
+    const charge = { id: 'ch_2', invoice: 'in_1', amount: 5000, amount_refunded: 5000 };
+
+    await assert.rejects(handleChargeRefunded(charge, null, ledger.supabase), /not applied/);
+});
+
+test('partial refunds only take back the refunded share, minus earlier clawbacks', async () => {
+    const earlier = { id: 2, client_id: 7, delta: -10, reason: 'clawback' };
+    const ledger = fakeLedger({ balance: 5, entries: [grant, earlier] });
+    const charge = { id: 'ch_3', invoice: 'in_1', amount: 5000, amount_refunded: 2500 };
+
+    await handleChargeRefunded(charge, null, ledger.supabase);
+
+    assert.equal(ledger.calls[0].p_delta, -15);
+    assert.equal(ledger.balance, -10);
+});
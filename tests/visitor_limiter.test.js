@@ -0,0 +1,34 @@
+// tests/visitor_limiter.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { allowBookingConfirmation, createMemoryRateStore, releaseVisitorRenders, reserveVisitorRenders, setRateLimitStore } from '../visitor_limiter.js';
+
+test('booking confirmations are limited per conversation and per address', async () => {
+    setRateLimitStore(createMemoryRateStore());
+
+    assert.equal(await allowBookingConfirmation('conv-1', 'pat@example.com'), true);
+    assert.equal(await allowBookingConfirmation('conv-1', 'pat@example.com'), true);
+    assert.equal(await allowBookingConfirmation('conv-1', 'someone@example.com'), false); // Conversation used up
+
+    assert.equal(await allowBookingConfirmation('conv-2', ' PAT@example.com'), true);
+    assert.equal(await allowBookingConfirmation('conv-3', 'pat@example.com'), false); // Address used up
+});
+
+test('concurrent render reservations never pass the daily cap', async () => {
+    setRateLimitStore(createMemoryRateStore());
+    const client = { id: 1, visitor_render_limit: 5 };
+    const visitor = { visitorId: 'visitor-abc123', ip: '203.0.113.7' };
+
+    const burst = await Promise.all(Array.from({ length: 4 }, () => reserveVisitorRenders(client, visitor, 2)));
+    assert.equal(burst.reduce((n, r) => n + r.granted, 0), 5);
+
+    // What isn't used goes back to the quota
+    const used = burst.find(r => r.granted === 2);
+    await releaseVisitorRenders(used, 2);
+    assert.equal((await reserveVisitorRenders(client, visitor, 3)).granted, 2);
+    assert.equal((await reserveVisitorRenders(client, visitor, 1)).granted, 0);
+});
+
+test('renders without a visitor identity are not limited', async () => {
+    assert.equal((await reserveVisitorRenders({ id: 1 }, null, 3)).granted, 3);
+});
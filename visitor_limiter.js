@@ -0,0 +1,245 @@
+// visitor_limiter.js
+import { requireAdminKey } from './api_key_manager.js';
+
+// Inbound abuse protection for visitor-facing routes. (rate_limiter.js throttles
+// our outbound Gemini calls; this stops one visitor or bot from flooding us.)
+//
+// Visitors are identified two ways, and each is limited separately:
+//   - X-Visitor-Id: random id chat.html keeps in localStorage
+//   - IP address (req.ip - TRUST_PROXY in server.js sets how many proxy hops to trust)
+// Clearing storage doesn't escape the IP limit; a shared office IP gets more room.
+//
+// Counters live in a pluggable store. The default is in-memory (per process);
+// call setRateLimitStore() with anything implementing the same interface to share
+// counters between instances:
+//   hit(key, windowMs, amount = 1) -> Promise<{ count, resetAt }>   (add atomically - negative gives back,
+//                                                                    never below 0 - start window if new)
+//   peek(key)                      -> Promise<{ count, resetAt }>   (read without incrementing)
+//
+// Supabase: clients.visitor_render_limit (renders per visitor per day, null = default)
+
+export const DEFAULT_VISITOR_RENDER_LIMIT = 10;
+const MAX_VISITOR_RENDER_LIMIT = 1000;
+const VISITOR_ID_REGEX = /^[A-Za-z0-9-]{8,64}$/;
+
+// Fixed windows per route: [window, per visitor id, per IP, per client]
+const LIMITS = {
+    chat:   { windowMs: 60 * 1000,      perVisitor: 20, perIp: 40, perClient: 600 },
+    upload: { windowMs: 10 * 60 * 1000, perVisitor: 10, perIp: 30, perClient: 300 }
+};
+
+// Booking confirmation emails per day (the chat decides who gets emailed - don't let it spam an address)
+const CONFIRMATION_LIMITS = { windowMs: 24 * 60 * 60 * 1000, perConversation: 2, perEmail: 3 };
+
+const MESSAGES = {
+    chat: "You're sending messages a little quickly. Please wait a moment and try again.",
+    upload: "You've uploaded a lot of photos in a short time. Please wait a few minutes before adding more."
+};
+
+// ==================================================================
+// 1. STORES
+// ==================================================================
+export function createMemoryRateStore() {
+    const buckets = new Map(); // key -> { count, resetAt }
+
+    // Drop expired windows so the map doesn't grow forever
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (bucket.resetAt <= now) buckets.delete(key);
+        }
+    }, 60 * 1000);
+    sweep.unref();
+
+    return {
+        async hit(key, windowMs, amount = 1) {
+            const now = Date.now();
+            let bucket = buckets.get(key);
+            if (!bucket || bucket.resetAt <= now) {
+                bucket = { count: 0, resetAt: now + windowMs };
+                buckets.set(key, bucket);
+            }
+            bucket.count = Math.max(bucket.count + amount, 0);
+            return { ...bucket };
+        },
+
+        async peek(key) {
+            const bucket = buckets.get(key);
+            if (!bucket || bucket.resetAt <= Date.now()) return { count: 0, resetAt: null };
+            return { ...bucket };
+        }
+    };
+}
+
+let store = createMemoryRateStore();
+
+export function setRateLimitStore(customStore) {
+    store = customStore;
+}
+
+// ==================================================================
+// 2. VISITOR IDENTITY
+// ==================================================================
+export function getVisitorIdentity(req) {
+    const rawId = req.get('x-visitor-id') || '';
+    return {
+        visitorId: VISITOR_ID_REGEX.test(rawId) ? rawId : null,
+        ip: req.ip || req.socket?.remoteAddress || 'unknown'
+    };
+}
+
+// ==================================================================
+// 3. REQUEST LIMITS (middleware)
+// ==================================================================
+
+/**
+ * Express middleware limiting one kind of visitor request ('chat' | 'upload').
+ * Replies 429 with a message the chat window can show as-is. Sets req.visitor.
+ */
+export function limitVisitorRequests(kind) {
+    const limit = LIMITS[kind];
+
+    return async (req, res, next) => {
+        try {
+            const visitor = getVisitorIdentity(req);
+            const clientKey = req.body?.clientApiKey || req.params.apiKey || 'none';
+
+            const checks = [
+                [`${kind}:ip:${visitor.ip}`, limit.perIp],
+                [`${kind}:client:${clientKey}`, limit.perClient]
+            ];
+            if (visitor.visitorId) checks.unshift([`${kind}:visitor:${visitor.visitorId}`, limit.perVisitor]);
+
+            for (const [key, max] of checks) {
+                const { count, resetAt } = await store.hit(key, limit.windowMs);
+                if (count > max) {
+                    const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+                    console.warn(`🚦 Rate limit (${key}): ${count}/${max}`);
+                    res.set('Retry-After', String(retryAfter));
+                    return res.status(429).json({ error: MESSAGES[kind], reply: MESSAGES[kind], retryAfter });
+                }
+            }
+
+            req.visitor = visitor;
+            next();
+
+        } catch (err) {
+            console.error("Visitor Limiter Error:", err.message);
+            next(); // Fail open - a store outage shouldn't block every visitor
+        }
+    };
+}
+
+// ==================================================================
+// 4. RENDER QUOTA (per visitor per day, configurable per client)
+// ==================================================================
+
+// [key, max] per identity - the IP allowance is wider so visitors sharing a network aren't blocked by each other
+function renderQuotaKeys(client, visitor, limit) {
+    const day = new Date().toISOString().slice(0, 10); // UTC day
+    const keys = [[`render:${client.id}:ip:${visitor.ip}:${day}`, limit * 3]];
+    if (visitor.visitorId) keys.unshift([`render:${client.id}:visitor:${visitor.visitorId}:${day}`, limit]);
+    return keys;
+}
+
+/**
+ * Reserve up to `count` renders from the visitor's daily quota (one per variant).
+ * Reserved atomically - concurrent requests each see their own count, so a burst can't
+ * pass the cap. Give back what isn't charged and queued with releaseVisitorRenders().
+ * @param {Object} client - Needs id and visitor_render_limit
+ * @param {Object} visitor - From getVisitorIdentity()
+ * @param {number} count - Renders wanted
+ * @returns {Promise<{granted: number, limit: number, keys: string[]}>} - granted is count without a visitor
+ */
+export async function reserveVisitorRenders(client, visitor, count) {
+    const limit = client.visitor_render_limit ?? DEFAULT_VISITOR_RENDER_LIMIT;
+    if (!visitor || count <= 0) return { granted: Math.max(count, 0), limit, keys: [] };
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const quotaKeys = renderQuotaKeys(client, visitor, limit);
+
+    let granted = count;
+    for (const [key, max] of quotaKeys) {
+        const { count: used } = await store.hit(key, dayMs, count);
+        const allowed = Math.min(Math.max(max - (used - count), 0), count);
+        if (allowed < count) console.warn(`🚦 Daily render limit reached (${key}): ${Math.min(used, max)}/${max}`);
+        granted = Math.min(granted, allowed);
+    }
+
+    const reservation = { granted, limit, keys: quotaKeys.map(([key]) => key) };
+    await releaseVisitorRenders(reservation, count - granted);
+    return reservation;
+}
+
+/**
+ * Give renders back to the quota (not granted, credits short, or the job couldn't be queued)
+ * @param {Object} reservation - From reserveVisitorRenders()
+ * @param {number} count - Renders to give back
+ */
+export async function releaseVisitorRenders(reservation, count) {
+    if (!reservation || count <= 0) return;
+
+    for (const key of reservation.keys) {
+        await store.hit(key, 24 * 60 * 60 * 1000, -count);
+    }
+}
+
+// ==================================================================
+// 5. BOOKING CONFIRMATIONS
+// ==================================================================
+
+/**
+ * Count a booking confirmation email and say whether it may be sent
+ * @param {string|null} conversationId - Chat the booking came from
+ * @param {string} email - Recipient
+ * @returns {Promise<boolean>}
+ */
+export async function allowBookingConfirmation(conversationId, email) {
+    const checks = [[`confirm:email:${String(email).trim().toLowerCase()}`, CONFIRMATION_LIMITS.perEmail]];
+    if (conversationId) checks.unshift([`confirm:conversation:${conversationId}`, CONFIRMATION_LIMITS.perConversation]);
+
+    try {
+        for (const [key, max] of checks) {
+            const { count } = await store.peek(key);
+            if (count >= max) {
+                console.warn(`🚦 Booking confirmation limit reached (${key}): ${count}/${max}`);
+                return false;
+            }
+        }
+        for (const [key] of checks) await store.hit(key, CONFIRMATION_LIMITS.windowMs);
+        return true;
+
+    } catch (err) {
+        console.error("Visitor Limiter Error:", err.message);
+        return true; // Fail open, like limitVisitorRequests
+    }
+}
+
+// ==================================================================
+// 6. SETTINGS ROUTE
+// ==================================================================
+export function setupVisitorLimitRoutes(app, supabase) {
+
+    // limit: renders per visitor per day (null restores the default)
+    app.post('/update-visitor-limits', requireAdminKey(supabase), async (req, res) => {
+        try {
+            const { renderLimitPerDay } = req.body;
+
+            if (renderLimitPerDay !== null && (!Number.isInteger(renderLimitPerDay) || renderLimitPerDay < 0 || renderLimitPerDay > MAX_VISITOR_RENDER_LIMIT)) {
+                return res.status(400).json({ error: `renderLimitPerDay must be a whole number from 0 to ${MAX_VISITOR_RENDER_LIMIT}, or null` });
+            }
+
+            const { error } = await supabase
+                .from('clients')
+                .update({ visitor_render_limit: renderLimitPerDay })
+                .eq('id', req.client.id);
+
+            if (error) throw error;
+            res.json({ success: true, renderLimitPerDay: renderLimitPerDay ?? DEFAULT_VISITOR_RENDER_LIMIT });
+
+        } catch (err) {
+            console.error("Visitor Limits Update Error:", err.message);
+            res.status(500).json({ error: "Update failed" });
+        }
+    });
+}